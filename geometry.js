@@ -0,0 +1,488 @@
+/* Overlay geometry */
+// Transform and crop math for overlays, shared by the editor (script.js) and
+// headless scripts. It has no DOM dependencies: in the browser it is exposed as
+// window.overlayGeometry, in Node it is require('./geometry.js').
+//
+// An overlay is an image of width × height pixels placed with a state
+// { x, y, scaleX, scaleY, angle, flipH, flipV }: the image is stretched by the
+// (positive) scales, (x, y) is the top-left corner of the resulting unrotated
+// box, which is rotated by `angle` degrees around its centre and mirrored by
+// the flips. States saved before scaleX/scaleY have a single `scale`; see
+// normalizeState(). The state also carries how the overlay is drawn, `opacity`
+// (0-1) and `blend` (a blend mode name), which the geometry leaves alone.
+// "Local" coordinates have their origin at the overlay centre and follow its
+// rotation, in canvas units; "image" coordinates are pixels of the unflipped
+// image.
+(function (root, factory) {
+  const geometry = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = geometry;
+  } else {
+    root.overlayGeometry = geometry;
+  }
+})(typeof self !== 'undefined' ? self : this, () => {
+  // Smallest scale an overlay can be resized to
+  const MIN_SCALE = 0.05;
+  // Angle step of the rotate handle when snapping, in degrees
+  const ROTATE_SNAP = 15;
+
+  // Copy of a state with scaleX/scaleY. A single `scale` (older states, or a
+  // shorthand for uniform scaling) sets both. States from before opacity and
+  // blending are drawn fully opaque and unblended.
+  function normalizeState(state) {
+    const { scale, ...rest } = state;
+    const defaults = { scaleX: 1, scaleY: 1, opacity: 1, blend: 'normal' };
+    if (scale !== undefined) return { ...defaults, ...rest, scaleX: Math.abs(scale), scaleY: Math.abs(scale) };
+    return { ...defaults, ...rest };
+  }
+
+  // Normalize angle to [-180, 180]
+  function normalizeAngle(angle) {
+    let a = angle;
+    while (a > 180) a -= 360;
+    while (a < -180) a += 360;
+    return a;
+  }
+
+  // Rotate a point around the origin by `angle` degrees
+  function rotatePoint(point, angle) {
+    const rad = (angle * Math.PI) / 180;
+    return {
+      x: point.x * Math.cos(rad) - point.y * Math.sin(rad),
+      y: point.x * Math.sin(rad) + point.y * Math.cos(rad),
+    };
+  }
+
+  // Size of the overlay's box on the canvas
+  function scaledSize(width, height, state) {
+    return { w: width * state.scaleX, h: height * state.scaleY };
+  }
+
+  // Centre of the overlay on the canvas
+  function overlayCenter(width, height, state) {
+    const { w, h } = scaledSize(width, height, state);
+    return { x: state.x + w / 2, y: state.y + h / 2 };
+  }
+
+  // Canvas point -> local coordinates of the overlay
+  function canvasToLocal(point, width, height, state) {
+    const c = overlayCenter(width, height, state);
+    return rotatePoint({ x: point.x - c.x, y: point.y - c.y }, -state.angle);
+  }
+
+  // Local coordinates of the overlay -> canvas point
+  function localToCanvas(local, width, height, state) {
+    const c = overlayCenter(width, height, state);
+    const p = rotatePoint(local, state.angle);
+    return { x: c.x + p.x, y: c.y + p.y };
+  }
+
+  // Canvas point -> image pixel coordinates (fractional, may lie outside the image)
+  function canvasToImage(point, width, height, state) {
+    const local = canvasToLocal(point, width, height, state);
+    let u = local.x / state.scaleX;
+    let v = local.y / state.scaleY;
+    if (state.flipH) u = -u;
+    if (state.flipV) v = -v;
+    return { x: u + width / 2, y: v + height / 2 };
+  }
+
+  // True when the canvas point lies on the overlay's box
+  function containsPoint(point, width, height, state) {
+    const local = canvasToLocal(point, width, height, state);
+    const { w, h } = scaledSize(width, height, state);
+    return Math.abs(local.x) <= w / 2 && Math.abs(local.y) <= h / 2;
+  }
+
+  // Corners of the box in local coordinates: top-left, top-right, bottom-right, bottom-left
+  function cornerPoints(width, height, state) {
+    const { w, h } = scaledSize(width, height, state);
+    return [
+      { x: -w / 2, y: -h / 2 },
+      { x: w / 2, y: -h / 2 },
+      { x: w / 2, y: h / 2 },
+      { x: -w / 2, y: h / 2 },
+    ];
+  }
+
+  /**
+   * Resize and rotate handles of the box in local coordinates.
+   * @param {number} width Image width.
+   * @param {number} height Image height.
+   * @param {Object} state Overlay state.
+   * @param {number} rotateOffset Distance of the rotate handle above the top edge.
+   * @returns {Object} Points keyed by handle name: corners 'nw', 'ne', 'se',
+   *   'sw', edge midpoints 'n', 'e', 's', 'w' and 'rotate'.
+   */
+  function handlePoints(width, height, state, rotateOffset) {
+    const { w, h } = scaledSize(width, height, state);
+    return {
+      nw: { x: -w / 2, y: -h / 2 },
+      ne: { x: w / 2, y: -h / 2 },
+      se: { x: w / 2, y: h / 2 },
+      sw: { x: -w / 2, y: h / 2 },
+      n: { x: 0, y: -h / 2 },
+      e: { x: w / 2, y: 0 },
+      s: { x: 0, y: h / 2 },
+      w: { x: -w / 2, y: 0 },
+      rotate: { x: 0, y: -h / 2 - rotateOffset },
+    };
+  }
+
+  // Name of the handle within `handleSize` of the canvas point (see
+  // handlePoints), or null. Corners win over edges on small boxes.
+  function handleAt(point, width, height, state, handleSize, rotateOffset) {
+    const local = canvasToLocal(point, width, height, state);
+    const points = handlePoints(width, height, state, rotateOffset);
+    const name = Object.keys(points).find((k) =>
+      Math.abs(local.x - points[k].x) <= handleSize && Math.abs(local.y - points[k].y) <= handleSize);
+    return name || null;
+  }
+
+  // Largest scale up to 1 at which the image fits inside the bounds
+  function fitScale(width, height, bounds) {
+    return Math.min(bounds.width / width, bounds.height / height, 1);
+  }
+
+  // Copy of the state moved so the box lies inside the bounds (when it fits)
+  function clampPosition(state, width, height, bounds) {
+    const { w, h } = scaledSize(width, height, state);
+    return {
+      ...state,
+      x: Math.max(0, Math.min(state.x, bounds.width - w)),
+      y: Math.max(0, Math.min(state.y, bounds.height - h)),
+    };
+  }
+
+  // State after dragging so that local point `grab` lies under the canvas point
+  function dragState(state, width, height, point, grab, bounds) {
+    const { w, h } = scaledSize(width, height, state);
+    const offset = rotatePoint(grab, state.angle);
+    const next = { ...state, x: point.x - offset.x - w / 2, y: point.y - offset.y - h / 2 };
+    return bounds ? clampPosition(next, width, height, bounds) : next;
+  }
+
+  /**
+   * State after dragging a resize handle to the canvas point. The opposite edge
+   * or corner stays fixed and the box stays inside the bounds.
+   * @param {Object} state Overlay state.
+   * @param {number} width Image width.
+   * @param {number} height Image height.
+   * @param {{x:number,y:number}} point Pointer on the canvas.
+   * @param {?{width:number,height:number}} bounds Background size, or null.
+   * @param {string} [handle='se'] Handle name: an edge ('n', 'e', 's', 'w')
+   *   stretches one axis, a corner follows the pointer in both.
+   * @param {boolean} [keepAspect=true] Corners keep the proportions of the box.
+   * @returns {Object} New state.
+   */
+  function resizeState(state, width, height, point, bounds, handle = 'se', keepAspect = true) {
+    // Direction of the dragged handle from the centre along each local axis
+    // (0 for the axis an edge handle leaves alone)
+    const dirX = handle.includes('e') ? 1 : handle.includes('w') ? -1 : 0;
+    const dirY = handle.includes('s') ? 1 : handle.includes('n') ? -1 : 0;
+    const { w, h } = scaledSize(width, height, state);
+    const anchor = localToCanvas({ x: (-dirX * w) / 2, y: (-dirY * h) / 2 }, width, height, state);
+    const local = canvasToLocal(point, width, height, state);
+    const wantX = (dirX * local.x + w / 2) / width;
+    const wantY = (dirY * local.y + h / 2) / height;
+    let scaleX = state.scaleX;
+    let scaleY = state.scaleY;
+    if (dirX !== 0 && dirY !== 0 && keepAspect) {
+      // One factor for both axes, clamped as a whole so the proportions hold
+      let factor = Math.min(wantX / scaleX, wantY / scaleY);
+      if (bounds) factor = Math.min(factor, bounds.width / w, bounds.height / h);
+      factor = Math.max(factor, MIN_SCALE / Math.min(scaleX, scaleY));
+      scaleX *= factor;
+      scaleY *= factor;
+    } else {
+      if (dirX !== 0) scaleX = wantX;
+      if (dirY !== 0) scaleY = wantY;
+      if (bounds) {
+        scaleX = Math.min(scaleX, bounds.width / width);
+        scaleY = Math.min(scaleY, bounds.height / height);
+      }
+      scaleX = Math.max(scaleX, MIN_SCALE);
+      scaleY = Math.max(scaleY, MIN_SCALE);
+    }
+    // The new centre lies half the new box from the anchor, towards the handle
+    const nw = width * scaleX;
+    const nh = height * scaleY;
+    const offset = rotatePoint({ x: (dirX * nw) / 2, y: (dirY * nh) / 2 }, state.angle);
+    const next = { ...state, scaleX, scaleY, x: anchor.x + offset.x - nw / 2, y: anchor.y + offset.y - nh / 2 };
+    return bounds ? clampPosition(next, width, height, bounds) : next;
+  }
+
+  // Angle in degrees that points the top of a box centred at `center` towards
+  // the canvas point, rounded to ROTATE_SNAP steps when `snap` is set
+  function pointerAngle(center, point, snap) {
+    const angle = (Math.atan2(point.y - center.y, point.x - center.x) * 180) / Math.PI + 90;
+    return normalizeAngle(snap ? Math.round(angle / ROTATE_SNAP) * ROTATE_SNAP : angle);
+  }
+
+  // State after dragging the rotate handle to the canvas point
+  function rotateState(state, width, height, point, snap) {
+    return { ...state, angle: pointerAngle(overlayCenter(width, height, state), point, snap) };
+  }
+
+  /**
+   * Convert a selection dragged on an overlay into a crop rectangle of its image.
+   * @param {{x:number,y:number}} start Selection corner in local unscaled coordinates.
+   * @param {{x:number,y:number}} end Opposite corner.
+   * @param {number} width Image width.
+   * @param {number} height Image height.
+   * @param {Object} state Overlay state (only the flips are used).
+   * @returns {?{x:number,y:number,w:number,h:number}} Pixel rectangle, or null
+   *   when the selection does not cover any pixel.
+   */
+  function selectionToImageRect(start, end, width, height, state) {
+    const x1 = Math.min(start.x, end.x);
+    const x2 = Math.max(start.x, end.x);
+    const y1 = Math.min(start.y, end.y);
+    const y2 = Math.max(start.y, end.y);
+    // Unflip the selection back to the image orientation
+    const x1f = state.flipH ? -x2 : x1;
+    const x2f = state.flipH ? -x1 : x2;
+    const y1f = state.flipV ? -y2 : y1;
+    const y2f = state.flipV ? -y1 : y2;
+    const u1 = Math.max(0, Math.floor(x1f + width / 2));
+    const u2 = Math.min(width, Math.ceil(x2f + width / 2));
+    const v1 = Math.max(0, Math.floor(y1f + height / 2));
+    const v2 = Math.min(height, Math.ceil(y2f + height / 2));
+    if (u2 - u1 <= 0 || v2 - v1 <= 0) return null;
+    return { x: u1, y: v1, w: u2 - u1, h: v2 - v1 };
+  }
+
+  // Clip a pixel rectangle to the image; null when nothing is left
+  function clipRect(rect, width, height) {
+    const x1 = Math.max(0, Math.floor(rect.x));
+    const y1 = Math.max(0, Math.floor(rect.y));
+    const x2 = Math.min(width, Math.ceil(rect.x + rect.w));
+    const y2 = Math.min(height, Math.ceil(rect.y + rect.h));
+    if (x2 - x1 <= 0 || y2 - y1 <= 0) return null;
+    return { x: x1, y: y1, w: x2 - x1, h: y2 - y1 };
+  }
+
+  // State of an overlay cropped to `rect` (image pixels) so that the kept part
+  // stays where it was on the canvas
+  function croppedState(state, width, height, rect, bounds) {
+    const oldCenter = overlayCenter(width, height, state);
+    // Offset of the crop centre from the image centre, mirrored like the image
+    const offset = {
+      x: (rect.x + rect.w / 2 - width / 2) * state.scaleX * (state.flipH ? -1 : 1),
+      y: (rect.y + rect.h / 2 - height / 2) * state.scaleY * (state.flipV ? -1 : 1),
+    };
+    const shift = rotatePoint(offset, state.angle);
+    const next = {
+      ...state,
+      x: oldCenter.x + shift.x - (rect.w * state.scaleX) / 2,
+      y: oldCenter.y + shift.y - (rect.h * state.scaleY) / 2,
+    };
+    return bounds ? clampPosition(next, rect.w, rect.h, bounds) : next;
+  }
+
+  /* Groups */
+  // The functions below work on lists of items { width, height, state } (e.g.
+  // the selected overlays) and return the new states in the same order.
+
+  // Axis-aligned bounds { x, y, w, h } of the rotated box on the canvas
+  function overlayBounds(width, height, state) {
+    const pts = cornerPoints(width, height, state).map((c) => localToCanvas(c, width, height, state));
+    const xs = pts.map((p) => p.x);
+    const ys = pts.map((p) => p.y);
+    const x = Math.min(...xs);
+    const y = Math.min(...ys);
+    return { x, y, w: Math.max(...xs) - x, h: Math.max(...ys) - y };
+  }
+
+  // Bounds enclosing all items, or null for an empty list
+  function groupBounds(items) {
+    if (items.length === 0) return null;
+    const boxes = items.map((it) => overlayBounds(it.width, it.height, it.state));
+    const x = Math.min(...boxes.map((b) => b.x));
+    const y = Math.min(...boxes.map((b) => b.y));
+    const x2 = Math.max(...boxes.map((b) => b.x + b.w));
+    const y2 = Math.max(...boxes.map((b) => b.y + b.h));
+    return { x, y, w: x2 - x, h: y2 - y };
+  }
+
+  // Copy of the state placed so that the overlay centre is at `center`
+  function stateWithCenter(state, width, height, center) {
+    const { w, h } = scaledSize(width, height, state);
+    return { ...state, x: center.x - w / 2, y: center.y - h / 2 };
+  }
+
+  // Move every item by (dx, dy)
+  function translateGroup(items, dx, dy) {
+    return items.map((it) => ({ ...it.state, x: it.state.x + dx, y: it.state.y + dy }));
+  }
+
+  // Offset (dx, dy) shrunk so that bounds moved by it stay inside `limits`
+  // (when they fit)
+  function clampOffset(bounds, dx, dy, limits) {
+    return {
+      dx: Math.max(-bounds.x, Math.min(dx, limits.width - bounds.w - bounds.x)),
+      dy: Math.max(-bounds.y, Math.min(dy, limits.height - bounds.h - bounds.y)),
+    };
+  }
+
+  // Scale every item by `factor` around `origin`: sizes and the distances of
+  // the centres from the origin are multiplied
+  function scaleGroup(items, factor, origin) {
+    return items.map((it) => {
+      const c = overlayCenter(it.width, it.height, it.state);
+      const scaled = { ...it.state, scaleX: it.state.scaleX * factor, scaleY: it.state.scaleY * factor };
+      return stateWithCenter(scaled, it.width, it.height, {
+        x: origin.x + (c.x - origin.x) * factor,
+        y: origin.y + (c.y - origin.y) * factor,
+      });
+    });
+  }
+
+  // Rotate every item by `angle` degrees around `origin`
+  function rotateGroup(items, angle, origin) {
+    return items.map((it) => {
+      const c = overlayCenter(it.width, it.height, it.state);
+      const p = rotatePoint({ x: c.x - origin.x, y: c.y - origin.y }, angle);
+      const rotated = { ...it.state, angle: normalizeAngle(it.state.angle + angle) };
+      return stateWithCenter(rotated, it.width, it.height, { x: origin.x + p.x, y: origin.y + p.y });
+    });
+  }
+
+  // Mirror every item across the vertical ('h') or horizontal ('v') line
+  // through `origin`. A mirrored rotated box is the flipped box rotated the
+  // other way, so the angle changes sign.
+  function flipGroup(items, axis, origin) {
+    return items.map((it) => {
+      const c = overlayCenter(it.width, it.height, it.state);
+      const flipped = { ...it.state, angle: normalizeAngle(-it.state.angle) };
+      if (axis === 'h') {
+        flipped.flipH = !it.state.flipH;
+        return stateWithCenter(flipped, it.width, it.height, { x: 2 * origin.x - c.x, y: c.y });
+      }
+      flipped.flipV = !it.state.flipV;
+      return stateWithCenter(flipped, it.width, it.height, { x: c.x, y: 2 * origin.y - c.y });
+    });
+  }
+
+  /**
+   * Align the items' bounds with a target box.
+   * @param {Array} items Items { width, height, state }.
+   * @param {string} mode 'left', 'center', 'right', 'top', 'middle' or 'bottom'.
+   * @param {{x:number,y:number,w:number,h:number}} target Box to align with,
+   *   e.g. groupBounds(items) or the background.
+   * @returns {Array} New states.
+   */
+  function alignGroup(items, mode, target) {
+    return items.map((it) => {
+      const b = overlayBounds(it.width, it.height, it.state);
+      let dx = 0;
+      let dy = 0;
+      if (mode === 'left') dx = target.x - b.x;
+      else if (mode === 'center') dx = target.x + target.w / 2 - (b.x + b.w / 2);
+      else if (mode === 'right') dx = target.x + target.w - (b.x + b.w);
+      else if (mode === 'top') dy = target.y - b.y;
+      else if (mode === 'middle') dy = target.y + target.h / 2 - (b.y + b.h / 2);
+      else if (mode === 'bottom') dy = target.y + target.h - (b.y + b.h);
+      else throw new Error(`Unknown alignment: ${mode}`);
+      return { ...it.state, x: it.state.x + dx, y: it.state.y + dy };
+    });
+  }
+
+  // Space the items evenly along 'h' (x) or 'v' (y): the outermost stay put and
+  // the gaps between neighbouring bounds become equal
+  function distributeGroup(items, axis) {
+    const pos = axis === 'h' ? 'x' : 'y';
+    const size = axis === 'h' ? 'w' : 'h';
+    const boxes = items.map((it, i) => ({ i, b: overlayBounds(it.width, it.height, it.state) }));
+    const states = items.map((it) => ({ ...it.state }));
+    if (boxes.length < 3) return states;
+    boxes.sort((a, c) => a.b[pos] - c.b[pos]);
+    const first = boxes[0].b;
+    const last = boxes[boxes.length - 1].b;
+    const total = boxes.reduce((sum, e) => sum + e.b[size], 0);
+    const gap = (last[pos] + last[size] - first[pos] - total) / (boxes.length - 1);
+    let cursor = first[pos];
+    boxes.forEach((e) => {
+      states[e.i][pos] += cursor - e.b[pos];
+      cursor += e.b[size] + gap;
+    });
+    return states;
+  }
+
+  /* Snapping */
+
+  // Closest snap for the positions `values` on one axis: the line (or grid
+  // line, when `grid` > 0) within `threshold` of one of them, as
+  // { offset, line }, or null
+  function snapAxis(values, lines, threshold, grid) {
+    let best = null;
+    values.forEach((v) => {
+      const candidates = grid > 0 ? lines.concat(Math.round(v / grid) * grid) : lines;
+      candidates.forEach((line) => {
+        const offset = line - v;
+        if (Math.abs(offset) <= threshold && (!best || Math.abs(offset) < Math.abs(best.offset))) {
+          best = { offset, line };
+        }
+      });
+    });
+    return best;
+  }
+
+  /**
+   * Offset that snaps a box's edges or centre to nearby lines.
+   * @param {{x:number,y:number,w:number,h:number}} box Bounds being moved.
+   * @param {{x:number[],y:number[]}} lines Vertical lines (x positions) and
+   *   horizontal lines (y positions) to snap to.
+   * @param {number} threshold Largest distance that snaps.
+   * @param {number} [grid=0] Grid spacing to snap to as well; 0 for none.
+   * @returns {{dx:number,dy:number,x:?number,y:?number}} Offset to apply and
+   *   the lines snapped to on each axis (null when that axis did not snap).
+   */
+  function snapOffset(box, lines, threshold, grid = 0) {
+    const sx = snapAxis([box.x, box.x + box.w / 2, box.x + box.w], lines.x, threshold, grid);
+    const sy = snapAxis([box.y, box.y + box.h / 2, box.y + box.h], lines.y, threshold, grid);
+    return {
+      dx: sx ? sx.offset : 0,
+      dy: sy ? sy.offset : 0,
+      x: sx ? sx.line : null,
+      y: sy ? sy.line : null,
+    };
+  }
+
+  return {
+    MIN_SCALE,
+    ROTATE_SNAP,
+    normalizeState,
+    normalizeAngle,
+    rotatePoint,
+    scaledSize,
+    overlayCenter,
+    canvasToLocal,
+    localToCanvas,
+    canvasToImage,
+    containsPoint,
+    cornerPoints,
+    handlePoints,
+    handleAt,
+    fitScale,
+    clampPosition,
+    dragState,
+    resizeState,
+    pointerAngle,
+    rotateState,
+    selectionToImageRect,
+    clipRect,
+    croppedState,
+    overlayBounds,
+    groupBounds,
+    stateWithCenter,
+    translateGroup,
+    clampOffset,
+    scaleGroup,
+    rotateGroup,
+    flipGroup,
+    alignGroup,
+    distributeGroup,
+    snapOffset,
+  };
+});
@@ -1,13 +1,25 @@
 // Front‑end logic for the Image Overlay Web App.
 // This script implements an interactive canvas where a user can load a
-// background and an overlay image (with a grey matte), drag the overlay
-// around, resize it, rotate it, flip it horizontally or vertically and
-// export two images: the composited canvas and the keyed overlay only.
+// background and an overlay image (optionally keyed against a grey or coloured
+// matte), drag the overlay around, resize it, rotate it, flip it horizontally
+// or vertically and export two images: the composited canvas and the keyed
+// overlay only. The editing operations are also available to scripts as
+// window.overlayApp (see "Scene API").
+
+// Transform and crop math (geometry.js, loaded before this script)
+const geometry = window.overlayGeometry;
 
 /* Global state */
 let bgImg = null;              // HTMLImageElement for background
+let bgOriginalImg = null;      // Background as loaded, before any erase
+let bgName = '';               // Background file name without extension
 // Support multiple overlays. Each overlay is an object with
-// {img, originalImg, state, cropMode, cropping, cropStart, cropEnd}
+// {img, originalImg, sourceImg, key, matteImg, adjust, shadow, name, visible,
+//  locked, state, cropMode, cropping, cropStart, cropEnd}
+// where sourceImg is the untouched image, key its colour key settings,
+// matteImg the alpha matte from background removal (or null), adjust its
+// colour adjustments and shadow its shadow settings. name, visible and locked
+// are the layer settings from the layers panel.
 let overlays = [];
 // Index of the currently active overlay in the overlays array. -1 if none.
 let activeOverlayIndex = -1;
@@ -19,10 +31,13 @@ let overlayOriginalImg = null;
 let overlayState = {
   x: 0,
   y: 0,
-  scale: 1,
+  scaleX: 1,
+  scaleY: 1,
   angle: 0,   // degrees
   flipH: false,
   flipV: false,
+  opacity: 1, // 0-1
+  blend: 'normal',
 };
 /**
  * Update global overlayImg, overlayOriginalImg and overlayState to point
@@ -34,70 +49,122 @@ function updateActiveOverlayRefs() {
     overlayImg = null;
     overlayOriginalImg = null;
     // Reset overlayState to a default object so that UI bindings remain valid.
-    overlayState = { x: 0, y: 0, scale: 1, angle: 0, flipH: false, flipV: false };
+    overlayState = geometry.normalizeState({ x: 0, y: 0, angle: 0, flipH: false, flipV: false });
+    selection.clear();
+    syncOverlayControls();
     return;
   }
   const ov = overlays[activeOverlayIndex];
   overlayImg = ov.img;
   overlayOriginalImg = ov.originalImg;
   overlayState = ov.state;
+  // Drop removed overlays from the selection
+  selection.forEach((o) => {
+    if (overlays.indexOf(o) < 0) selection.delete(o);
+  });
+  selection.add(ov);
+  syncOverlayControls();
+}
+
+// Indices of the selected overlays in stacking order
+function selectedIndices() {
+  return overlays.map((o, i) => (selection.has(o) ? i : -1)).filter((i) => i >= 0);
+}
+
+// Refresh the controls that reflect per-overlay settings of the active overlay
+function syncOverlayControls() {
+  syncBlendControls();
+  syncAdjustControls();
+  syncShadowControls();
+  syncKeyControls();
+  syncMatteControls();
+  renderLayersPanel();
 }
 
 /**
  * Restore the overlays array from serialized data and set the active overlay.
- * @param {Array} overlaysData Array of serialized overlay data (objects with imgData, originalData, state, cropMode, etc.).
+ * All images are loaded before anything changes, so a broken one leaves the
+ * scene as it was.
+ * @param {Array} overlaysData Array of serialized overlay data (objects with imgData, sourceData, matteData, state, cropMode, etc.).
  * @param {number} activeIdx Index of the overlay to set active.
- * @returns {Promise<void>} Resolves when all images are loaded and references updated.
+ * @param {function(*): Promise<HTMLImageElement>} [loadSource] Loads an image
+ *   from a saved image reference; defaults to loading it as a URL.
+ * @returns {Promise<void>} Resolves when all images are loaded and references
+ *   updated; rejects when an image cannot be loaded.
  */
-function restoreOverlaysFromData(overlaysData, activeIdx) {
-  overlays = [];
-  activeOverlayIndex = -1;
-  if (!overlaysData || overlaysData.length === 0) {
-    updateActiveOverlayRefs();
-    return Promise.resolve();
-  }
-  const loadPromises = [];
-  overlaysData.forEach((data, index) => {
-    const ov = {
-      img: null,
-      originalImg: null,
-      state: { ...data.state },
+async function restoreOverlaysFromData(overlaysData, activeIdx, loadSource = loadImage) {
+  const list = overlaysData || [];
+  // Image references may be indices, so 0 is a reference too
+  const load = (src) => (src === null || src === undefined ? Promise.resolve(null) : loadSource(src));
+  const images = await Promise.all(list.map((data) => Promise.all([
+    load(data.imgData),
+    // Unkeyed overlays share one image for source and result
+    data.sourceData !== data.imgData ? load(data.sourceData) : null,
+    load(data.matteData),
+  ])));
+  overlays = list.map((data, index) => {
+    const [img, sourceImg, matteImg] = images[index];
+    return {
+      img,
+      // original keyed overlay is identical to keyed overlay in this app
+      originalImg: img,
+      sourceImg: sourceImg || img,
+      key: data.key ? { ...data.key } : defaultKeySettings(),
+      matteImg,
+      adjust: data.adjust ? { ...data.adjust } : defaultAdjustments(),
+      shadow: data.shadow ? { ...data.shadow } : defaultShadowSettings(),
+      name: data.name || `Overlay ${index + 1}`,
+      visible: data.visible !== false,
+      locked: !!data.locked,
+      // Projects saved before scaleX/scaleY have a single scale
+      state: geometry.normalizeState(data.state),
       cropMode: data.cropMode || false,
       cropping: data.cropping || false,
       cropStart: data.cropStart ? { ...data.cropStart } : null,
       cropEnd: data.cropEnd ? { ...data.cropEnd } : null,
     };
-    overlays.push(ov);
-    if (data.imgData) {
-      const p = new Promise((resolve) => {
-        const im = new Image();
-        im.onload = () => {
-          ov.img = im;
-          // original keyed overlay is identical to keyed overlay in this app
-          ov.originalImg = im;
-          resolve();
-        };
-        im.src = data.imgData;
-      });
-      loadPromises.push(p);
-    }
-  });
-  return Promise.all(loadPromises).then(() => {
-    // Set active overlay index
-    if (typeof activeIdx === 'number' && activeIdx >= 0 && activeIdx < overlays.length) {
-      activeOverlayIndex = activeIdx;
-    } else {
-      activeOverlayIndex = overlays.length - 1;
-    }
-    updateActiveOverlayRefs();
   });
+  // Set active overlay index
+  if (typeof activeIdx === 'number' && activeIdx >= 0 && activeIdx < overlays.length) {
+    activeOverlayIndex = activeIdx;
+  } else {
+    activeOverlayIndex = overlays.length - 1;
+  }
+  updateActiveOverlayRefs();
 }
 let dragging = false;
 let dragData = { localX: 0, localY: 0 };
-// When true, the user is resizing the overlay via a corner handle
+// History token of the pointer interaction on the canvas (see beginHistory())
+let pointerHistory = null;
+// When true, the user is dragging one of the active overlay's handles
 let resizing = false;
-// Index of the handle being dragged (0: top‑left, 1: top‑right, 2: bottom‑right, 3: bottom‑left)
-let resizeHandle = -1;
+// Name of the handle being dragged (see geometry.handlePoints): a corner or
+// edge resizes, 'rotate' rotates
+let resizeHandle = null;
+// Handles are squares of HANDLE_SIZE screen pixels at any zoom; the pointer
+// picks one within HANDLE_HIT pixels of its centre. The rotate handle sits
+// ROTATE_HANDLE_OFFSET pixels above the top edge.
+const HANDLE_SIZE = 8;
+const HANDLE_HIT = 10;
+const ROTATE_HANDLE_OFFSET = 24;
+const aspectLockInput = document.getElementById('aspect-lock');
+// Overlays selected together with the active one. Holds overlay objects so
+// that it survives reordering; always contains the active overlay. Group
+// commands (move, scale, rotate, flip, remove, align) act on all of them.
+let selection = new Set();
+// Group move, resize or rotation in progress:
+// { mode: 'move'|'resize'|'rotate', indices, states (at the start), start, bounds } or null
+let groupDrag = null;
+// Marquee selection being dragged on an empty area: { start, end, additive } or null
+let marquee = null;
+// Lines the dragged overlays are snapped to, shown as guides: { x, y } (either
+// may be null) or null when nothing snaps
+let snapGuides = null;
+// User guides placed from the rulers, in canvas coordinates: vertical lines at
+// the `x` positions and horizontal lines at the `y` positions
+const userGuides = { x: [], y: [] };
+// User guide being dragged: { axis: 'x'|'y', index } or null
+let guideDrag = null;
 let saveCounter = 0;
 
 // Canvas and context
@@ -120,6 +187,9 @@ const flipHBtn = document.getElementById('flip-h');
 const flipVBtn = document.getElementById('flip-v');
 const outputPrefixInput = document.getElementById('output-prefix');
 const saveBtn = document.getElementById('save');
+// Copy the composite or the active overlay to the system clipboard
+const copyCompositeBtn = document.getElementById('copy-composite');
+const copyOverlayBtn = document.getElementById('copy-overlay');
 const newBtn = document.getElementById('new-session');
 const outputStatus = document.getElementById('output-status');
 // Crop button. Cropping state is stored per overlay inside the overlays array.
@@ -127,1009 +197,6231 @@ const cropBtn = document.getElementById('crop');
 
 // Erase button and erasing state variables
 const eraseBtn = document.getElementById('erase');
-// Select element for choosing erase method (rectangle or brush)
+// Select element for choosing erase method (rectangle, brush or lasso)
 const eraseMethodSelect = document.getElementById('erase-method');
 // Range slider for brush size
 const brushSizeSlider = document.getElementById('brush-size');
 const brushSizeLabel = document.getElementById('brush-size-label');
-// Current erase method: 'rect' or 'brush'
+// Mask editing tools: add/subtract mode, clear and apply
+const eraseToolsGroup = document.getElementById('erase-tools');
+const maskModeSelect = document.getElementById('mask-mode');
+const clearMaskBtn = document.getElementById('clear-mask');
+const applyEraseBtn = document.getElementById('apply-erase');
+// Current erase method: 'rect', 'brush' or 'lasso'
 let eraseMethod = 'rect';
-// Toggle for erase mode (true when the user has clicked the Erase button and is selecting an area)
+// Toggle for erase mode (true when the user has clicked the Erase button and is building a mask)
 let eraseMode = false;
-// True while the user is selecting an erase region on the background (rectangle) or drawing a brush path
+// True while the user is drawing a mask stroke (rectangle, brush or lasso)
 let erasing = false;
+// True when the current stroke removes from the mask instead of adding to it
+let eraseSubtract = false;
 // Start and end points of the erase rectangle in canvas coordinates (used only for rectangle mode)
 let eraseStart = null;
 let eraseEnd = null;
-// Brush path: array of {x,y} points collected when drawing with brush
-let brushPath = [];
+// Previous brush point of the current stroke, used to join stamps into a continuous line
+let brushLast = null;
+// Lasso path: array of {x,y} points of the polygon being drawn
+let lassoPath = [];
+// Pointer position while in erase mode, used to preview the brush outline
+let brushCursor = null;
+// Whether new strokes add to or subtract from the mask: 'add' or 'subtract'
+let maskMode = 'add';
+// Persistent erase mask layer the size of the background. Strokes are drawn in
+// ERASE_MASK_COLOUR onto a transparent canvas so the layer can be shown as a
+// tint directly; buildEraseMask() turns it into the black/white mask the erase
+// providers expect. null while no mask is being edited.
+let eraseMaskCanvas = null;
+// True once a stroke has been drawn into the mask
+let eraseMaskDirty = false;
+// Tools that painted the current mask ('rect', 'brush', 'lasso'), used to
+// label the erase in the history
+let eraseMaskTools = [];
+const ERASE_MASK_COLOUR = 'rgb(255, 0, 80)';
 // Current brush radius in pixels (controlled via slider)
 let brushRadius = parseInt(brushSizeSlider ? brushSizeSlider.value : 20, 10) || 20;
 
-// Undo/Redo state and buttons. We maintain a stack of previous states
-// (undoStack) and a stack of undone states (redoStack). Each state stores
-// the overlay image data URL, the original keyed overlay data URL and the
-// overlayState parameters. This allows reverting and re‑applying edits such as
-// moves, resizes, rotations, flips and cropping.
-const undoBtn = document.getElementById('undo');
-const redoBtn = document.getElementById('redo');
-const undoStack = [];
-const redoStack = [];
+/* Erase providers */
+// Every erase request goes through an erase provider. A provider is an object
+// { label, erase(request) } where request is
+// { imageCanvas, maskCanvas, config, signal, onProgress, seed, variant } (the
+// mask is white on the region to remove and black elsewhere, signal aborts the
+// request when the user cancels, onProgress(message) updates the status
+// indicator, and seed/variant distinguish the candidates of one erase) and
+// erase() resolves to the URL of the result image (http(s), data: or blob:). Both the
+// rectangle and brush erase modes hand their mask to runErase(), which picks
+// the provider named in eraseConfig. Further providers, such as a local mock
+// server or a self-hosted inpainting service, are added with
+// registerEraseProvider().
+const DEFAULT_ERASE_ENDPOINT = 'https://engine.prod.bria-api.com/v2/image/edit/erase';
+const eraseConfig = {
+  provider: 'bria',
+  endpoint: DEFAULT_ERASE_ENDPOINT,
+  // The API token is entered by the user at runtime and only kept in memory.
+  token: '',
+  // Use local inpainting when the selected provider cannot be reached
+  fallbackToLocal: true,
+  // Submit erase jobs asynchronously and poll for the result
+  async: false,
+  // Only the mask's bounding box plus this many pixels of surrounding context
+  // is uploaded; the result is pasted back with a seam feathered over
+  // `feather` pixels.
+  contextMargin: 64,
+  feather: 8,
+  // Number of candidate results requested per erase, to choose from in review
+  candidates: 1,
+};
+const MAX_ERASE_CANDIDATES = 4;
+const eraseProviders = {};
 
-// Initialise erase method and brush UI behaviour
-if (eraseMethodSelect) {
-  // Update eraseMethod based on dropdown selection
-  eraseMethodSelect.addEventListener('change', (e) => {
-    eraseMethod = e.target.value || 'rect';
-    // Show or hide the brush size slider depending on the method
-    if (eraseMethod === 'brush' && brushSizeLabel) {
-      brushSizeLabel.style.display = '';
-    } else if (brushSizeLabel) {
-      brushSizeLabel.style.display = 'none';
-    }
-  });
+// Erase backend settings UI
+const eraseProviderSelect = document.getElementById('erase-provider');
+const eraseEndpointInput = document.getElementById('erase-endpoint');
+const eraseTokenInput = document.getElementById('erase-token');
+const eraseFallbackCheckbox = document.getElementById('erase-fallback');
+const eraseAsyncCheckbox = document.getElementById('erase-async');
+const eraseMarginInput = document.getElementById('erase-margin');
+const eraseCandidatesInput = document.getElementById('erase-candidates');
+// Erase review: before/after split, candidate choice, accept and discard
+const eraseReviewGroup = document.getElementById('erase-review');
+const reviewSplitSlider = document.getElementById('review-split');
+const reviewCandidateSelect = document.getElementById('review-candidate');
+const reviewAcceptBtn = document.getElementById('review-accept');
+const reviewDiscardBtn = document.getElementById('review-discard');
+// Erase results awaiting review: { baseImg, bounds, candidates, index, split,
+// label } or null. The background is only replaced once a candidate is accepted.
+let eraseReview = null;
+// Status indicator and cancel button shown while an erase job runs
+const eraseStatus = document.getElementById('erase-status');
+const eraseCancelBtn = document.getElementById('erase-cancel');
+// The erase job currently in flight: { id, controller, baseImg, label } or null.
+// Only this job may commit its result to bgImg.
+let activeEraseJob = null;
+let eraseJobCounter = 0;
+
+/**
+ * Register an erase provider under the given name. Registered providers are
+ * listed in the erase provider dropdown.
+ * @param {string} name Key used in eraseConfig.provider.
+ * @param {{label: string, erase: function(Object): Promise<string>}} provider
+ */
+function registerEraseProvider(name, provider) {
+  eraseProviders[name] = provider;
+  if (eraseProviderSelect && !eraseProviderSelect.querySelector(`option[value="${name}"]`)) {
+    const opt = document.createElement('option');
+    opt.value = name;
+    opt.textContent = provider.label || name;
+    eraseProviderSelect.appendChild(opt);
+  }
 }
-if (brushSizeSlider) {
-  brushSizeSlider.addEventListener('input', (e) => {
-    const val = parseInt(e.target.value, 10);
-    if (!isNaN(val)) {
-      brushRadius = val;
-    }
+
+// Helper: encode a canvas as a base64 PNG string without the data URL prefix
+function canvasToBase64(cnv) {
+  return cnv.toDataURL('image/png').split(',')[1];
+}
+
+// Helper: load an image from a URL. Resolves with the loaded HTMLImageElement.
+function loadImage(src, crossOrigin) {
+  return new Promise((resolve, reject) => {
+    const im = new Image();
+    // Use crossOrigin anonymous for remote results to avoid tainting the canvas
+    if (crossOrigin) im.crossOrigin = crossOrigin;
+    im.onload = () => resolve(im);
+    im.onerror = () => reject(new Error(`Failed to load image: ${src.slice(0, 64)}`));
+    im.src = src;
   });
 }
 
-// Save the current overlay state onto the undo stack and clear the redo
-// stack. Only saves when an overlay exists. Called at the beginning of
-// interactive actions (dragging, resizing, rotating, flipping, cropping).
-function saveState() {
-  // Only record a state when a background image exists
-  if (!bgImg) return;
-  // Deep copy all overlay state. Each overlay stores its image data URL and its
-  // transformation state so we can fully restore it during undo/redo.
-  const overlaysData = overlays.map((o) => {
-    return {
-      imgData: o.img ? o.img.src : null,
-      originalData: o.originalImg ? o.originalImg.src : null,
-      state: { ...o.state },
-      cropMode: o.cropMode || false,
-      cropping: o.cropping || false,
-      cropStart: o.cropStart ? { ...o.cropStart } : null,
-      cropEnd: o.cropEnd ? { ...o.cropEnd } : null,
-    };
+// Encoded file of each image, as a promise of a Blob: the file or blob it was
+// loaded from, or its PNG made once when first needed (see imageBlob()).
+// Saving projects and autosaving read it instead of encoding the pixels again.
+const imageBlobs = new WeakMap();
+
+// Helper: load an image from a blob, which is kept as its encoded file
+async function blobToImage(blob) {
+  const url = URL.createObjectURL(blob);
+  try {
+    const im = await loadImage(url);
+    imageBlobs.set(im, Promise.resolve(blob));
+    return im;
+  } catch (err) {
+    URL.revokeObjectURL(url);
+    throw err;
+  }
+}
+
+// Helper: load an image from a data URL. It is kept as a blob like the
+// images of the scene, not as the URL string.
+async function dataUrlToImage(dataUrl) {
+  const response = await fetch(dataUrl);
+  return blobToImage(await response.blob());
+}
+
+// Helper: image holding the pixels of a canvas. The PNG is kept in a blob
+// rather than a data URL string, so edited images (crop, erase) that are
+// shared between the scene and the undo history cost their size once.
+function canvasToImage(cnv) {
+  return new Promise((resolve, reject) => {
+    cnv.toBlob((blob) => {
+      if (!blob) {
+        reject(new Error('Failed to encode canvas'));
+        return;
+      }
+      blobToImage(blob).then(resolve, reject);
+    }, 'image/png');
   });
-  const bgData = bgImg ? bgImg.src : null;
-  const activeIndex = activeOverlayIndex;
-  undoStack.push({ overlaysData, bgData, activeIndex });
-  // Whenever we push a new state, clear the redo history
-  redoStack.length = 0;
-  updateUndoRedoButtons();
 }
 
-// Restore the most recent state from the undo stack. The current state is
-// pushed onto the redo stack before restoring. If no undo is available the
-// function does nothing.
-function undo() {
-  if (undoStack.length === 0) return;
-  // Push current state onto redo stack. Serialize the overlays and background.
-  if (bgImg) {
-    const overlaysData = overlays.map((o) => ({
-      imgData: o.img ? o.img.src : null,
-      originalData: o.originalImg ? o.originalImg.src : null,
-      state: { ...o.state },
-      cropMode: o.cropMode || false,
-      cropping: o.cropping || false,
-      cropStart: o.cropStart ? { ...o.cropStart } : null,
-      cropEnd: o.cropEnd ? { ...o.cropEnd } : null,
-    }));
-    redoStack.push({ overlaysData, bgData: bgImg.src, activeIndex: activeOverlayIndex });
-  }
-  const prev = undoStack.pop();
-  if (!prev) return;
-  // Restore overlays and background from previous state
-  const { overlaysData, bgData, activeIndex } = prev;
-  // Restore overlays (async) then restore background
-  restoreOverlaysFromData(overlaysData, activeIndex).then(() => {
-    if (bgData) {
-      const bimg = new Image();
-      bimg.onload = () => {
-        bgImg = bimg;
-        drawScene();
-        updateUndoRedoButtons();
-      };
-      bimg.src = bgData;
-    } else {
-      drawScene();
-      updateUndoRedoButtons();
-    }
+// Helper: encoded file of an image (see imageBlobs). Images from data: or
+// blob: URLs are read back as they are; others (remote results) are encoded
+// as PNG.
+function imageBlob(im) {
+  let blob = imageBlobs.get(im);
+  if (!blob) {
+    blob = /^(data|blob):/.test(im.src)
+      ? fetch(im.src).then((res) => res.blob())
+      : new Promise((resolve, reject) => {
+        imageToCanvas(im).toBlob((b) => (b ? resolve(b) : reject(new Error('Failed to encode image'))), 'image/png');
+      });
+    imageBlobs.set(im, blob);
+    // Try again next time rather than keep a failure
+    blob.catch(() => imageBlobs.delete(im));
+  }
+  return blob;
+}
+
+// Helper: data URL of an image, made from its encoded file
+async function imageDataUrl(im) {
+  if (im.src.startsWith('data:')) return im.src;
+  const blob = await imageBlob(im);
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
   });
 }
 
-// Reapply the most recently undone state from the redo stack. The current
-// state is pushed back to the undo stack before restoring. If no redo is
-// available the function does nothing.
-function redo() {
-  if (redoStack.length === 0) return;
-  // Push current state onto undo stack
-  if (bgImg) {
-    const overlaysData = overlays.map((o) => ({
-      imgData: o.img ? o.img.src : null,
-      originalData: o.originalImg ? o.originalImg.src : null,
-      state: { ...o.state },
-      cropMode: o.cropMode || false,
-      cropping: o.cropping || false,
-      cropStart: o.cropStart ? { ...o.cropStart } : null,
-      cropEnd: o.cropEnd ? { ...o.cropEnd } : null,
-    }));
-    undoStack.push({ overlaysData, bgData: bgImg.src, activeIndex: activeOverlayIndex });
-  }
-  const next = redoStack.pop();
-  if (!next) return;
-  const { overlaysData, bgData, activeIndex } = next;
-  restoreOverlaysFromData(overlaysData, activeIndex).then(() => {
-    if (bgData) {
-      const bimg = new Image();
-      bimg.onload = () => {
-        bgImg = bimg;
-        drawScene();
-        updateUndoRedoButtons();
-      };
-      bimg.src = bgData;
-    } else {
-      drawScene();
-      updateUndoRedoButtons();
+// Helper: free the blob behind an image that is no longer used anywhere
+function releaseImage(im) {
+  if (im && im.src && im.src.startsWith('blob:')) URL.revokeObjectURL(im.src);
+}
+
+// Retry policy for transient HTTP failures (network errors, 408, 429 and 5xx)
+const ERASE_MAX_RETRIES = 3;
+const ERASE_RETRY_BASE_MS = 1000;
+// Interval and overall time limit when polling an asynchronous erase job
+const ERASE_POLL_INTERVAL_MS = 1500;
+const ERASE_POLL_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Helper: resolve after ms milliseconds, or reject as soon as signal aborts
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(new DOMException('Aborted', 'AbortError'));
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(new DOMException('Aborted', 'AbortError'));
+      }, { once: true });
     }
   });
 }
 
-// Enable or disable undo and redo buttons based on stack sizes.
-function updateUndoRedoButtons() {
-  undoBtn.disabled = undoStack.length === 0;
-  redoBtn.disabled = redoStack.length === 0;
+function isAbortError(err) {
+  return err && err.name === 'AbortError';
 }
 
-// Attach click handlers for undo/redo buttons
-undoBtn.addEventListener('click', () => {
-  undo();
-});
-redoBtn.addEventListener('click', () => {
-  redo();
-});
+// Helper: error for a provider that cannot be reached or did not answer in time
+function unavailableError(message) {
+  const err = new Error(message);
+  err.unavailable = true;
+  return err;
+}
 
-// Keyboard shortcuts: Ctrl/Cmd+Z for undo, Ctrl+Y or Ctrl+Shift+Z for redo
-document.addEventListener('keydown', (e) => {
-  const isCtrlOrMeta = e.ctrlKey || e.metaKey;
-  if (!isCtrlOrMeta) return;
-  // Undo: Ctrl/Cmd+Z (no Shift)
-  if (e.code === 'KeyZ' && !e.shiftKey) {
-    e.preventDefault();
-    undo();
+// True when a provider failed because it is unreachable or down (network
+// errors, offline, timeouts, 408, 429 and 5xx answers) rather than because of
+// something the user has to fix, such as the token, the endpoint or the request
+function isUnavailableError(err) {
+  if (!err) return false;
+  if (err.status) return err.status === 408 || err.status === 429 || err.status >= 500;
+  return !!err.unavailable;
+}
+
+/**
+ * fetch() with automatic retry and exponential backoff on transient failures.
+ * Non-transient HTTP errors are thrown immediately.
+ * @param {string} operation What the request is for in error messages, e.g. 'Erase API'.
+ * @param {string} url
+ * @param {Object} options fetch options; options.signal aborts the request and any pending retry.
+ * @param {function(string): void} [onProgress] Receives status messages while retrying.
+ * @returns {Promise<Response>} The successful response.
+ */
+async function fetchWithRetry(operation, url, options, onProgress) {
+  for (let attempt = 0; ; attempt++) {
+    let retryAfterMs = 0;
+    let failure;
+    let response = null;
+    try {
+      response = await fetch(url, options);
+    } catch (err) {
+      // Aborts are not retried; any other rejection means the network failed
+      if (isAbortError(err)) throw err;
+      failure = unavailableError(`${operation} unreachable: ${err.message}`);
+    }
+    if (response) {
+      if (response.ok) return response;
+      failure = new Error(`${operation} request failed: ${response.status} ${response.statusText}`);
+      failure.status = response.status;
+      // Non-transient HTTP errors are not retried
+      const transient = response.status === 408 || response.status === 429 || response.status >= 500;
+      if (!transient) throw failure;
+      const retryAfter = parseFloat(response.headers.get('Retry-After'));
+      if (!isNaN(retryAfter)) retryAfterMs = retryAfter * 1000;
+    }
+    if (attempt >= ERASE_MAX_RETRIES) throw failure;
+    const backoff = Math.max(retryAfterMs, ERASE_RETRY_BASE_MS * 2 ** attempt * (1 + Math.random() * 0.25));
+    if (onProgress) onProgress(`Retrying (${attempt + 1}/${ERASE_MAX_RETRIES})…`);
+    await sleep(backoff, options.signal);
   }
-  // Redo: Ctrl/Cmd+Y or Ctrl/Cmd+Shift+Z
-  if ((e.code === 'KeyY') || (e.code === 'KeyZ' && e.shiftKey)) {
-    e.preventDefault();
-    redo();
+}
+
+// Helper: wait for an asynchronous erase job to finish by polling its status
+// URL. Resolves with the final response body.
+async function pollEraseJob(statusUrl, headers, request) {
+  const started = Date.now();
+  for (;;) {
+    await sleep(ERASE_POLL_INTERVAL_MS, request.signal);
+    const response = await fetchWithRetry('Erase API', statusUrl, { headers, signal: request.signal }, request.onProgress);
+    const data = await response.json();
+    const status = String(data.status || '').toUpperCase();
+    if (status === 'COMPLETED' || (data.result && data.result.image_url)) return data;
+    if (status === 'ERROR' || status === 'FAILED') {
+      throw new Error(`Erase job failed: ${data.error ? JSON.stringify(data.error) : status}`);
+    }
+    if (Date.now() - started > ERASE_POLL_TIMEOUT_MS) throw unavailableError('Erase job timed out');
+    const elapsed = Math.round((Date.now() - started) / 1000);
+    request.onProgress(`${status === 'QUEUED' || status === 'PENDING' ? 'Queued' : 'Processing'}… ${elapsed}s`);
   }
-});
+}
 
-// Crop button toggles crop mode on and off. When entering crop mode the user can drag
-// a rectangle on the overlay to crop the image. Clicking again cancels crop mode.
-cropBtn.addEventListener('click', () => {
-  // Crop button only works when an overlay is loaded and selected
-  if (!overlayImg || activeOverlayIndex < 0) return;
-  const ov = overlays[activeOverlayIndex];
-  if (!ov.cropMode) {
-    // Save current state before entering crop mode for undo
-    saveState();
-    // Enter crop mode for this overlay
-    ov.cropMode = true;
-    ov.cropping = false;
-    ov.cropStart = null;
-    ov.cropEnd = null;
-    cropBtn.textContent = 'Cancel Crop';
-  } else {
-    // Exit crop mode without applying crop
-    ov.cropMode = false;
-    ov.cropping = false;
-    ov.cropStart = null;
-    ov.cropEnd = null;
-    cropBtn.textContent = 'Crop';
-    drawScene();
+/**
+ * Submit an erase payload as JSON and return the parsed response body. In async
+ * mode the payload is sent with sync: false and, when the server answers with
+ * a status_url, the job is polled until it completes.
+ * @param {string} endpoint
+ * @param {Object} headers Extra request headers (authentication).
+ * @param {Object} request Erase request passed to the provider.
+ */
+async function submitErasePayload(endpoint, headers, request) {
+  if (!endpoint) throw new Error('No erase endpoint configured; enter the endpoint of the erase service');
+  const { imageCanvas, maskCanvas, config, signal, onProgress } = request;
+  const payload = {
+    image: canvasToBase64(imageCanvas),
+    mask: canvasToBase64(maskCanvas),
+    sync: !config.async,
+  };
+  // Candidates are told apart by their seed
+  if (request.seed !== undefined) payload.seed = request.seed;
+  onProgress('Uploading…');
+  const response = await fetchWithRetry('Erase API', endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(payload),
+    signal,
+  }, onProgress);
+  const data = await response.json();
+  if (data.status_url && !(data.result && data.result.image_url)) {
+    onProgress('Queued…');
+    return pollEraseJob(data.status_url, headers, request);
   }
+  return data;
+}
+
+// Bria generative erase API. Requires an API token.
+registerEraseProvider('bria', {
+  label: 'Bria API',
+  async erase(request) {
+    const { config } = request;
+    if (!config.token) throw new Error('No API token entered for the Bria erase API');
+    const data = await submitErasePayload(
+      config.endpoint || DEFAULT_ERASE_ENDPOINT,
+      { api_token: config.token },
+      request,
+    );
+    if (!data.result || !data.result.image_url) {
+      throw new Error('Erase API returned invalid response');
+    }
+    return data.result.image_url;
+  },
 });
 
-// Erase button toggles erase mode on and off. When erase mode is active the user
-// can draw a rectangle on the background to generatively remove that region via the Bria API.
-eraseBtn.addEventListener('click', () => {
-  if (!bgImg) return;
-  if (!eraseMode) {
-    // Save state before entering erase mode for undo
-    saveState();
-    eraseMode = true;
-    erasing = false;
-    // Reset selection states for both rectangle and brush methods
-    eraseStart = null;
-    eraseEnd = null;
-    brushPath = [];
-    eraseBtn.textContent = 'Cancel Erase';
-  } else {
-    // Cancel erase mode without applying erase
-    eraseMode = false;
-    erasing = false;
-    eraseStart = null;
-    eraseEnd = null;
-    brushPath = [];
-    eraseBtn.textContent = 'Erase';
-    drawScene();
-  }
+// Generic HTTP endpoint, e.g. a local mock server or a self-hosted inpainting
+// service. It receives the same JSON payload as the Bria API (with the token,
+// if any, sent as a bearer token) and may answer with a Bria-style
+// { result: { image_url } }, a plain { image_url } or a base64 PNG { image },
+// either directly or, for async jobs, from the returned status_url.
+registerEraseProvider('http', {
+  label: 'Custom endpoint',
+  async erase(request) {
+    const { config } = request;
+    const headers = config.token ? { Authorization: `Bearer ${config.token}` } : {};
+    const data = await submitErasePayload(config.endpoint, headers, request);
+    if (data.result && data.result.image_url) return data.result.image_url;
+    if (data.image_url) return data.image_url;
+    if (data.image) return `data:image/png;base64,${data.image}`;
+    throw new Error('Erase endpoint returned invalid response');
+  },
 });
 
-// Handle to a user‑selected output directory (via File System Access API)
-let outputDirHandle = null;
+/* Local inpainting */
+// Offline fallback for erase: an implementation of Telea's fast-marching
+// inpainting ("An Image Inpainting Technique Based on the Fast Marching
+// Method", 2004). Pixels are filled from the boundary of the mask inwards, in
+// order of their distance to the known region, each one as a weighted average
+// of the already known pixels within LOCAL_INPAINT_RADIUS.
+const LOCAL_INPAINT_RADIUS = 5;
+const FMM_KNOWN = 0;
+const FMM_BAND = 1;
+const FMM_INSIDE = 2;
+const FMM_INF = 1e6;
+// Progress is reported every this many filled pixels
+const INPAINT_PROGRESS_STEP = 16384;
 
-// Helper: draw the current scene onto the canvas
-function drawScene() {
-  if (!bgImg) {
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
-    return;
-  }
-  // Resize canvas to background image size
-  canvas.width = bgImg.width;
-  canvas.height = bgImg.height;
-  // Draw background
-  ctx.clearRect(0, 0, canvas.width, canvas.height);
-  ctx.drawImage(bgImg, 0, 0);
-  // Draw overlays if any
-  if (overlays.length > 0) {
-    overlays.forEach((ov, idx) => {
-      if (!ov.img) return;
-      const w = ov.img.width * Math.abs(ov.state.scale);
-      const h = ov.img.height * Math.abs(ov.state.scale);
-      const cx = ov.state.x + w / 2;
-      const cy = ov.state.y + h / 2;
-      // Draw the overlay image with its transform
-      ctx.save();
-      ctx.translate(cx, cy);
-      ctx.rotate((ov.state.angle * Math.PI) / 180);
-      const sx = ov.state.flipH ? -1 : 1;
-      const sy = ov.state.flipV ? -1 : 1;
-      ctx.scale(sx, sy);
-      ctx.scale(ov.state.scale, ov.state.scale);
-      ctx.drawImage(ov.img, -ov.img.width / 2, -ov.img.height / 2);
-      ctx.restore();
-      // If this is the active overlay, draw bounding box and handles
-      if (idx === activeOverlayIndex) {
-        ctx.save();
-        ctx.translate(cx, cy);
-        ctx.rotate((ov.state.angle * Math.PI) / 180);
-        // Outline
-        ctx.strokeStyle = 'rgba(0,0,0,0.5)';
-        ctx.lineWidth = 1;
-        ctx.strokeRect(-w / 2, -h / 2, w, h);
-        // Draw handles as small squares (constant size in screen pixels). We don't scale these with overlay scale.
-        const handleSize = 8;
-        const halfHandle = handleSize / 2;
-        const corners = [
-          { x: -w / 2, y: -h / 2 },
-          { x: w / 2, y: -h / 2 },
-          { x: w / 2, y: h / 2 },
-          { x: -w / 2, y: h / 2 },
-        ];
-        ctx.fillStyle = 'rgba(255,255,255,0.8)';
-        ctx.strokeStyle = 'rgba(0,0,0,0.7)';
-        ctx.lineWidth = 1;
-        corners.forEach((c) => {
-          ctx.beginPath();
-          ctx.rect(c.x - halfHandle, c.y - halfHandle, handleSize, handleSize);
-          ctx.fill();
-          ctx.stroke();
-        });
-        // If cropping is active or in progress for this overlay, draw the selection rectangle
-        if ((ov.cropMode || ov.cropping) && ov.cropStart && ov.cropEnd) {
-          // Determine rectangle in local unscaled coordinates
-          let sxU = Math.min(ov.cropStart.x, ov.cropEnd.x);
-          let exU = Math.max(ov.cropStart.x, ov.cropEnd.x);
-          let syU = Math.min(ov.cropStart.y, ov.cropEnd.y);
-          let eyU = Math.max(ov.cropStart.y, ov.cropEnd.y);
-          // Apply flips for display
-          const dispX1 = (ov.state.flipH ? -exU : sxU) * ov.state.scale;
-          const dispX2 = (ov.state.flipH ? -sxU : exU) * ov.state.scale;
-          const dispY1 = (ov.state.flipV ? -eyU : syU) * ov.state.scale;
-          const dispY2 = (ov.state.flipV ? -syU : eyU) * ov.state.scale;
-          const rectX = dispX1;
-          const rectY = dispY1;
-          const rectW = dispX2 - dispX1;
-          const rectH = dispY2 - dispY1;
-          ctx.save();
-          ctx.fillStyle = 'rgba(255, 255, 255, 0.25)';
-          ctx.fillRect(rectX, rectY, rectW, rectH);
-          ctx.strokeStyle = 'rgba(255, 0, 0, 0.8)';
-          ctx.lineWidth = 1;
-          ctx.setLineDash([6, 4]);
-          ctx.strokeRect(rectX, rectY, rectW, rectH);
-          ctx.setLineDash([]);
-          ctx.restore();
+// Binary min-heap of pixel indices keyed by their arrival time
+function createPixelHeap() {
+  const idx = [];
+  const key = [];
+  return {
+    get size() {
+      return idx.length;
+    },
+    push(i, k) {
+      let n = idx.length;
+      idx.push(i);
+      key.push(k);
+      while (n > 0) {
+        const parent = (n - 1) >> 1;
+        if (key[parent] <= key[n]) break;
+        [idx[parent], idx[n]] = [idx[n], idx[parent]];
+        [key[parent], key[n]] = [key[n], key[parent]];
+        n = parent;
+      }
+    },
+    pop() {
+      const top = idx[0];
+      const lastIdx = idx.pop();
+      const lastKey = key.pop();
+      if (idx.length > 0) {
+        idx[0] = lastIdx;
+        key[0] = lastKey;
+        let n = 0;
+        for (;;) {
+          const l = 2 * n + 1;
+          const r = l + 1;
+          let m = n;
+          if (l < idx.length && key[l] < key[m]) m = l;
+          if (r < idx.length && key[r] < key[m]) m = r;
+          if (m === n) break;
+          [idx[m], idx[n]] = [idx[n], idx[m]];
+          [key[m], key[n]] = [key[n], key[m]];
+          n = m;
         }
-        ctx.restore();
       }
-    });
+      return top;
+    },
+  };
+}
+
+/**
+ * Inpaint the masked pixels of an RGBA buffer in place.
+ * @param {Uint8ClampedArray} pixels RGBA pixel data (width * height * 4).
+ * @param {Uint8Array} mask One byte per pixel; non-zero marks pixels to fill.
+ * @param {number} width
+ * @param {number} height
+ * @param {number} [radius] Neighbourhood radius used for each filled pixel.
+ * @param {function(number): void} [onProgress] Receives the fraction of the
+ *   masked pixels filled so far, now and then.
+ */
+function inpaintTelea(pixels, mask, width, height, radius = LOCAL_INPAINT_RADIUS, onProgress) {
+  const n = width * height;
+  const flag = new Uint8Array(n);
+  const dist = new Float32Array(n);
+  const heap = createPixelHeap();
+  let total = 0;
+  let filled = 0;
+  for (let i = 0; i < n; i++) {
+    if (mask[i]) {
+      flag[i] = FMM_INSIDE;
+      dist[i] = FMM_INF;
+      total++;
+    }
   }
-  // Draw the erase selection overlay when erasing
-  if (eraseMode || erasing) {
-    // Brush preview: draw circles along the brush path if using brush method
-    if (eraseMethod === 'brush' && brushPath && brushPath.length > 0) {
-      ctx.save();
-      ctx.fillStyle = 'rgba(0, 0, 0, 0.25)';
-      ctx.strokeStyle = 'rgba(0, 0, 255, 0.8)';
-      ctx.lineWidth = 1;
-      brushPath.forEach((pt) => {
-        ctx.beginPath();
-        ctx.arc(pt.x, pt.y, brushRadius, 0, 2 * Math.PI);
-        ctx.fill();
-        ctx.stroke();
-      });
-      ctx.restore();
+  // Known pixels bordering the mask form the initial narrow band
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      if (flag[i] !== FMM_KNOWN) continue;
+      if (
+        (x > 0 && flag[i - 1] === FMM_INSIDE) ||
+        (x < width - 1 && flag[i + 1] === FMM_INSIDE) ||
+        (y > 0 && flag[i - width] === FMM_INSIDE) ||
+        (y < height - 1 && flag[i + width] === FMM_INSIDE)
+      ) {
+        flag[i] = FMM_BAND;
+        heap.push(i, 0);
+      }
     }
-    // Rectangle preview: draw selection rectangle if using rectangle method
-    if (eraseMethod === 'rect' && eraseStart && eraseEnd) {
-      const x1 = Math.min(eraseStart.x, eraseEnd.x);
-      const y1 = Math.min(eraseStart.y, eraseEnd.y);
-      const x2 = Math.max(eraseStart.x, eraseEnd.x);
-      const y2 = Math.max(eraseStart.y, eraseEnd.y);
-      ctx.save();
-      // Semi-transparent fill to indicate selected region
-      ctx.fillStyle = 'rgba(0, 0, 0, 0.25)';
-      ctx.fillRect(x1, y1, x2 - x1, y2 - y1);
-      ctx.strokeStyle = 'rgba(0, 0, 255, 0.8)';
-      ctx.lineWidth = 1;
-      ctx.setLineDash([6, 4]);
-      ctx.strokeRect(x1, y1, x2 - x1, y2 - y1);
-      ctx.setLineDash([]);
-      ctx.restore();
+  }
+  // Solve the eikonal equation |grad T| = 1 from two neighbouring arrival times
+  const solve = (i1, i2) => {
+    const t1 = dist[i1];
+    const t2 = dist[i2];
+    const known1 = flag[i1] !== FMM_INSIDE;
+    const known2 = flag[i2] !== FMM_INSIDE;
+    if (known1 && known2) {
+      const d = 2 - (t1 - t2) * (t1 - t2);
+      if (d > 0) {
+        const r = Math.sqrt(d);
+        let s = (t1 + t2 - r) / 2;
+        if (s >= t1 && s >= t2) return s;
+        s += r;
+        if (s >= t1 && s >= t2) return s;
+      }
+      return FMM_INF;
+    }
+    if (known1) return 1 + t1;
+    if (known2) return 1 + t2;
+    return FMM_INF;
+  };
+  const inpaintPixel = (x, y) => {
+    const i = y * width + x;
+    // Gradient of the arrival time gives the direction the front is moving in
+    let gx = 0;
+    let gy = 0;
+    if (x > 0 && x < width - 1 && flag[i - 1] !== FMM_INSIDE && flag[i + 1] !== FMM_INSIDE) {
+      gx = (dist[i + 1] - dist[i - 1]) / 2;
+    } else if (x < width - 1 && flag[i + 1] !== FMM_INSIDE) {
+      gx = dist[i + 1] - dist[i];
+    } else if (x > 0 && flag[i - 1] !== FMM_INSIDE) {
+      gx = dist[i] - dist[i - 1];
+    }
+    if (y > 0 && y < height - 1 && flag[i - width] !== FMM_INSIDE && flag[i + width] !== FMM_INSIDE) {
+      gy = (dist[i + width] - dist[i - width]) / 2;
+    } else if (y < height - 1 && flag[i + width] !== FMM_INSIDE) {
+      gy = dist[i + width] - dist[i];
+    } else if (y > 0 && flag[i - width] !== FMM_INSIDE) {
+      gy = dist[i] - dist[i - width];
+    }
+    let sumW = 0;
+    let r = 0;
+    let g = 0;
+    let b = 0;
+    const x0 = Math.max(0, x - radius);
+    const x1 = Math.min(width - 1, x + radius);
+    const y0 = Math.max(0, y - radius);
+    const y1 = Math.min(height - 1, y + radius);
+    for (let qy = y0; qy <= y1; qy++) {
+      for (let qx = x0; qx <= x1; qx++) {
+        const q = qy * width + qx;
+        if (flag[q] === FMM_INSIDE || q === i) continue;
+        const rx = x - qx;
+        const ry = y - qy;
+        const len2 = rx * rx + ry * ry;
+        if (len2 > radius * radius) continue;
+        const len = Math.sqrt(len2);
+        // Directional, geometric distance and level set distance components
+        const dir = Math.max(Math.abs(rx * gx + ry * gy) / len, 1e-6);
+        const dst = 1 / len2;
+        const lev = 1 / (1 + Math.abs(dist[q] - dist[i]));
+        const w = dir * dst * lev;
+        sumW += w;
+        r += w * pixels[q * 4];
+        g += w * pixels[q * 4 + 1];
+        b += w * pixels[q * 4 + 2];
+      }
     }
+    if (sumW > 0) {
+      pixels[i * 4] = r / sumW;
+      pixels[i * 4 + 1] = g / sumW;
+      pixels[i * 4 + 2] = b / sumW;
+      pixels[i * 4 + 3] = 255;
+    }
+  };
+  while (heap.size > 0) {
+    const i = heap.pop();
+    if (flag[i] === FMM_KNOWN) continue;
+    flag[i] = FMM_KNOWN;
+    const x = i % width;
+    const y = (i - x) / width;
+    const neighbours = [
+      x > 0 ? i - 1 : -1,
+      x < width - 1 ? i + 1 : -1,
+      y > 0 ? i - width : -1,
+      y < height - 1 ? i + width : -1,
+    ];
+    neighbours.forEach((j) => {
+      if (j < 0 || flag[j] !== FMM_INSIDE) return;
+      const jx = j % width;
+      const jy = (j - jx) / width;
+      const left = jx > 0 ? j - 1 : j;
+      const right = jx < width - 1 ? j + 1 : j;
+      const up = jy > 0 ? j - width : j;
+      const down = jy < height - 1 ? j + width : j;
+      flag[j] = FMM_BAND;
+      dist[j] = Math.min(solve(left, up), solve(right, up), solve(left, down), solve(right, down));
+      inpaintPixel(jx, jy);
+      heap.push(j, dist[j]);
+      filled++;
+      if (onProgress && filled % INPAINT_PROGRESS_STEP === 0) onProgress(filled / total);
+    });
   }
 }
 
-// Helper: apply grey key to an Image to produce an RGBA image
-function applyGreyKey(img, callback) {
-  // Skip grey-key processing and return the original image unchanged.
-  // Some overlay images may contain grey colours that should not be treated
-  // as transparent. Pass through the image directly to preserve all pixels.
-  callback(img);
+// The inpainting runs in a Worker, so that the page stays responsive and the
+// job can be cancelled. The worker is made from the functions above (they use
+// nothing else), which also works when the page is opened from a file.
+let inpaintWorkerUrl = null;
+
+function inpaintWorkerSource() {
+  return [
+    `const LOCAL_INPAINT_RADIUS = ${LOCAL_INPAINT_RADIUS};`,
+    `const FMM_KNOWN = ${FMM_KNOWN};`,
+    `const FMM_BAND = ${FMM_BAND};`,
+    `const FMM_INSIDE = ${FMM_INSIDE};`,
+    `const FMM_INF = ${FMM_INF};`,
+    `const INPAINT_PROGRESS_STEP = ${INPAINT_PROGRESS_STEP};`,
+    createPixelHeap.toString(),
+    inpaintTelea.toString(),
+    `self.onmessage = (e) => {
+      const { pixels, mask, width, height, radius } = e.data;
+      inpaintTelea(pixels, mask, width, height, radius, (progress) => self.postMessage({ progress }));
+      self.postMessage({ pixels }, [pixels.buffer]);
+    };`,
+  ].join('\n');
 }
 
-// Event: load background
-bgInput.addEventListener('change', (e) => {
-  const file = e.target.files[0];
-  if (!file) return;
-  const img = new Image();
-  img.onload = () => {
-    bgImg = img;
-    // Reset save counter
-    saveCounter = 0;
-    drawScene();
-    // If overlays exist, ensure each overlay fits within new background bounds
-    if (overlays.length > 0) {
-      overlays.forEach((ov) => {
-        const maxW = bgImg.width;
-        const maxH = bgImg.height;
-        const ovW = ov.img ? ov.img.width : 0;
-        const ovH = ov.img ? ov.img.height : 0;
-        if (ovW === 0 || ovH === 0) return;
-        const scaleX = maxW / ovW;
-        const scaleY = maxH / ovH;
-        const maxScale = Math.min(scaleX, scaleY, 1);
-        // Keep the current scale if it's smaller; otherwise reduce to maxScale
-        ov.state.scale = Math.min(ov.state.scale, maxScale);
-        // Clamp position inside the new background
-        const wScaled = ovW * Math.abs(ov.state.scale);
-        const hScaled = ovH * Math.abs(ov.state.scale);
-        ov.state.x = Math.max(0, Math.min(ov.state.x, bgImg.width - wScaled));
-        ov.state.y = Math.max(0, Math.min(ov.state.y, bgImg.height - hScaled));
-      });
+/**
+ * Run inpaintTelea() in a Worker.
+ * @param {Uint8ClampedArray} pixels RGBA pixel data; handed over to the worker.
+ * @param {Uint8Array} mask Pixels to fill; handed over to the worker.
+ * @param {number} width
+ * @param {number} height
+ * @param {number} radius
+ * @param {AbortSignal} [signal] Stops the worker.
+ * @param {function(number): void} [onProgress] Receives the fraction done.
+ * @returns {Promise<Uint8ClampedArray>} The inpainted pixels.
+ */
+function inpaintInWorker(pixels, mask, width, height, radius, signal, onProgress) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(new DOMException('Aborted', 'AbortError'));
+      return;
     }
-    // Always show the controls after a background image is loaded so users can set the output directory and prepare for overlay uploads.
-    controls.style.display = 'flex';
-    // Only disable the save button if there are no overlays; other buttons (set output, erase) remain enabled
-    saveBtn.disabled = overlays.length === 0;
-    setOutputBtn.disabled = false;
-    eraseBtn.disabled = false;
-  };
-  img.src = URL.createObjectURL(file);
-});
-
-// Event: load overlay(s)
-overlayInput.addEventListener('change', (e) => {
-  const files = Array.from(e.target.files);
-  // Only allow adding overlays if a background exists
-  if (files.length === 0 || !bgImg) return;
-  // Determine whether this is the first overlay being added
-  const isFirstOverlay = overlays.length === 0;
-  // If not the first overlay, save current state so the addition can be undone
-  if (!isFirstOverlay) {
-    saveState();
-  } else {
-    // For the first overlay, clear undo/redo stacks before saving initial state
-    undoStack.length = 0;
-    redoStack.length = 0;
-  }
-  let filesProcessed = 0;
-  files.forEach((file) => {
-    const rawImg = new Image();
-    rawImg.onload = () => {
-      applyGreyKey(rawImg, (rgbaImg) => {
-        const maxW = bgImg.width;
-        const maxH = bgImg.height;
-        const ovW = rgbaImg.width;
-        const ovH = rgbaImg.height;
-        const scaleX = maxW / ovW;
-        const scaleY = maxH / ovH;
-        const maxScale = Math.min(scaleX, scaleY, 1);
-        // Construct a new overlay object with default state
-        const ov = {
-          img: rgbaImg,
-          originalImg: rgbaImg,
-          state: {
-            x: Math.min(20, maxW - ovW * maxScale),
-            y: Math.min(20, maxH - ovH * maxScale),
-            scale: maxScale,
-            angle: 0,
-            flipH: false,
-            flipV: false,
-          },
-          cropMode: false,
-          cropping: false,
-          cropStart: null,
-          cropEnd: null,
-        };
-        overlays.push(ov);
-        activeOverlayIndex = overlays.length - 1;
-        // Set active overlay references to the newly added overlay
-        updateActiveOverlayRefs();
-        filesProcessed++;
-        // Once all selected files are processed, update UI and save state
-        if (filesProcessed === files.length) {
-          controls.style.display = 'flex';
-          saveBtn.disabled = false;
-          removeOverlayBtn.disabled = false;
-          angleInput.value = 0;
-          cropBtn.disabled = false;
-          cropBtn.textContent = 'Crop';
-          // Save the new state so addition can be undone
-          saveState();
-          drawScene();
-        }
-      });
+    if (!inpaintWorkerUrl) {
+      inpaintWorkerUrl = URL.createObjectURL(new Blob([inpaintWorkerSource()], { type: 'text/javascript' }));
+    }
+    const worker = new Worker(inpaintWorkerUrl);
+    const onAbort = () => {
+      worker.terminate();
+      reject(new DOMException('Aborted', 'AbortError'));
+    };
+    const finish = () => {
+      worker.terminate();
+      if (signal) signal.removeEventListener('abort', onAbort);
+    };
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    worker.onmessage = (e) => {
+      if (e.data.progress !== undefined) {
+        if (onProgress) onProgress(e.data.progress);
+        return;
+      }
+      finish();
+      resolve(e.data.pixels);
     };
-    rawImg.src = URL.createObjectURL(file);
+    worker.onerror = (e) => {
+      finish();
+      reject(new Error(`Local inpainting failed: ${e.message}`));
+    };
+    worker.postMessage({ pixels, mask, width, height, radius }, [pixels.buffer, mask.buffer]);
   });
-  // Reset input value to allow uploading the same file again
-  overlayInput.value = '';
+}
+
+// Local erase: inpaint the masked region in the browser. Works offline. The
+// algorithm is deterministic, so further candidates use other neighbourhood radii.
+const LOCAL_INPAINT_RADII = [LOCAL_INPAINT_RADIUS, 3, 9, 14];
+registerEraseProvider('local', {
+  label: 'Local (offline)',
+  async erase({ imageCanvas, maskCanvas, variant = 0, signal, onProgress }) {
+    const w = imageCanvas.width;
+    const h = imageCanvas.height;
+    // Work on a copy; the same source tile is shared between candidates
+    const outCanvas = cropToCanvas(imageCanvas, { x: 0, y: 0, w, h });
+    const imgCtx = outCanvas.getContext('2d');
+    const imageData = imgCtx.getImageData(0, 0, w, h);
+    const maskPixels = maskCanvas.getContext('2d').getImageData(0, 0, w, h).data;
+    const mask = new Uint8Array(w * h);
+    for (let i = 0; i < mask.length; i++) {
+      mask[i] = maskPixels[i * 4] > 127 ? 1 : 0;
+    }
+    const radius = LOCAL_INPAINT_RADII[variant % LOCAL_INPAINT_RADII.length];
+    const report = onProgress ? (done) => onProgress(`Inpainting locally… ${Math.round(done * 100)}%`) : null;
+    const pixels = await inpaintInWorker(imageData.data, mask, w, h, radius, signal, report);
+    imgCtx.putImageData(new ImageData(pixels, w, h), 0, 0);
+    return outCanvas.toDataURL('image/png');
+  },
 });
 
-// Remove overlay
-removeOverlayBtn.addEventListener('click', () => {
-  // Remove the currently active overlay from the list
-  if (activeOverlayIndex < 0 || overlays.length === 0) return;
-  // Save current state for undo
-  saveState();
-  overlays.splice(activeOverlayIndex, 1);
-  // Adjust active overlay index
-  if (overlays.length === 0) {
-    activeOverlayIndex = -1;
-  } else {
-    // If we removed the last element, move active index to new last
-    if (activeOverlayIndex >= overlays.length) {
-      activeOverlayIndex = overlays.length - 1;
+/**
+ * Find the bounding box of the white pixels of a black/white mask canvas.
+ * @param {HTMLCanvasElement} maskCanvas
+ * @returns {{x: number, y: number, w: number, h: number}|null} null when the mask is empty.
+ */
+function maskBounds(maskCanvas) {
+  const w = maskCanvas.width;
+  const h = maskCanvas.height;
+  const data = maskCanvas.getContext('2d').getImageData(0, 0, w, h).data;
+  let minX = w;
+  let minY = h;
+  let maxX = -1;
+  let maxY = -1;
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      if (data[(y * w + x) * 4] > 127) {
+        if (x < minX) minX = x;
+        if (x > maxX) maxX = x;
+        if (y < minY) minY = y;
+        if (y > maxY) maxY = y;
+      }
     }
   }
-  updateActiveOverlayRefs();
-  // Update UI: disable controls if no overlays remain
-  if (!overlayImg) {
-    saveBtn.disabled = true;
-    removeOverlayBtn.disabled = true;
-    cropBtn.disabled = true;
-    cropBtn.textContent = 'Crop';
-  }
-  drawScene();
-  updateUndoRedoButtons();
-});
+  if (maxX < 0) return null;
+  return { x: minX, y: minY, w: maxX - minX + 1, h: maxY - minY + 1 };
+}
 
-// Set output directory using File System Access API
-setOutputBtn.addEventListener('click', async () => {
+// Helper: copy a rectangle of an image or canvas into a new canvas
+function cropToCanvas(source, rect) {
+  const cnv = document.createElement('canvas');
+  cnv.width = rect.w;
+  cnv.height = rect.h;
+  cnv.getContext('2d').drawImage(source, -rect.x, -rect.y);
+  return cnv;
+}
+
+/**
+ * Paste an erased tile back into the full background. The tile is blended
+ * through a feathered copy of the mask: pixels inside the mask are fully
+ * replaced and the seam fades out over `feather` pixels around it, so the
+ * surrounding context is left untouched.
+ * @param {HTMLImageElement} baseImg Background the tile was cut from.
+ * @param {HTMLImageElement} tileImg Erase result for the tile (scaled to the tile size if needed).
+ * @param {HTMLCanvasElement} maskTile Black/white mask of the tile.
+ * @param {{x: number, y: number, w: number, h: number}} rect Tile position in the background.
+ * @param {number} feather Seam width in pixels.
+ * @returns {HTMLCanvasElement} The composited background.
+ */
+function compositeEraseTile(baseImg, tileImg, maskTile, rect, feather) {
+  // Convert the black/white mask into an alpha mask
+  const alphaMask = document.createElement('canvas');
+  alphaMask.width = rect.w;
+  alphaMask.height = rect.h;
+  const alphaCtx = alphaMask.getContext('2d');
+  const maskData = maskTile.getContext('2d').getImageData(0, 0, rect.w, rect.h);
+  const px = maskData.data;
+  for (let i = 0; i < px.length; i += 4) {
+    px[i + 3] = px[i];
+    px[i] = 255;
+    px[i + 1] = 255;
+    px[i + 2] = 255;
+  }
+  alphaCtx.putImageData(maskData, 0, 0);
+  // Blur the mask outwards for the seam, then restore full strength inside it
+  const featherCanvas = document.createElement('canvas');
+  featherCanvas.width = rect.w;
+  featherCanvas.height = rect.h;
+  const featherCtx = featherCanvas.getContext('2d');
+  if (feather > 0) {
+    featherCtx.filter = `blur(${feather / 2}px)`;
+    featherCtx.drawImage(alphaMask, 0, 0);
+    featherCtx.filter = 'none';
+  }
+  featherCtx.drawImage(alphaMask, 0, 0);
+  // Keep only the feathered region of the result tile
+  const tileCanvas = document.createElement('canvas');
+  tileCanvas.width = rect.w;
+  tileCanvas.height = rect.h;
+  const tileCtx = tileCanvas.getContext('2d');
+  tileCtx.drawImage(tileImg, 0, 0, rect.w, rect.h);
+  tileCtx.globalCompositeOperation = 'destination-in';
+  tileCtx.drawImage(featherCanvas, 0, 0);
+  // Paste onto the original background
+  const out = document.createElement('canvas');
+  out.width = baseImg.width;
+  out.height = baseImg.height;
+  const outCtx = out.getContext('2d');
+  outCtx.drawImage(baseImg, 0, 0);
+  outCtx.drawImage(tileCanvas, rect.x, rect.y);
+  return out;
+}
+
+/**
+ * Erase the white region of maskCanvas from the current background using the
+ * configured erase provider. Only the tile around the mask is sent to the
+ * provider, once per requested candidate, and each result is pasted back into
+ * a copy of the full background.
+ * @param {HTMLCanvasElement} maskCanvas Black/white mask the size of the background.
+ * @param {AbortSignal} signal Aborts the request.
+ * @param {function(string): void} onProgress Receives status messages.
+ * @returns {Promise<{bounds: Object, candidates: HTMLImageElement[]}>} The
+ *   mask's bounding box and one erased background per successful candidate.
+ */
+async function runErase(maskCanvas, signal, onProgress) {
+  const provider = eraseProviders[eraseConfig.provider];
+  if (!provider) throw new Error(`Unknown erase provider: ${eraseConfig.provider}`);
+  const bounds = maskBounds(maskCanvas);
+  if (!bounds) throw new Error('Erase mask is empty');
+  // Crop the background and mask to the mask's bounding box plus context
+  const margin = Math.max(0, eraseConfig.contextMargin);
+  const x1 = Math.max(0, bounds.x - margin);
+  const y1 = Math.max(0, bounds.y - margin);
+  const x2 = Math.min(bgImg.width, bounds.x + bounds.w + margin);
+  const y2 = Math.min(bgImg.height, bounds.y + bounds.h + margin);
+  const tileRect = { x: x1, y: y1, w: x2 - x1, h: y2 - y1 };
+  const baseImg = bgImg;
+  const imageCanvas = cropToCanvas(baseImg, tileRect);
+  const maskTile = cropToCanvas(maskCanvas, tileRect);
+  const config = { ...eraseConfig };
+  // Skip the network round trip entirely when the browser knows it is offline
+  const offline = config.provider !== 'local' && config.fallbackToLocal && navigator.onLine === false;
+  // Ask for the token on first use rather than keeping one in the source
+  if (!offline && config.provider === 'bria' && !config.token) {
+    const token = window.prompt('Enter your Bria API token:');
+    if (token) {
+      eraseConfig.token = token.trim();
+      config.token = eraseConfig.token;
+      if (eraseTokenInput) eraseTokenInput.value = eraseConfig.token;
+    }
+  }
+  const count = Math.max(1, Math.min(MAX_ERASE_CANDIDATES, config.candidates));
+  const eraseCandidate = async (variant) => {
+    const request = {
+      imageCanvas,
+      maskCanvas: maskTile,
+      config,
+      signal,
+      onProgress: count > 1 ? (message) => onProgress(`[${variant + 1}/${count}] ${message}`) : onProgress,
+      seed: Math.floor(Math.random() * 2 ** 31),
+      variant,
+    };
+    let url;
+    try {
+      if (offline) throw unavailableError('Browser is offline');
+      url = await provider.erase(request);
+    } catch (err) {
+      // Only an unreachable provider falls back; a cancelled request, a missing
+      // or refused token and other client errors are reported instead
+      if (config.provider === 'local' || !config.fallbackToLocal || !isUnavailableError(err)) throw err;
+      console.warn('Erase provider unavailable, falling back to local inpainting:', err);
+      request.onProgress('Inpainting locally…');
+      url = await eraseProviders.local.erase(request);
+    }
+    const tileImg = await loadImage(url, 'anonymous');
+    if (signal.aborted) throw new DOMException('Aborted', 'AbortError');
+    const composite = compositeEraseTile(baseImg, tileImg, maskTile, tileRect, config.feather);
+    return canvasToImage(composite);
+  };
+  const variants = [];
+  for (let i = 0; i < count; i++) variants.push(i);
+  const results = await Promise.allSettled(variants.map(eraseCandidate));
+  const candidates = results.filter((r) => r.status === 'fulfilled').map((r) => r.value);
+  if (candidates.length === 0) throw results[0].reason;
+  return { bounds, candidates };
+}
+
+// Restore the non-secret erase settings from the previous visit. The token is
+// never persisted.
+try {
+  const stored = JSON.parse(localStorage.getItem('eraseSettings') || 'null');
+  if (stored) {
+    if (stored.provider && eraseProviders[stored.provider]) eraseConfig.provider = stored.provider;
+    if (typeof stored.endpoint === 'string') eraseConfig.endpoint = stored.endpoint;
+    if (typeof stored.fallbackToLocal === 'boolean') eraseConfig.fallbackToLocal = stored.fallbackToLocal;
+    if (typeof stored.async === 'boolean') eraseConfig.async = stored.async;
+    if (typeof stored.contextMargin === 'number') eraseConfig.contextMargin = stored.contextMargin;
+    if (typeof stored.candidates === 'number') eraseConfig.candidates = stored.candidates;
+    // Settings stored while switching providers kept the Bria endpoint
+    if (eraseConfig.provider !== 'bria' && eraseConfig.endpoint === DEFAULT_ERASE_ENDPOINT) eraseConfig.endpoint = '';
+  }
+} catch (err) {
+  console.warn('Could not read stored erase settings', err);
+}
+
+function storeEraseSettings() {
+  try {
+    localStorage.setItem('eraseSettings', JSON.stringify({
+      provider: eraseConfig.provider,
+      endpoint: eraseConfig.endpoint,
+      fallbackToLocal: eraseConfig.fallbackToLocal,
+      async: eraseConfig.async,
+      contextMargin: eraseConfig.contextMargin,
+      candidates: eraseConfig.candidates,
+    }));
+  } catch (err) {
+    console.warn('Could not store erase settings', err);
+  }
+}
+
+if (eraseProviderSelect) {
+  eraseProviderSelect.value = eraseConfig.provider;
+  eraseProviderSelect.addEventListener('change', (e) => {
+    eraseConfig.provider = e.target.value;
+    // Switching back to Bria restores its endpoint when the field was emptied;
+    // other providers do not use the Bria endpoint, so a custom endpoint has
+    // to be entered
+    if (eraseConfig.provider === 'bria' && !eraseConfig.endpoint) {
+      eraseConfig.endpoint = DEFAULT_ERASE_ENDPOINT;
+    } else if (eraseConfig.provider !== 'bria' && eraseConfig.endpoint === DEFAULT_ERASE_ENDPOINT) {
+      eraseConfig.endpoint = '';
+    }
+    if (eraseEndpointInput) eraseEndpointInput.value = eraseConfig.endpoint;
+    storeEraseSettings();
+  });
+}
+if (eraseEndpointInput) {
+  eraseEndpointInput.value = eraseConfig.endpoint;
+  eraseEndpointInput.addEventListener('change', (e) => {
+    eraseConfig.endpoint = e.target.value.trim();
+    storeEraseSettings();
+  });
+}
+if (eraseTokenInput) {
+  eraseTokenInput.addEventListener('input', (e) => {
+    eraseConfig.token = e.target.value.trim();
+  });
+}
+if (eraseFallbackCheckbox) {
+  eraseFallbackCheckbox.checked = eraseConfig.fallbackToLocal;
+  eraseFallbackCheckbox.addEventListener('change', (e) => {
+    eraseConfig.fallbackToLocal = e.target.checked;
+    storeEraseSettings();
+  });
+}
+if (eraseAsyncCheckbox) {
+  eraseAsyncCheckbox.checked = eraseConfig.async;
+  eraseAsyncCheckbox.addEventListener('change', (e) => {
+    eraseConfig.async = e.target.checked;
+    storeEraseSettings();
+  });
+}
+if (eraseMarginInput) {
+  eraseMarginInput.value = eraseConfig.contextMargin;
+  eraseMarginInput.addEventListener('change', (e) => {
+    const val = parseInt(e.target.value, 10);
+    if (!isNaN(val) && val >= 0) {
+      eraseConfig.contextMargin = val;
+      storeEraseSettings();
+    } else {
+      e.target.value = eraseConfig.contextMargin;
+    }
+  });
+}
+if (eraseCandidatesInput) {
+  eraseCandidatesInput.value = eraseConfig.candidates;
+  eraseCandidatesInput.addEventListener('change', (e) => {
+    const val = parseInt(e.target.value, 10);
+    if (!isNaN(val) && val >= 1 && val <= MAX_ERASE_CANDIDATES) {
+      eraseConfig.candidates = val;
+      storeEraseSettings();
+    } else {
+      e.target.value = eraseConfig.candidates;
+    }
+  });
+}
+// Cancel aborts the in-flight erase request; its result is discarded
+if (eraseCancelBtn) {
+  eraseCancelBtn.addEventListener('click', () => {
+    if (activeEraseJob) activeEraseJob.controller.abort();
+  });
+}
+
+// Show a status message for the running erase job (empty string hides it)
+function setEraseStatus(message) {
+  if (eraseStatus) eraseStatus.textContent = message;
+}
+
+// Initialise erase method and brush UI behaviour
+if (eraseMethodSelect) {
+  // Update eraseMethod based on dropdown selection
+  eraseMethodSelect.addEventListener('change', (e) => {
+    eraseMethod = e.target.value || 'rect';
+    // Show or hide the brush size slider depending on the method
+    if (eraseMethod === 'brush' && brushSizeLabel) {
+      brushSizeLabel.style.display = '';
+    } else if (brushSizeLabel) {
+      brushSizeLabel.style.display = 'none';
+    }
+    // Discard a half-drawn shape of the previous method
+    erasing = false;
+    eraseStart = null;
+    eraseEnd = null;
+    lassoPath = [];
+    drawScene();
+  });
+}
+if (maskModeSelect) {
+  maskModeSelect.addEventListener('change', (e) => {
+    maskMode = e.target.value === 'subtract' ? 'subtract' : 'add';
+  });
+}
+if (clearMaskBtn) {
+  clearMaskBtn.addEventListener('click', () => {
+    clearEraseMask();
+    drawScene();
+  });
+}
+if (applyEraseBtn) {
+  applyEraseBtn.addEventListener('click', () => {
+    performErase();
+  });
+}
+if (brushSizeSlider) {
+  brushSizeSlider.addEventListener('input', (e) => {
+    const val = parseInt(e.target.value, 10);
+    if (!isNaN(val)) {
+      brushRadius = val;
+    }
+  });
+}
+
+// Serialize an overlay for a project file: image URLs plus a deep copy of its
+// transformation, key, colour adjustments, shadows and crop state.
+function serializeOverlay(o) {
+  return {
+    imgData: o.img ? o.img.src : null,
+    originalData: o.originalImg ? o.originalImg.src : null,
+    sourceData: o.sourceImg ? o.sourceImg.src : null,
+    matteData: o.matteImg ? o.matteImg.src : null,
+    key: o.key ? { ...o.key } : null,
+    adjust: o.adjust ? { ...o.adjust } : null,
+    shadow: o.shadow ? { ...o.shadow } : null,
+    name: o.name,
+    visible: o.visible,
+    locked: o.locked,
+    state: { ...o.state },
+    cropMode: o.cropMode || false,
+    cropping: o.cropping || false,
+    cropStart: o.cropStart ? { ...o.cropStart } : null,
+    cropEnd: o.cropEnd ? { ...o.cropEnd } : null,
+  };
+}
+
+// Undo/Redo history. Each entry records one edit as the scene before and after
+// it. A scene record (captureScene()) holds only numbers and settings plus
+// references to the images in use; images are never modified once created
+// (crop, erase, key and matte edits always produce new image objects), so
+// consecutive records share their images and undo/redo swap references
+// without decoding anything.
+//
+// Edits are wrapped in beginHistory(label) / commitHistory(). An interaction
+// that changes nothing (e.g. a plain click) is not recorded, a continuous
+// interaction (a drag, a slider) becomes one entry, and repeated edits with the
+// same merge key within HISTORY_MERGE_MS are folded into the previous entry.
+// An edit that waits for something (an image to encode, a remote result)
+// either passes the token from beginHistory() to its commit, so that the commit
+// is dropped if the edit was pushed early by flushHistory(), or applies its
+// result through recordAsyncResult().
+// The history keeps at most HISTORY_MAX_ENTRIES entries and drops the oldest
+// ones when the images only it keeps alive exceed historyConfig.memoryCapMB.
+const undoBtn = document.getElementById('undo');
+const redoBtn = document.getElementById('redo');
+const historyCapInput = document.getElementById('history-cap');
+const undoStack = [];
+const redoStack = [];
+const HISTORY_MAX_ENTRIES = 200;
+const HISTORY_MERGE_MS = 1000;
+const historyConfig = { memoryCapMB: 512 };
+// Edit in progress between beginHistory() and commitHistory():
+// { token, label, mergeKey, before, depth }
+let pendingHistory = null;
+// Token of the last edit begun
+let lastHistoryToken = 0;
+
+try {
+  const savedCap = parseInt(localStorage.getItem('historyMemoryCapMB'), 10);
+  if (savedCap > 0) historyConfig.memoryCapMB = savedCap;
+} catch (err) {
+  console.warn('Could not read history settings:', err);
+}
+if (historyCapInput) {
+  historyCapInput.value = historyConfig.memoryCapMB;
+  historyCapInput.addEventListener('change', (e) => {
+    const val = parseInt(e.target.value, 10);
+    if (isNaN(val) || val <= 0) {
+      e.target.value = historyConfig.memoryCapMB;
+      return;
+    }
+    historyConfig.memoryCapMB = val;
+    try {
+      localStorage.setItem('historyMemoryCapMB', String(val));
+    } catch (err) {
+      console.warn('Could not store history settings:', err);
+    }
+    enforceHistoryLimits();
+    updateUndoRedoButtons();
+  });
+}
+
+// Record an overlay: image references plus copies of its settings
+function captureOverlay(o) {
+  return {
+    img: o.img,
+    originalImg: o.originalImg,
+    sourceImg: o.sourceImg,
+    matteImg: o.matteImg,
+    key: o.key ? { ...o.key } : null,
+    adjust: o.adjust ? { ...o.adjust } : null,
+    shadow: o.shadow ? { ...o.shadow } : null,
+    name: o.name,
+    visible: o.visible,
+    locked: o.locked,
+    state: { ...o.state },
+  };
+}
+
+// Record the current scene: image references plus copies of the settings
+function captureScene() {
+  return {
+    bg: bgImg,
+    activeIndex: activeOverlayIndex,
+    selected: selectedIndices(),
+    overlays: overlays.map(captureOverlay),
+  };
+}
+
+// True when two scene records show the same picture. The active overlay and
+// the selection are not edits and are ignored.
+function scenesEqual(a, b) {
+  if (a.bg !== b.bg || a.overlays.length !== b.overlays.length) return false;
+  return a.overlays.every((o, i) => {
+    const p = b.overlays[i];
+    return o.img === p.img && o.sourceImg === p.sourceImg && o.matteImg === p.matteImg
+      && o.name === p.name && o.visible === p.visible && o.locked === p.locked
+      && JSON.stringify(o.state) === JSON.stringify(p.state)
+      && JSON.stringify(o.key) === JSON.stringify(p.key)
+      && JSON.stringify(o.adjust) === JSON.stringify(p.adjust)
+      && JSON.stringify(o.shadow) === JSON.stringify(p.shadow);
+  });
+}
+
+// Replace the scene with a recorded one
+function applyScene(scene) {
+  // A background of another size is shown whole
+  if (bgImg && scene.bg && (scene.bg.width !== bgImg.width || scene.bg.height !== bgImg.height)) view.fit = true;
+  bgImg = scene.bg;
+  overlays = scene.overlays.map((o) => ({
+    img: o.img,
+    originalImg: o.originalImg,
+    sourceImg: o.sourceImg,
+    matteImg: o.matteImg,
+    key: o.key ? { ...o.key } : defaultKeySettings(),
+    adjust: o.adjust ? { ...o.adjust } : defaultAdjustments(),
+    shadow: o.shadow ? { ...o.shadow } : defaultShadowSettings(),
+    name: o.name,
+    visible: o.visible,
+    locked: o.locked,
+    state: { ...o.state },
+    cropMode: false,
+    cropping: false,
+    cropStart: null,
+    cropEnd: null,
+  }));
+  activeOverlayIndex = Math.min(scene.activeIndex, overlays.length - 1);
+  // The overlays are new objects, so the selection is restored by index
+  selection = new Set((scene.selected || []).filter((i) => i < overlays.length).map((i) => overlays[i]));
+  updateActiveOverlayRefs();
+  syncSceneControls();
+  drawScene();
+}
+
+/**
+ * Start recording an edit. Calls nest: inside an edit that is already being
+ * recorded (e.g. a drag that calls setTransform()) only the outermost label
+ * counts and the entry is pushed by the outermost commitHistory().
+ * @param {string} label Description of the edit.
+ * @param {string} [mergeKey] Edits with the same key in quick succession are
+ *   merged into one entry.
+ * @returns {number|null} Token of the edit being recorded (the enclosing one
+ *   when nested), or null when nothing is recorded (no background).
+ */
+function beginHistory(label, mergeKey) {
+  if (!bgImg) return null;
+  if (pendingHistory) {
+    pendingHistory.depth++;
+    return pendingHistory.token;
+  }
+  lastHistoryToken++;
+  pendingHistory = { token: lastHistoryToken, label, mergeKey: mergeKey || null, before: captureScene(), depth: 1 };
+  return lastHistoryToken;
+}
+
+// True when a commit or cancel carrying `token` belongs to the edit being
+// recorded. Calls without a token always do.
+function isPendingHistory(token) {
+  return !!pendingHistory && (token === undefined || token === pendingHistory.token);
+}
+
+// Finish the edit started with beginHistory() and push it unless it changed
+// nothing. `token` is the one beginHistory() returned; a stale one is ignored.
+function commitHistory(token) {
+  if (!isPendingHistory(token)) return;
+  if (--pendingHistory.depth > 0) return;
+  const { label, mergeKey, before } = pendingHistory;
+  pendingHistory = null;
+  const after = captureScene();
+  if (scenesEqual(before, after)) {
+    updateUndoRedoButtons();
+    return;
+  }
+  const now = Date.now();
+  const last = undoStack[undoStack.length - 1];
+  if (mergeKey && last && last.mergeKey === mergeKey && redoStack.length === 0
+    && now - last.time < HISTORY_MERGE_MS) {
+    last.after = after;
+    last.time = now;
+  } else {
+    undoStack.push({ label, mergeKey, before, after, time: now });
+  }
+  const dropped = redoStack.splice(0);
+  enforceHistoryLimits(dropped);
+  updateUndoRedoButtons();
+}
+
+// Abandon the edit started with beginHistory() without recording it. Inside
+// an enclosing edit only the nesting level is closed. A stale `token` is
+// ignored.
+function cancelHistory(token) {
+  if (!isPendingHistory(token)) return;
+  if (--pendingHistory.depth > 0) return;
+  pendingHistory = null;
+}
+
+// Push the edit being recorded right away, however deeply nested, e.g. before
+// undoing. Commits and cancels that arrive later with the interrupted edit's
+// token are ignored.
+function flushHistory() {
+  if (!pendingHistory) return;
+  pendingHistory.depth = 1;
+  commitHistory();
+}
+
+// Record the last, synchronous step of an asynchronous edit (fn applies its
+// result) as an entry of its own. An interaction in progress at that moment is
+// split around it: what it did so far is pushed, and it carries on as a new
+// entry with the same label and token, so that its own commit still ends it.
+function recordAsyncResult(label, fn) {
+  const interrupted = pendingHistory && { ...pendingHistory };
+  flushHistory();
+  recordHistory(label, fn);
+  if (interrupted && bgImg) pendingHistory = { ...interrupted, before: captureScene() };
+}
+
+// Record a synchronous edit performed by fn
+function recordHistory(label, fn, mergeKey) {
+  beginHistory(label, mergeKey);
+  fn();
+  commitHistory();
+}
+
+// Drop all history, e.g. when starting a new session
+function clearHistory() {
+  pendingHistory = null;
+  const dropped = undoStack.splice(0).concat(redoStack.splice(0));
+  releaseHistoryImages(dropped);
+  updateUndoRedoButtons();
+}
+
+// Images of a scene record
+function sceneImages(scene) {
+  const imgs = [scene.bg];
+  scene.overlays.forEach((o) => imgs.push(o.img, o.originalImg, o.sourceImg, o.matteImg));
+  return imgs.filter(Boolean);
+}
+
+// Images still in use outside the history
+function liveImages() {
+  const live = new Set(sceneImages(captureScene()));
+  if (bgOriginalImg) live.add(bgOriginalImg);
+  if (pendingHistory) sceneImages(pendingHistory.before).forEach((im) => live.add(im));
+  if (eraseReview) {
+    live.add(eraseReview.baseImg);
+    eraseReview.candidates.forEach((im) => live.add(im));
+  }
+  // Copied overlays can still be pasted
+  if (overlayClipboard) sceneImages({ bg: null, overlays: overlayClipboard.overlays }).forEach((im) => live.add(im));
+  return live;
+}
+
+// Decoded size of the images referenced only by the history, in bytes
+function historyMemoryBytes() {
+  const live = liveImages();
+  const seen = new Set();
+  let bytes = 0;
+  undoStack.concat(redoStack).forEach((entry) => {
+    sceneImages(entry.before).concat(sceneImages(entry.after)).forEach((im) => {
+      if (live.has(im) || seen.has(im)) return;
+      seen.add(im);
+      bytes += im.width * im.height * 4;
+    });
+  });
+  return bytes;
+}
+
+// Trim the oldest entries beyond the entry and memory limits. Entries dropped
+// by the caller (e.g. an invalidated redo stack) are released as well.
+function enforceHistoryLimits(dropped) {
+  const removed = dropped ? dropped.slice() : [];
+  while (undoStack.length > HISTORY_MAX_ENTRIES) removed.push(undoStack.shift());
+  const capBytes = historyConfig.memoryCapMB * 1024 * 1024;
+  while (undoStack.length + redoStack.length > 0 && historyMemoryBytes() > capBytes) {
+    // Prefer dropping the oldest undo step; the farthest redo step goes last
+    removed.push(undoStack.length > 0 ? undoStack.shift() : redoStack.shift());
+  }
+  releaseHistoryImages(removed);
+}
+
+// Revoke the blob URLs of images that only the given entries referenced
+function releaseHistoryImages(entries) {
+  if (entries.length === 0) return;
+  releaseUnusedImages([].concat(...entries.map((entry) => sceneImages(entry.before).concat(sceneImages(entry.after)))));
+}
+
+// Free those of the images that neither the scene nor the history uses, e.g.
+// the previews replaced while a key slider is dragged
+function releaseUnusedImages(images) {
+  const kept = liveImages();
+  undoStack.concat(redoStack).forEach((entry) => {
+    sceneImages(entry.before).concat(sceneImages(entry.after)).forEach((im) => kept.add(im));
+  });
+  images.forEach((im) => {
+    if (im && !kept.has(im)) releaseImage(im);
+  });
+}
+
+// Label of the overlay at `index` for history entries
+function overlayLabel(index) {
+  const ov = overlays[index];
+  return ov && ov.name ? `"${ov.name}"` : `overlay ${index + 1}`;
+}
+
+// Rename the edit being recorded once it is known what the interaction does
+function labelHistory(label) {
+  if (pendingHistory) pendingHistory.label = label;
+}
+
+/**
+ * Move through the history to the state after the first `position` entries
+ * (0 is the state before the oldest entry). An edit still being recorded is
+ * pushed first.
+ * @param {number} position Number of entries to leave applied.
+ */
+function jumpToHistory(position) {
+  flushHistory();
+  const total = undoStack.length + redoStack.length;
+  if (position < 0 || position > total || position === undoStack.length) return;
+  while (undoStack.length > position) redoStack.push(undoStack.pop());
+  while (undoStack.length < position) undoStack.push(redoStack.pop());
+  applyScene(position > 0 ? undoStack[position - 1].after : redoStack[redoStack.length - 1].before);
+  updateUndoRedoButtons();
+}
+
+// Step back one entry
+function undo() {
+  flushHistory();
+  jumpToHistory(undoStack.length - 1);
+}
+
+// Reapply the most recently undone entry
+function redo() {
+  flushHistory();
+  jumpToHistory(undoStack.length + 1);
+}
+
+/* Layers panel */
+// One row per overlay, topmost first: thumbnail, editable name, visibility and
+// lock toggles. Clicking a row selects the overlay without changing the
+// stacking order (shift-click adds it to the selection); dragging a row
+// reorders the overlays. Hidden layers are not drawn or saved, locked layers
+// cannot be moved or resized on the canvas or removed.
+const layersList = document.getElementById('layers-list');
+// Index of the overlay whose row is being dragged
+let layerDragIndex = -1;
+
+function renderLayersPanel() {
+  if (!layersList) return;
+  // Keep a name being typed
+  if (layersList.contains(document.activeElement) && document.activeElement.type === 'text') return;
+  layersList.innerHTML = '';
+  for (let i = overlays.length - 1; i >= 0; i--) {
+    const ov = overlays[i];
+    const index = i;
+    const li = document.createElement('li');
+    li.draggable = true;
+    if (index === activeOverlayIndex) li.classList.add('active');
+    else if (selection.has(ov)) li.classList.add('selected');
+    if (!ov.visible) li.classList.add('hidden-layer');
+    if (ov.img) {
+      const thumb = document.createElement('img');
+      thumb.src = thumbnailUrl(ov.img);
+      thumb.alt = '';
+      li.appendChild(thumb);
+    }
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.value = ov.name;
+    nameInput.title = 'Layer name';
+    nameInput.addEventListener('change', () => {
+      const name = nameInput.value.trim();
+      if (name) setOverlayProps(index, { name }, 'Rename layer');
+      nameInput.blur();
+      renderLayersPanel();
+    });
+    nameInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' || e.key === 'Escape') {
+        if (e.key === 'Escape') nameInput.value = ov.name;
+        nameInput.blur();
+      }
+    });
+    li.appendChild(nameInput);
+    const visibleBox = document.createElement('input');
+    visibleBox.type = 'checkbox';
+    visibleBox.checked = ov.visible;
+    visibleBox.title = 'Visible';
+    visibleBox.addEventListener('change', () => {
+      setOverlayProps(index, { visible: visibleBox.checked }, visibleBox.checked ? 'Show layer' : 'Hide layer');
+    });
+    li.appendChild(visibleBox);
+    const lockBox = document.createElement('input');
+    lockBox.type = 'checkbox';
+    lockBox.checked = ov.locked;
+    lockBox.title = 'Locked';
+    lockBox.addEventListener('change', () => {
+      setOverlayProps(index, { locked: lockBox.checked }, lockBox.checked ? 'Lock layer' : 'Unlock layer');
+    });
+    li.appendChild(lockBox);
+    li.addEventListener('click', (e) => {
+      if (e.target.tagName === 'INPUT') return;
+      // Shift-click adds the layer to the selection or removes it
+      if (e.shiftKey) selectOverlay(index, 'toggle');
+      else if (index !== activeOverlayIndex || selection.size > 1) selectOverlay(index);
+    });
+    li.addEventListener('dragstart', (e) => {
+      layerDragIndex = index;
+      e.dataTransfer.effectAllowed = 'move';
+      // Firefox only starts a drag with data set
+      e.dataTransfer.setData('text/plain', String(index));
+    });
+    li.addEventListener('dragover', (e) => {
+      if (layerDragIndex < 0) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      li.classList.add('drop-target');
+    });
+    li.addEventListener('dragleave', () => {
+      li.classList.remove('drop-target');
+    });
+    li.addEventListener('drop', (e) => {
+      e.preventDefault();
+      li.classList.remove('drop-target');
+      if (layerDragIndex >= 0 && layerDragIndex !== index) moveOverlay(layerDragIndex, index);
+      layerDragIndex = -1;
+    });
+    li.addEventListener('dragend', () => {
+      layerDragIndex = -1;
+    });
+    layersList.appendChild(li);
+  }
+}
+
+/* History panel */
+// Lists the initial state and every entry, oldest first; undone entries are
+// greyed out and clicking an item jumps to the state after it. Entries that
+// changed the background show a thumbnail of the new background, so the state
+// before a bad erase is easy to find.
+const historyList = document.getElementById('history-list');
+const THUMB_SIZE = 48;
+// Thumbnail data URLs by image: backgrounds in the history panel, overlays in
+// the layers panel
+const thumbnails = new WeakMap();
+
+function thumbnailUrl(img) {
+  if (!thumbnails.has(img)) {
+    const s = THUMB_SIZE / Math.max(img.width, img.height);
+    const cnv = document.createElement('canvas');
+    cnv.width = Math.max(1, Math.round(img.width * s));
+    cnv.height = Math.max(1, Math.round(img.height * s));
+    cnv.getContext('2d').drawImage(img, 0, 0, cnv.width, cnv.height);
+    thumbnails.set(img, cnv.toDataURL('image/png'));
+  }
+  return thumbnails.get(img);
+}
+
+function renderHistoryPanel() {
+  if (!historyList) return;
+  historyList.innerHTML = '';
+  if (!bgImg) return;
+  const entries = undoStack.concat(redoStack.slice().reverse());
+  const items = [null].concat(entries);
+  items.forEach((entry, i) => {
+    const li = document.createElement('li');
+    if (entry && entry.after.bg !== entry.before.bg && entry.after.bg) {
+      const thumb = document.createElement('img');
+      thumb.src = thumbnailUrl(entry.after.bg);
+      thumb.alt = '';
+      li.appendChild(thumb);
+    }
+    const text = document.createElement('span');
+    text.textContent = entry ? entry.label : 'Initial state';
+    li.appendChild(text);
+    if (i === undoStack.length) li.classList.add('current');
+    else if (i > undoStack.length) li.classList.add('undone');
+    li.title = 'Jump to this step';
+    li.addEventListener('click', () => jumpToHistory(i));
+    historyList.appendChild(li);
+  });
+  const current = historyList.querySelector('.current');
+  if (current) current.scrollIntoView({ block: 'nearest' });
+}
+
+// Enable or disable undo and redo buttons based on stack sizes and refresh the
+// history panel. Every change to the scene records or restores a history
+// state, so this is also where the autosave is scheduled.
+function updateUndoRedoButtons() {
+  undoBtn.disabled = undoStack.length === 0;
+  redoBtn.disabled = redoStack.length === 0;
+  renderHistoryPanel();
+  renderLayersPanel();
+  scheduleAutosave();
+}
+
+// Attach click handlers for undo/redo buttons
+undoBtn.addEventListener('click', () => {
+  undo();
+});
+redoBtn.addEventListener('click', () => {
+  redo();
+});
+
+// Crop button toggles crop mode on and off. When entering crop mode the user can drag
+// a rectangle on the overlay to crop the image. Clicking again cancels crop mode.
+cropBtn.addEventListener('click', () => {
+  // Crop button only works when an overlay is loaded and selected
+  if (!overlayImg || activeOverlayIndex < 0) return;
+  const ov = overlays[activeOverlayIndex];
+  if (!ov.cropMode || cropPurpose !== 'crop') {
+    // Leave a background removal selection in progress
+    cancelCropSelection(ov);
+    cropPurpose = 'crop';
+    // Enter crop mode for this overlay
+    ov.cropMode = true;
+    ov.cropping = false;
+    ov.cropStart = null;
+    ov.cropEnd = null;
+    cropBtn.textContent = 'Cancel Crop';
+  } else {
+    // Exit crop mode without applying crop
+    ov.cropMode = false;
+    ov.cropping = false;
+    ov.cropStart = null;
+    ov.cropEnd = null;
+    cropBtn.textContent = 'Crop';
+    drawScene();
+  }
+});
+
+// Leave the rectangle selection (crop or background removal) of an overlay
+function cancelCropSelection(ov) {
+  ov.cropMode = false;
+  ov.cropping = false;
+  ov.cropStart = null;
+  ov.cropEnd = null;
+  cropPurpose = 'crop';
+  cropBtn.textContent = 'Crop';
+  if (removeBgBtn && removeBgBtn.textContent === 'Cancel Remove BG') removeBgBtn.textContent = 'Remove BG';
+}
+
+// Erase button toggles erase mode on and off. When erase mode is active the user
+// builds a mask on the background from rectangles, brush strokes and lasso
+// selections, each adding to or subtracting from it. Apply Erase then sends the
+// combined mask to the configured erase provider.
+eraseBtn.addEventListener('click', () => {
+  if (!bgImg) return;
+  if (!eraseMode) {
+    eraseMode = true;
+    erasing = false;
+    eraseStart = null;
+    eraseEnd = null;
+    brushLast = null;
+    lassoPath = [];
+    clearEraseMask();
+    eraseBtn.textContent = 'Cancel Erase';
+    if (eraseToolsGroup) eraseToolsGroup.style.display = '';
+  } else {
+    // Cancel erase mode without applying erase
+    resetEraseMode();
+    drawScene();
+  }
+});
+
+// Leave erase mode and discard the mask and any stroke in progress
+function resetEraseMode() {
+  closeEraseReview();
+  eraseMode = false;
+  erasing = false;
+  eraseStart = null;
+  eraseEnd = null;
+  brushLast = null;
+  lassoPath = [];
+  brushCursor = null;
+  eraseMaskCanvas = null;
+  eraseMaskDirty = false;
+  eraseMaskTools = [];
+  eraseBtn.textContent = 'Erase';
+  if (eraseToolsGroup) eraseToolsGroup.style.display = 'none';
+  updateMaskButtons();
+}
+
+// Enable Clear/Apply only when the mask has strokes and no erase job is
+// running or awaiting review
+function updateMaskButtons() {
+  if (clearMaskBtn) clearMaskBtn.disabled = !eraseMaskDirty;
+  if (applyEraseBtn) applyEraseBtn.disabled = !eraseMaskDirty || !!activeEraseJob || !!eraseReview;
+}
+
+// Start a new, empty mask layer the size of the background
+function clearEraseMask() {
+  eraseMaskCanvas = document.createElement('canvas');
+  eraseMaskCanvas.width = bgImg.width;
+  eraseMaskCanvas.height = bgImg.height;
+  eraseMaskDirty = false;
+  eraseMaskTools = [];
+  updateMaskButtons();
+}
+
+// Helper: mask layer context set up to add or subtract according to `subtract`
+function maskContext(subtract) {
+  const mctx = eraseMaskCanvas.getContext('2d');
+  mctx.globalCompositeOperation = subtract ? 'destination-out' : 'source-over';
+  mctx.fillStyle = ERASE_MASK_COLOUR;
+  mctx.strokeStyle = ERASE_MASK_COLOUR;
+  return mctx;
+}
+
+function addRectToMask(start, end, subtract) {
+  const x1 = Math.min(start.x, end.x);
+  const y1 = Math.min(start.y, end.y);
+  const w = Math.abs(end.x - start.x);
+  const h = Math.abs(end.y - start.y);
+  if (w <= 0 || h <= 0) return;
+  maskContext(subtract).fillRect(x1, y1, w, h);
+  markMaskPainted('rect', subtract);
+}
+
+// Stamp the brush from `from` to `to` as a round-capped line so fast strokes stay continuous
+function addBrushSegmentToMask(from, to, subtract) {
+  const mctx = maskContext(subtract);
+  mctx.lineWidth = brushRadius * 2;
+  mctx.lineCap = 'round';
+  mctx.lineJoin = 'round';
+  mctx.beginPath();
+  mctx.moveTo(from.x, from.y);
+  mctx.lineTo(to.x, to.y);
+  mctx.stroke();
+  // A zero-length line draws nothing in some browsers; stamp a dot instead
+  if (from.x === to.x && from.y === to.y) {
+    mctx.beginPath();
+    mctx.arc(to.x, to.y, brushRadius, 0, 2 * Math.PI);
+    mctx.fill();
+  }
+  markMaskPainted('brush', subtract);
+}
+
+function addLassoToMask(points, subtract) {
+  if (points.length < 3) return;
+  const mctx = maskContext(subtract);
+  mctx.beginPath();
+  mctx.moveTo(points[0].x, points[0].y);
+  for (let i = 1; i < points.length; i++) {
+    mctx.lineTo(points[i].x, points[i].y);
+  }
+  mctx.closePath();
+  mctx.fill();
+  markMaskPainted('lasso', subtract);
+}
+
+// Note a stroke in the mask and the tool that added it
+function markMaskPainted(tool, subtract) {
+  eraseMaskDirty = true;
+  if (!subtract && eraseMaskTools.indexOf(tool) < 0) eraseMaskTools.push(tool);
+}
+
+// Convert the mask layer into a black/white mask: white where it was painted
+function buildEraseMask() {
+  const maskCanvas = document.createElement('canvas');
+  maskCanvas.width = eraseMaskCanvas.width;
+  maskCanvas.height = eraseMaskCanvas.height;
+  const maskCtx = maskCanvas.getContext('2d');
+  maskCtx.drawImage(eraseMaskCanvas, 0, 0);
+  maskCtx.globalCompositeOperation = 'source-in';
+  maskCtx.fillStyle = 'white';
+  maskCtx.fillRect(0, 0, maskCanvas.width, maskCanvas.height);
+  maskCtx.globalCompositeOperation = 'destination-over';
+  maskCtx.fillStyle = 'black';
+  maskCtx.fillRect(0, 0, maskCanvas.width, maskCanvas.height);
+  return maskCanvas;
+}
+
+// Handle to a user‑selected output directory (via File System Access API)
+let outputDirHandle = null;
+
+// Draw square resize handles centred on the given points
+function drawHandles(targetCtx, points) {
+  const ratio = canvasPixelRatio();
+  const handleSize = HANDLE_SIZE * ratio;
+  const halfHandle = handleSize / 2;
+  targetCtx.fillStyle = 'rgba(255,255,255,0.8)';
+  targetCtx.strokeStyle = 'rgba(0,0,0,0.7)';
+  targetCtx.lineWidth = ratio;
+  points.forEach((c) => {
+    targetCtx.beginPath();
+    targetCtx.rect(c.x - halfHandle, c.y - halfHandle, handleSize, handleSize);
+    targetCtx.fill();
+    targetCtx.stroke();
+  });
+}
+
+// Draw the round rotate handle at `handle`, joined to the box edge at `edge`
+function drawRotateHandle(targetCtx, edge, handle) {
+  const ratio = canvasPixelRatio();
+  targetCtx.save();
+  targetCtx.strokeStyle = 'rgba(0,0,0,0.7)';
+  targetCtx.fillStyle = 'rgba(255,255,255,0.8)';
+  targetCtx.lineWidth = ratio;
+  targetCtx.beginPath();
+  targetCtx.moveTo(edge.x, edge.y);
+  targetCtx.lineTo(handle.x, handle.y);
+  targetCtx.stroke();
+  targetCtx.beginPath();
+  targetCtx.arc(handle.x, handle.y, (HANDLE_SIZE / 2 + 1) * ratio, 0, Math.PI * 2);
+  targetCtx.fill();
+  targetCtx.stroke();
+  targetCtx.restore();
+}
+
+// Draw an overlay's image with its shadows, transform, opacity and blend mode
+// onto a 2D context. The shadows are drawn normally, under the blended image.
+function drawOverlayImage(targetCtx, ov) {
+  targetCtx.save();
+  targetCtx.globalAlpha = ov.state.opacity;
+  const shadow = shadowLayer(ov);
+  if (shadow) drawTransformedImage(targetCtx, shadow.canvas, ov.state, ov.img, shadow);
+  targetCtx.globalCompositeOperation = blendOperation(ov.state.blend);
+  drawTransformedImage(targetCtx, adjustedImage(ov), ov.state);
+  targetCtx.restore();
+}
+
+// Draw an image (or canvas) where an overlay with `state` goes. `size` is the
+// overlay image when `img` is something larger laid out in its pixels (a
+// shadow layer), with the top-left corner of `img` at `offset`.
+function drawTransformedImage(targetCtx, img, state, size = img, offset = { x: 0, y: 0 }) {
+  const c = geometry.overlayCenter(size.width, size.height, state);
+  targetCtx.save();
+  targetCtx.translate(c.x, c.y);
+  targetCtx.rotate((state.angle * Math.PI) / 180);
+  targetCtx.scale(state.flipH ? -1 : 1, state.flipV ? -1 : 1);
+  targetCtx.scale(state.scaleX, state.scaleY);
+  targetCtx.drawImage(img, offset.x - size.width / 2, offset.y - size.height / 2);
+  targetCtx.restore();
+}
+
+/* Rendering */
+// drawScene() only schedules a redraw: renderScene() runs at most once per
+// animation frame however many changes come in between (e.g. several pointer
+// events). The background with the overlays below the selection, and the
+// overlays above it, are kept as screen-sized bitmaps (layer caches) that are
+// only redrawn when something in them or the view changes, so dragging redraws
+// just the selected overlays and whatever lies between them. The navigator
+// keeps thumbnail-sized caches of the same layers. To check how long a drag
+// frame takes, run overlayApp.measureRendering() in the console with the
+// overlays to drag selected (see measureRendering()). Erase strokes are
+// painted into the mask canvas as they happen (see addBrushSegmentToMask()),
+// so showing the mask costs the same however long the stroke gets.
+let renderPending = false;
+const layerCaches = {
+  below: { canvas: null, key: '' },
+  above: { canvas: null, key: '' },
+  navBelow: { canvas: null, key: '' },
+  navAbove: { canvas: null, key: '' },
+};
+// Ids of the images drawn, for the cache keys
+const imageIds = new WeakMap();
+let nextImageId = 1;
+
+// Helper: draw the current scene onto the canvas (on the next animation frame)
+function drawScene() {
+  if (renderPending) return;
+  renderPending = true;
+  requestAnimationFrame(() => {
+    renderPending = false;
+    renderScene();
+  });
+}
+
+function imageId(img) {
+  if (!imageIds.has(img)) imageIds.set(img, nextImageId++);
+  return imageIds.get(img);
+}
+
+// Set the view transform on a context the size of the canvas
+function applyViewTransform(targetCtx) {
+  const scale = view.zoom * (window.devicePixelRatio || 1);
+  targetCtx.setTransform(scale, 0, 0, scale, -view.x * scale, -view.y * scale);
+  // Show the individual pixels when zoomed in
+  targetCtx.imageSmoothingEnabled = view.zoom < 2;
+}
+
+// Background on white, framed, with the erase result under review
+function drawBackground(targetCtx) {
+  const ratio = canvasPixelRatio();
+  targetCtx.fillStyle = '#fff';
+  targetCtx.fillRect(0, 0, bgImg.width, bgImg.height);
+  targetCtx.drawImage(bgImg, 0, 0);
+  targetCtx.strokeStyle = '#ddd';
+  targetCtx.lineWidth = ratio;
+  targetCtx.strokeRect(-ratio / 2, -ratio / 2, bgImg.width + ratio, bgImg.height + ratio);
+  if (eraseReview) drawEraseReview(targetCtx);
+}
+
+/**
+ * Layer cache holding the visible overlays from `from` up to (not including)
+ * `to`, redrawn only when its contents or the surface changed.
+ * @param {{canvas: HTMLCanvasElement, key: string}} cache Entry of layerCaches.
+ * @param {number} from First overlay index.
+ * @param {number} to Overlay index to stop at.
+ * @param {{width: number, height: number, key: string, begin: function(CanvasRenderingContext2D)}} surface
+ *   Size of the layer in device pixels, and begin() sets the transform from
+ *   canvas coordinates, which `key` describes.
+ * @param {function(CanvasRenderingContext2D)} [drawUnder] Draws the background
+ *   underneath.
+ * @returns {HTMLCanvasElement}
+ */
+function cachedLayer(cache, from, to, surface, drawUnder) {
+  const parts = [surface.width, surface.height, surface.key];
+  if (drawUnder) {
+    parts.push(imageId(bgImg));
+    if (eraseReview) parts.push(imageId(eraseReview.candidates[eraseReview.index]), eraseReview.split);
+  }
+  for (let i = from; i < to; i++) {
+    const ov = overlays[i];
+    if (ov.img && ov.visible) parts.push(`${imageId(ov.img)}:${JSON.stringify(ov.state)}:${JSON.stringify(ov.adjust)}:${JSON.stringify(ov.shadow)}`);
+  }
+  const key = parts.join('|');
+  if (cache.canvas && cache.key === key) return cache.canvas;
+  if (!cache.canvas) cache.canvas = document.createElement('canvas');
+  const layer = cache.canvas;
+  const lctx = layer.getContext('2d');
+  if (layer.width !== surface.width || layer.height !== surface.height) {
+    layer.width = surface.width;
+    layer.height = surface.height;
+  } else {
+    lctx.setTransform(1, 0, 0, 1, 0, 0);
+    lctx.clearRect(0, 0, layer.width, layer.height);
+  }
+  surface.begin(lctx);
+  if (drawUnder) drawUnder(lctx);
+  for (let i = from; i < to; i++) {
+    const ov = overlays[i];
+    if (ov.img && ov.visible) drawOverlayImage(lctx, ov);
+  }
+  cache.key = key;
+  return layer;
+}
+
+// Outline of a selected overlay; the active one of a single selection also
+// gets its handles and the crop rectangle being drawn
+function drawSelectionMarks(targetCtx, ov) {
+  const ratio = canvasPixelRatio();
+  const { w, h } = geometry.scaledSize(ov.img.width, ov.img.height, ov.state);
+  const c = geometry.overlayCenter(ov.img.width, ov.img.height, ov.state);
+  targetCtx.save();
+  targetCtx.translate(c.x, c.y);
+  targetCtx.rotate((ov.state.angle * Math.PI) / 180);
+  // Outline
+  targetCtx.strokeStyle = 'rgba(0,0,0,0.5)';
+  targetCtx.lineWidth = ratio;
+  targetCtx.strokeRect(-w / 2, -h / 2, w, h);
+  if (selection.size > 1) {
+    targetCtx.restore();
+    return;
+  }
+  // Draw handles as small squares (constant size in screen pixels). We don't scale these with overlay scale.
+  const handles = geometry.handlePoints(ov.img.width, ov.img.height, ov.state, ROTATE_HANDLE_OFFSET * ratio);
+  drawRotateHandle(targetCtx, handles.n, handles.rotate);
+  drawHandles(targetCtx, ['nw', 'ne', 'se', 'sw', 'n', 'e', 's', 'w'].map((k) => handles[k]));
+  // If cropping is active or in progress for this overlay, draw the selection rectangle
+  if ((ov.cropMode || ov.cropping) && ov.cropStart && ov.cropEnd) {
+    // Determine rectangle in local unscaled coordinates
+    let sxU = Math.min(ov.cropStart.x, ov.cropEnd.x);
+    let exU = Math.max(ov.cropStart.x, ov.cropEnd.x);
+    let syU = Math.min(ov.cropStart.y, ov.cropEnd.y);
+    let eyU = Math.max(ov.cropStart.y, ov.cropEnd.y);
+    // Apply flips for display
+    const dispX1 = (ov.state.flipH ? -exU : sxU) * ov.state.scaleX;
+    const dispX2 = (ov.state.flipH ? -sxU : exU) * ov.state.scaleX;
+    const dispY1 = (ov.state.flipV ? -eyU : syU) * ov.state.scaleY;
+    const dispY2 = (ov.state.flipV ? -syU : eyU) * ov.state.scaleY;
+    const rectX = dispX1;
+    const rectY = dispY1;
+    const rectW = dispX2 - dispX1;
+    const rectH = dispY2 - dispY1;
+    targetCtx.save();
+    targetCtx.fillStyle = 'rgba(255, 255, 255, 0.25)';
+    targetCtx.fillRect(rectX, rectY, rectW, rectH);
+    targetCtx.strokeStyle = 'rgba(255, 0, 0, 0.8)';
+    targetCtx.lineWidth = ratio;
+    targetCtx.setLineDash([6 * ratio, 4 * ratio]);
+    targetCtx.strokeRect(rectX, rectY, rectW, rectH);
+    targetCtx.setLineDash([]);
+    targetCtx.restore();
+  }
+  targetCtx.restore();
+}
+
+// Overlays drawn live rather than from the layer caches: from the lowest to
+// the highest selected one (or none, lo > hi, without a selection). A blend
+// mode needs what lies underneath, which the cache above does not have, so
+// overlays up to the topmost blended one are drawn live too.
+function liveRange() {
+  const selected = selectedIndices();
+  const lo = selected.length > 0 ? selected[0] : overlays.length;
+  let hi = selected.length > 0 ? selected[selected.length - 1] : overlays.length - 1;
+  for (let i = hi + 1; i < overlays.length; i++) {
+    if (overlays[i].state.blend !== 'normal') hi = i;
+  }
+  return { lo, hi };
+}
+
+/**
+ * Time the redraws of a drag: the selection is moved by a pixel and back
+ * `frames` times and the scene rendered after each step, then everything is
+ * put back. Work the GPU does later is not all included, so take the result
+ * as a lower bound; compare runs on the same machine, e.g. a 24 MP background
+ * with 20+ overlays and one of them selected.
+ * @param {number} [frames] Number of frames to render.
+ * @returns {{frames: number, msPerFrame: number}}
+ */
+function measureRendering(frames = 60) {
+  if (!bgImg) throw new Error('Load a background before measuring');
+  const moved = selectedIndices().map((i) => overlays[i]);
+  const startX = moved.map((ov) => ov.state.x);
+  // Fill the caches first, as a drag that is under way has them
+  renderScene();
+  const t0 = performance.now();
+  for (let k = 0; k < frames; k++) {
+    moved.forEach((ov, n) => {
+      ov.state.x = startX[n] + ((k + 1) % 2);
+    });
+    renderScene();
+  }
+  const elapsed = performance.now() - t0;
+  moved.forEach((ov, n) => {
+    ov.state.x = startX[n];
+  });
+  drawScene();
+  return { frames, msPerFrame: elapsed / frames };
+}
+
+// Draw the scene now; use drawScene() to request a redraw
+function renderScene() {
+  // Match the canvas to its size on screen, at the device resolution
+  const dpr = window.devicePixelRatio || 1;
+  const width = Math.max(1, Math.round(canvas.clientWidth * dpr));
+  const height = Math.max(1, Math.round(canvas.clientHeight * dpr));
+  if (canvas.width !== width || canvas.height !== height) {
+    canvas.width = width;
+    canvas.height = height;
+  }
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  if (!bgImg) {
+    drawNavigator();
+    return;
+  }
+  clampView();
+  const ratio = canvasPixelRatio();
+  const { lo, hi } = liveRange();
+  const screen = {
+    width: canvas.width,
+    height: canvas.height,
+    key: `${view.zoom},${view.x},${view.y}`,
+    begin: applyViewTransform,
+  };
+  ctx.drawImage(cachedLayer(layerCaches.below, 0, lo, screen, drawBackground), 0, 0);
+  // From here on everything is drawn in canvas (background) coordinates
+  applyViewTransform(ctx);
+  for (let idx = lo; idx <= hi; idx++) {
+    const ov = overlays[idx];
+    // Hidden layers are skipped, including their selection outline
+    if (!ov.img || !ov.visible) continue;
+    drawOverlayImage(ctx, ov);
+    // Selected overlays get an outline; a group has its own handles
+    if (selection.has(ov)) drawSelectionMarks(ctx, ov);
+  }
+  if (hi + 1 < overlays.length) {
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.drawImage(cachedLayer(layerCaches.above, hi + 1, overlays.length, screen), 0, 0);
+    applyViewTransform(ctx);
+  }
+  drawGrid(ctx);
+  // Group box around several selected overlays
+  if (selection.size > 1) {
+    const bounds = geometry.groupBounds(selectionItems(selectedIndices()));
+    ctx.save();
+    ctx.strokeStyle = 'rgba(0, 123, 255, 0.9)';
+    ctx.lineWidth = ratio;
+    ctx.setLineDash([6 * ratio, 4 * ratio]);
+    ctx.strokeRect(bounds.x, bounds.y, bounds.w, bounds.h);
+    ctx.setLineDash([]);
+    const top = { x: bounds.x + bounds.w / 2, y: bounds.y };
+    drawRotateHandle(ctx, top, groupRotateHandle(bounds));
+    drawHandles(ctx, groupCorners(bounds));
+    ctx.restore();
+  }
+  // Marquee selection in progress
+  if (marquee) {
+    ctx.save();
+    ctx.fillStyle = 'rgba(0, 123, 255, 0.1)';
+    ctx.strokeStyle = 'rgba(0, 123, 255, 0.9)';
+    ctx.lineWidth = ratio;
+    const mx = Math.min(marquee.start.x, marquee.end.x);
+    const my = Math.min(marquee.start.y, marquee.end.y);
+    const mw = Math.abs(marquee.end.x - marquee.start.x);
+    const mh = Math.abs(marquee.end.y - marquee.start.y);
+    ctx.fillRect(mx, my, mw, mh);
+    ctx.strokeRect(mx, my, mw, mh);
+    ctx.restore();
+  }
+  // Draw the erase mask and the stroke in progress while in erase mode
+  if (eraseMode) {
+    // Mask layer as a translucent tint
+    if (eraseMaskCanvas) {
+      ctx.save();
+      ctx.globalAlpha = 0.45;
+      ctx.drawImage(eraseMaskCanvas, 0, 0);
+      ctx.restore();
+    }
+    // Brush preview: outline of the brush at the pointer
+    if (eraseMethod === 'brush' && brushCursor) {
+      ctx.save();
+      ctx.strokeStyle = 'rgba(0, 0, 255, 0.8)';
+      ctx.lineWidth = ratio;
+      ctx.beginPath();
+      ctx.arc(brushCursor.x, brushCursor.y, brushRadius, 0, 2 * Math.PI);
+      ctx.stroke();
+      ctx.restore();
+    }
+    // Lasso preview: the polygon drawn so far
+    if (eraseMethod === 'lasso' && lassoPath.length > 1) {
+      ctx.save();
+      ctx.strokeStyle = 'rgba(0, 0, 255, 0.8)';
+      ctx.lineWidth = ratio;
+      ctx.setLineDash([6 * ratio, 4 * ratio]);
+      ctx.beginPath();
+      ctx.moveTo(lassoPath[0].x, lassoPath[0].y);
+      lassoPath.forEach((pt) => ctx.lineTo(pt.x, pt.y));
+      ctx.closePath();
+      ctx.stroke();
+      ctx.setLineDash([]);
+      ctx.restore();
+    }
+    // Rectangle preview: draw selection rectangle if using rectangle method
+    if (eraseMethod === 'rect' && eraseStart && eraseEnd) {
+      const x1 = Math.min(eraseStart.x, eraseEnd.x);
+      const y1 = Math.min(eraseStart.y, eraseEnd.y);
+      const x2 = Math.max(eraseStart.x, eraseEnd.x);
+      const y2 = Math.max(eraseStart.y, eraseEnd.y);
+      ctx.save();
+      // Semi-transparent fill to indicate selected region
+      ctx.fillStyle = 'rgba(0, 0, 0, 0.25)';
+      ctx.fillRect(x1, y1, x2 - x1, y2 - y1);
+      ctx.strokeStyle = 'rgba(0, 0, 255, 0.8)';
+      ctx.lineWidth = ratio;
+      ctx.setLineDash([6 * ratio, 4 * ratio]);
+      ctx.strokeRect(x1, y1, x2 - x1, y2 - y1);
+      ctx.setLineDash([]);
+      ctx.restore();
+    }
+  }
+  drawGuides(ctx);
+  if (snapConfig.rulers) drawRulers(ctx);
+  drawNavigator();
+}
+
+/* Colour keying */
+// Overlays are often shot against a grey or coloured matte. Each overlay keeps
+// its untouched source image (ov.sourceImg) and its own key settings (ov.key):
+//   enabled    apply the key at all
+//   color      key colour as '#rrggbb', picked with the eyedropper or detected
+//              from the border pixels; null until one has been chosen
+//   tolerance  distance from the key colour (0-100 % of the RGB cube diagonal)
+//              below which pixels become fully transparent
+//   softness   width of the ramp above the tolerance over which pixels fade in
+//   spill      0-100 % strength of the colour spill suppression on edge pixels
+// ov.img (and ov.originalImg) hold the keyed result, recomputed from the source
+// whenever the settings change, so keying can be re-edited at any time.
+function defaultKeySettings() {
+  return { enabled: false, color: null, tolerance: 12, softness: 8, spill: 50 };
+}
+
+// Helper: parse '#rrggbb' into [r, g, b]
+function hexToRgb(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+// Helper: format [r, g, b] as '#rrggbb'
+function rgbToHex(rgb) {
+  return `#${rgb.map((c) => Math.round(c).toString(16).padStart(2, '0')).join('')}`;
+}
+
+// Helper: draw an image into a new canvas of the same size
+function imageToCanvas(img) {
+  return cropToCanvas(img, { x: 0, y: 0, w: img.width, h: img.height });
+}
+
+/**
+ * Apply a colour key to an overlay image.
+ * @param {HTMLImageElement} img Source image.
+ * @param {Object} key Key settings (see defaultKeySettings()).
+ * @returns {Promise<HTMLImageElement>} The keyed image, or the source itself
+ *   when keying is disabled. Rejects when the keyed image cannot be made.
+ */
+async function applyGreyKey(img, key) {
+  if (!key || !key.enabled || !key.color) return img;
+  const cnv = imageToCanvas(img);
+  const cctx = cnv.getContext('2d');
+  const imageData = cctx.getImageData(0, 0, cnv.width, cnv.height);
+  const px = imageData.data;
+  const [kr, kg, kb] = hexToRgb(key.color);
+  const maxDist = Math.sqrt(3 * 255 * 255);
+  const tol = (key.tolerance / 100) * maxDist;
+  const soft = Math.max(1, (key.softness / 100) * maxDist);
+  const spill = key.spill / 100;
+  for (let i = 0; i < px.length; i += 4) {
+    const r = px[i];
+    const g = px[i + 1];
+    const b = px[i + 2];
+    const dist = Math.sqrt((r - kr) ** 2 + (g - kg) ** 2 + (b - kb) ** 2);
+    const alpha = Math.max(0, Math.min(1, (dist - tol) / soft));
+    if (alpha < 1 && alpha > 0 && spill > 0) {
+      // Remove the key colour mixed into edge pixels: the pixel is treated as
+      // alpha * foreground + (1 - alpha) * key and the foreground recovered
+      const fr = Math.max(0, Math.min(255, (r - (1 - alpha) * kr) / alpha));
+      const fg = Math.max(0, Math.min(255, (g - (1 - alpha) * kg) / alpha));
+      const fb = Math.max(0, Math.min(255, (b - (1 - alpha) * kb) / alpha));
+      px[i] = r + spill * (fr - r);
+      px[i + 1] = g + spill * (fg - g);
+      px[i + 2] = b + spill * (fb - b);
+    }
+    px[i + 3] = px[i + 3] * alpha;
+  }
+  cctx.putImageData(imageData, 0, 0);
+  return canvasToImage(cnv);
+}
+
+/**
+ * Detect the matte colour from the border pixels of an image: the most common
+ * colour (quantised to 5 bits per channel) along the four edges, averaged over
+ * the pixels that fall into that bucket.
+ * @param {HTMLImageElement} img
+ * @returns {string} Colour as '#rrggbb'.
+ */
+function detectKeyColor(img) {
+  const cnv = imageToCanvas(img);
+  const w = cnv.width;
+  const h = cnv.height;
+  const px = cnv.getContext('2d').getImageData(0, 0, w, h).data;
+  const buckets = new Map();
+  const sample = (x, y) => {
+    const i = (y * w + x) * 4;
+    if (px[i + 3] < 128) return;
+    const bucketKey = ((px[i] >> 3) << 10) | ((px[i + 1] >> 3) << 5) | (px[i + 2] >> 3);
+    const bucket = buckets.get(bucketKey) || { n: 0, r: 0, g: 0, b: 0 };
+    bucket.n++;
+    bucket.r += px[i];
+    bucket.g += px[i + 1];
+    bucket.b += px[i + 2];
+    buckets.set(bucketKey, bucket);
+  };
+  for (let x = 0; x < w; x++) {
+    sample(x, 0);
+    sample(x, h - 1);
+  }
+  for (let y = 1; y < h - 1; y++) {
+    sample(0, y);
+    sample(w - 1, y);
+  }
+  let best = null;
+  buckets.forEach((bucket) => {
+    if (!best || bucket.n > best.n) best = bucket;
+  });
+  if (!best) return '#808080';
+  return rgbToHex([best.r / best.n, best.g / best.n, best.b / best.n]);
+}
+
+// Helper: colour of the source image pixel at (x, y) as '#rrggbb'
+function sampleImageColor(img, x, y) {
+  const cnv = document.createElement('canvas');
+  cnv.width = 1;
+  cnv.height = 1;
+  const cctx = cnv.getContext('2d');
+  cctx.drawImage(img, x, y, 1, 1, 0, 0, 1, 1);
+  const d = cctx.getImageData(0, 0, 1, 1).data;
+  return rgbToHex([d[0], d[1], d[2]]);
+}
+
+// Helper: overlay image made from a source image with a key and a matte (see
+// rebuildOverlayImage()). Rejects when either step fails.
+async function composeOverlayImage(sourceImg, key, matteImg) {
+  const keyed = await applyGreyKey(sourceImg, key);
+  if (!matteImg || keyed === sourceImg) return applyMatte(keyed, matteImg);
+  // The keyed image is only a step on the way
+  try {
+    return await applyMatte(keyed, matteImg);
+  } finally {
+    releaseImage(keyed);
+  }
+}
+
+// Recompute an overlay's image from its source: the colour key first, then the
+// background removal matte, if any. Results of superseded settings (e.g. while
+// a slider is being dragged) are dropped, and so are the images they replace
+// unless the history still needs them. onDone is called once the rebuild is
+// over, whether or not it succeeded.
+function rebuildOverlayImage(ov, onDone) {
+  const version = (ov.keyVersion || 0) + 1;
+  ov.keyVersion = version;
+  composeOverlayImage(ov.sourceImg, ov.key, ov.matteImg)
+    .then((result) => {
+      // A newer rebuild replaces this result
+      if (ov.keyVersion !== version) {
+        releaseUnusedImages([result]);
+        return;
+      }
+      const previous = ov.img;
+      ov.img = result;
+      ov.originalImg = result;
+      updateActiveOverlayRefs();
+      drawScene();
+      releaseUnusedImages([previous]);
+    })
+    .catch((err) => {
+      console.error('Could not rebuild the overlay image:', err);
+    })
+    .then(() => {
+      if (onDone) onDone();
+    });
+}
+
+// Key controls
+const keyEnabledCheckbox = document.getElementById('key-enabled');
+const keyColorInput = document.getElementById('key-color');
+const keyPickBtn = document.getElementById('key-pick');
+const keyAutoBtn = document.getElementById('key-auto');
+const keyToleranceSlider = document.getElementById('key-tolerance');
+const keySoftnessSlider = document.getElementById('key-softness');
+const keySpillSlider = document.getElementById('key-spill');
+// True while the eyedropper waits for a click on the active overlay
+let keyPickMode = false;
+// True between the first input of a key slider drag and its change event, so
+// that a whole drag is recorded as a single undo step
+let keyEditInProgress = false;
+// History token of the key edit (see beginHistory())
+let keyHistoryToken = null;
+// Pending live preview update
+let keyPreviewTimer = null;
+
+// Show the active overlay's key settings in the key controls
+function syncKeyControls() {
+  const ov = activeOverlayIndex >= 0 ? overlays[activeOverlayIndex] : null;
+  const key = ov && ov.key ? ov.key : defaultKeySettings();
+  const disabled = !ov || !ov.sourceImg;
+  if (keyEnabledCheckbox) {
+    keyEnabledCheckbox.checked = key.enabled;
+    keyEnabledCheckbox.disabled = disabled;
+  }
+  if (keyColorInput) {
+    keyColorInput.value = key.color || '#808080';
+    keyColorInput.disabled = disabled;
+  }
+  if (keyPickBtn) keyPickBtn.disabled = disabled;
+  if (keyAutoBtn) keyAutoBtn.disabled = disabled;
+  if (keyToleranceSlider) {
+    keyToleranceSlider.value = key.tolerance;
+    keyToleranceSlider.disabled = disabled;
+  }
+  if (keySoftnessSlider) {
+    keySoftnessSlider.value = key.softness;
+    keySoftnessSlider.disabled = disabled;
+  }
+  if (keySpillSlider) {
+    keySpillSlider.value = key.spill;
+    keySpillSlider.disabled = disabled;
+  }
+}
+
+// Apply a change to the active overlay's key settings and refresh the preview.
+// `live` edits come from a slider being dragged and are coalesced.
+function updateActiveKey(changes, live) {
+  if (activeOverlayIndex < 0) return;
+  const ov = overlays[activeOverlayIndex];
+  if (!ov.sourceImg) return;
+  if (!keyEditInProgress) keyHistoryToken = beginHistory('Colour key');
+  keyEditInProgress = !!live;
+  ov.key = { ...(ov.key || defaultKeySettings()), ...changes };
+  // Enabling the key without a colour picks one from the border
+  if (ov.key.enabled && !ov.key.color) ov.key.color = detectKeyColor(ov.sourceImg);
+  syncKeyControls();
+  clearTimeout(keyPreviewTimer);
+  if (live) {
+    keyPreviewTimer = setTimeout(() => rebuildOverlayImage(ov), 60);
+  } else {
+    const token = keyHistoryToken;
+    rebuildOverlayImage(ov, () => commitHistory(token));
+  }
+}
+
+// End a slider or colour drag: the final preview completes the undo entry
+function finishKeyEdit() {
+  if (!keyEditInProgress) return;
+  keyEditInProgress = false;
+  clearTimeout(keyPreviewTimer);
+  const token = keyHistoryToken;
+  if (activeOverlayIndex < 0) {
+    commitHistory(token);
+    return;
+  }
+  rebuildOverlayImage(overlays[activeOverlayIndex], () => commitHistory(token));
+}
+
+if (keyEnabledCheckbox) {
+  keyEnabledCheckbox.addEventListener('change', (e) => {
+    updateActiveKey({ enabled: e.target.checked });
+  });
+}
+if (keyColorInput) {
+  keyColorInput.addEventListener('input', (e) => {
+    updateActiveKey({ color: e.target.value, enabled: true }, true);
+  });
+  keyColorInput.addEventListener('change', finishKeyEdit);
+}
+if (keyAutoBtn) {
+  keyAutoBtn.addEventListener('click', () => {
+    if (activeOverlayIndex < 0 || !overlays[activeOverlayIndex].sourceImg) return;
+    updateActiveKey({ color: detectKeyColor(overlays[activeOverlayIndex].sourceImg), enabled: true });
+  });
+}
+if (keyPickBtn) {
+  keyPickBtn.addEventListener('click', () => {
+    if (activeOverlayIndex < 0) return;
+    keyPickMode = !keyPickMode;
+    keyPickBtn.textContent = keyPickMode ? 'Cancel Pick' : 'Pick';
+    updateCanvasCursor();
+  });
+}
+[
+  [keyToleranceSlider, 'tolerance'],
+  [keySoftnessSlider, 'softness'],
+  [keySpillSlider, 'spill'],
+].forEach(([slider, prop]) => {
+  if (!slider) return;
+  slider.addEventListener('input', (e) => {
+    const val = parseInt(e.target.value, 10);
+    if (isNaN(val)) return;
+    updateActiveKey({ [prop]: val }, true);
+  });
+  slider.addEventListener('change', finishKeyEdit);
+});
+
+// Pick the key colour under canvas point (x, y) if it lies on the active
+// overlay, then leave eyedropper mode
+function pickKeyColorAt(x, y) {
+  const ov = activeOverlayIndex >= 0 ? overlays[activeOverlayIndex] : null;
+  endKeyPick();
+  if (!ov || !ov.sourceImg) return;
+  const pos = geometry.canvasToImage({ x, y }, ov.sourceImg.width, ov.sourceImg.height, ov.state);
+  const px = Math.floor(pos.x);
+  const py = Math.floor(pos.y);
+  if (px < 0 || py < 0 || px >= ov.sourceImg.width || py >= ov.sourceImg.height) return;
+  updateActiveKey({ color: sampleImageColor(ov.sourceImg, px, py), enabled: true });
+}
+
+// Leave eyedropper mode
+function endKeyPick() {
+  keyPickMode = false;
+  if (keyPickBtn) keyPickBtn.textContent = 'Pick';
+  updateCanvasCursor();
+}
+
+/* Background removal */
+// "Remove BG" cuts the active overlay out of its background. The user drags a
+// rectangle around the object (the same selection as crop) and the source
+// image plus that rectangle go to a matting provider, which produces an alpha
+// matte. The matte is stored per overlay (ov.matteImg, an image whose alpha
+// channel is the matte) and multiplied into the keyed image, so ov.sourceImg
+// stays untouched and "Restore" brings the original back.
+//
+// A matting provider is an object { label, matte(request) } where request is
+// { imageCanvas, rect, config } (rect is the object's bounding box in image
+// pixels) and matte() resolves to an image the size of imageCanvas whose alpha
+// channel is the matte, or to the URL of one. Providers are added with
+// registerMattingProvider().
+const mattingConfig = {
+  provider: 'local',
+  endpoint: '',
+  // Entered at runtime and only kept in memory, like the erase token
+  token: '',
+};
+const mattingProviders = {};
+// Working resolution of the local matting algorithm (longest side in pixels)
+const LOCAL_MATTE_SIZE = 320;
+const LOCAL_MATTE_ITERATIONS = 6;
+
+const removeBgBtn = document.getElementById('remove-bg');
+const restoreSourceBtn = document.getElementById('restore-source');
+const mattingProviderSelect = document.getElementById('matting-provider');
+const mattingEndpointInput = document.getElementById('matting-endpoint');
+const mattingTokenInput = document.getElementById('matting-token');
+// What the rectangle selection on an overlay is for: 'crop' or 'matte'
+let cropPurpose = 'crop';
+
+/**
+ * Register a matting provider under the given name. Registered providers are
+ * listed in the matting provider dropdown.
+ * @param {string} name Key used in mattingConfig.provider.
+ * @param {{label: string, matte: function(Object): Promise<string>}} provider
+ */
+function registerMattingProvider(name, provider) {
+  mattingProviders[name] = provider;
+  if (mattingProviderSelect && !mattingProviderSelect.querySelector(`option[value="${name}"]`)) {
+    const opt = document.createElement('option');
+    opt.value = name;
+    opt.textContent = provider.label || name;
+    mattingProviderSelect.appendChild(opt);
+  }
+}
+
+/**
+ * Segment the object inside `rect` from its surroundings, in the spirit of
+ * GrabCut: pixels outside the rectangle are background, pixels inside start as
+ * foreground, and colour models of both are refined iteratively. Each pass
+ * labels the pixels inside the rectangle by the log-likelihood ratio of their
+ * colour under the two models, smoothed over a small neighbourhood as a cheap
+ * stand-in for the graph cut's smoothness term. Finally only the largest
+ * foreground region is kept and holes in it are filled.
+ * @param {Uint8ClampedArray} pixels RGBA pixel data.
+ * @param {number} width
+ * @param {number} height
+ * @param {{x: number, y: number, w: number, h: number}} rect Object bounds in pixels.
+ * @returns {Uint8Array} 1 for foreground, 0 for background, per pixel.
+ */
+function grabCutMask(pixels, width, height, rect) {
+  const n = width * height;
+  const bins = new Uint16Array(n);
+  const inside = new Uint8Array(n);
+  const label = new Uint8Array(n);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      bins[i] = ((pixels[i * 4] >> 4) << 8) | ((pixels[i * 4 + 1] >> 4) << 4) | (pixels[i * 4 + 2] >> 4);
+      if (x >= rect.x && x < rect.x + rect.w && y >= rect.y && y < rect.y + rect.h) {
+        inside[i] = 1;
+        label[i] = 1;
+      }
+    }
+  }
+  const score = new Float32Array(n);
+  const tmp = new Float32Array(n);
+  const r = 2;
+  for (let iter = 0; iter < LOCAL_MATTE_ITERATIONS; iter++) {
+    // Colour histograms of the current foreground and background
+    const fg = new Float64Array(4096);
+    const bg = new Float64Array(4096);
+    let fgTotal = 0;
+    let bgTotal = 0;
+    for (let i = 0; i < n; i++) {
+      if (label[i]) {
+        fg[bins[i]]++;
+        fgTotal++;
+      } else {
+        bg[bins[i]]++;
+        bgTotal++;
+      }
+    }
+    for (let i = 0; i < n; i++) {
+      score[i] = inside[i]
+        ? Math.log((fg[bins[i]] + 1) / (fgTotal + 4096)) - Math.log((bg[bins[i]] + 1) / (bgTotal + 4096))
+        : -5;
+    }
+    // Separable box blur of the scores
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        let sum = 0;
+        let cnt = 0;
+        for (let k = Math.max(0, x - r); k <= Math.min(width - 1, x + r); k++) {
+          sum += score[y * width + k];
+          cnt++;
+        }
+        tmp[y * width + x] = sum / cnt;
+      }
+    }
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        let sum = 0;
+        let cnt = 0;
+        for (let k = Math.max(0, y - r); k <= Math.min(height - 1, y + r); k++) {
+          sum += tmp[k * width + x];
+          cnt++;
+        }
+        const i = y * width + x;
+        label[i] = inside[i] && sum / cnt > 0 ? 1 : 0;
+      }
+    }
+  }
+  // Keep the largest 4-connected foreground region
+  const region = new Int32Array(n).fill(-1);
+  const stack = [];
+  let best = -1;
+  let bestSize = 0;
+  let regionCount = 0;
+  for (let s = 0; s < n; s++) {
+    if (!label[s] || region[s] >= 0) continue;
+    const id = regionCount++;
+    let size = 0;
+    region[s] = id;
+    stack.push(s);
+    while (stack.length > 0) {
+      const i = stack.pop();
+      size++;
+      const x = i % width;
+      const nbs = [x > 0 ? i - 1 : -1, x < width - 1 ? i + 1 : -1, i - width, i + width];
+      nbs.forEach((j) => {
+        if (j >= 0 && j < n && label[j] && region[j] < 0) {
+          region[j] = id;
+          stack.push(j);
+        }
+      });
+    }
+    if (size > bestSize) {
+      bestSize = size;
+      best = id;
+    }
+  }
+  // Fill holes: background pixels not connected to the image border
+  const outside = new Uint8Array(n);
+  for (let i = 0; i < n; i++) {
+    label[i] = region[i] === best ? 1 : 0;
+    const x = i % width;
+    const y = (i - x) / width;
+    if (!label[i] && (x === 0 || y === 0 || x === width - 1 || y === height - 1)) {
+      outside[i] = 1;
+      stack.push(i);
+    }
+  }
+  while (stack.length > 0) {
+    const i = stack.pop();
+    const x = i % width;
+    const nbs = [x > 0 ? i - 1 : -1, x < width - 1 ? i + 1 : -1, i - width, i + width];
+    nbs.forEach((j) => {
+      if (j >= 0 && j < n && !label[j] && !outside[j]) {
+        outside[j] = 1;
+        stack.push(j);
+      }
+    });
+  }
+  for (let i = 0; i < n; i++) {
+    if (!outside[i]) label[i] = 1;
+  }
+  return label;
+}
+
+// Local matting: GrabCut-style segmentation at a reduced working resolution,
+// scaled back up with smoothing for soft edges. Works offline.
+registerMattingProvider('local', {
+  label: 'Local (rectangle)',
+  async matte({ imageCanvas, rect }) {
+    const fullW = imageCanvas.width;
+    const fullH = imageCanvas.height;
+    const factor = Math.min(1, LOCAL_MATTE_SIZE / Math.max(fullW, fullH));
+    const w = Math.max(1, Math.round(fullW * factor));
+    const h = Math.max(1, Math.round(fullH * factor));
+    const small = document.createElement('canvas');
+    small.width = w;
+    small.height = h;
+    const smallCtx = small.getContext('2d');
+    smallCtx.drawImage(imageCanvas, 0, 0, w, h);
+    const smallData = smallCtx.getImageData(0, 0, w, h);
+    const label = grabCutMask(smallData.data, w, h, {
+      x: Math.floor(rect.x * factor),
+      y: Math.floor(rect.y * factor),
+      w: Math.ceil(rect.w * factor),
+      h: Math.ceil(rect.h * factor),
+    });
+    for (let i = 0; i < label.length; i++) {
+      smallData.data[i * 4 + 3] = label[i] ? 255 : 0;
+    }
+    smallCtx.putImageData(smallData, 0, 0);
+    const out = document.createElement('canvas');
+    out.width = fullW;
+    out.height = fullH;
+    const outCtx = out.getContext('2d');
+    outCtx.imageSmoothingEnabled = true;
+    outCtx.filter = 'blur(1px)';
+    outCtx.drawImage(small, 0, 0, fullW, fullH);
+    return canvasToImage(out);
+  },
+});
+
+// HTTP matting endpoint, e.g. a self-hosted segmentation service or a local
+// stub. It receives { image, rect } (image as base64 PNG) with the token, if
+// any, as a bearer token, and may answer with a base64 PNG { image }, a plain
+// { image_url } or a Bria-style { result: { image_url } }.
+registerMattingProvider('http', {
+  label: 'Custom endpoint',
+  async matte({ imageCanvas, rect, config }) {
+    if (!config.endpoint) throw new Error('No matting endpoint configured');
+    const headers = { 'Content-Type': 'application/json' };
+    if (config.token) headers.Authorization = `Bearer ${config.token}`;
+    const response = await fetchWithRetry('Matting API', config.endpoint, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ image: canvasToBase64(imageCanvas), rect }),
+    });
+    const data = await response.json();
+    if (data.result && data.result.image_url) return data.result.image_url;
+    if (data.image_url) return data.image_url;
+    if (data.image) return `data:image/png;base64,${data.image}`;
+    throw new Error('Matting endpoint returned invalid response');
+  },
+});
+
+// Helper: multiply an image's alpha by the alpha of a matte of the same size.
+// Resolves with the image itself when there is no matte.
+async function applyMatte(img, matteImg) {
+  if (!matteImg) return img;
+  const cnv = imageToCanvas(img);
+  const cctx = cnv.getContext('2d');
+  cctx.globalCompositeOperation = 'destination-in';
+  cctx.drawImage(matteImg, 0, 0, cnv.width, cnv.height);
+  return canvasToImage(cnv);
+}
+
+// Run the configured matting provider on the active overlay's source image
+// inside the selected rectangle (in source pixels) and store the matte.
+async function performMatte(rect) {
+  if (activeOverlayIndex < 0) return;
+  const ov = overlays[activeOverlayIndex];
+  if (!ov.sourceImg) return;
+  const provider = mattingProviders[mattingConfig.provider];
+  if (!provider) {
+    alert(`Unknown matting provider: ${mattingConfig.provider}`);
+    return;
+  }
+  if (removeBgBtn) {
+    removeBgBtn.disabled = true;
+    removeBgBtn.textContent = 'Removing...';
+  }
+  try {
+    const imageCanvas = imageToCanvas(ov.sourceImg);
+    const matte = await provider.matte({ imageCanvas, rect, config: { ...mattingConfig } });
+    let matteImg = matte;
+    if (typeof matte === 'string') {
+      matteImg = matte.startsWith('data:') ? await dataUrlToImage(matte) : await loadImage(matte, 'anonymous');
+    }
+    // Make the matted image first, so that applying it is a single step with
+    // its own undo entry whatever the user does meanwhile. The key may be
+    // edited while it is made.
+    const { sourceImg } = ov;
+    let key;
+    let result = null;
+    do {
+      // Made with a key that has changed since
+      if (result) releaseImage(result);
+      key = ov.key;
+      result = await composeOverlayImage(sourceImg, key, matteImg);
+    } while (ov.key !== key);
+    // The overlay may have been removed or cropped while the matte was computed
+    if (overlays.indexOf(ov) < 0 || ov.sourceImg !== sourceImg) {
+      releaseImage(result);
+      releaseImage(matteImg);
+      return;
+    }
+    recordAsyncResult('Remove background', () => {
+      ov.matteImg = matteImg;
+      // Drop key previews still being made without the matte
+      ov.keyVersion = (ov.keyVersion || 0) + 1;
+      ov.img = result;
+      ov.originalImg = result;
+      updateActiveOverlayRefs();
+      drawScene();
+    });
+  } catch (err) {
+    console.error('Error removing background:', err);
+    alert(`Background removal failed: ${err.message}`);
+  } finally {
+    if (removeBgBtn) {
+      removeBgBtn.disabled = activeOverlayIndex < 0;
+      removeBgBtn.textContent = 'Remove BG';
+    }
+    syncMatteControls();
+  }
+}
+
+// Enable Restore only when the active overlay has a matte
+function syncMatteControls() {
+  const ov = activeOverlayIndex >= 0 ? overlays[activeOverlayIndex] : null;
+  if (removeBgBtn && removeBgBtn.textContent === 'Remove BG') removeBgBtn.disabled = !ov;
+  if (restoreSourceBtn) restoreSourceBtn.disabled = !ov || !ov.matteImg;
+}
+
+if (removeBgBtn) {
+  // Remove BG uses the crop rectangle selection: drag a box around the object
+  removeBgBtn.addEventListener('click', () => {
+    if (!overlayImg || activeOverlayIndex < 0) return;
+    const ov = overlays[activeOverlayIndex];
+    if (ov.cropMode && cropPurpose === 'matte') {
+      cancelCropSelection(ov);
+      drawScene();
+      return;
+    }
+    cancelCropSelection(ov);
+    cropPurpose = 'matte';
+    ov.cropMode = true;
+    removeBgBtn.textContent = 'Cancel Remove BG';
+  });
+}
+if (restoreSourceBtn) {
+  restoreSourceBtn.addEventListener('click', () => {
+    if (activeOverlayIndex < 0) return;
+    const ov = overlays[activeOverlayIndex];
+    if (!ov.matteImg) return;
+    const token = beginHistory('Restore source');
+    ov.matteImg = null;
+    rebuildOverlayImage(ov, () => commitHistory(token));
+    syncMatteControls();
+  });
+}
+
+// Restore the matting provider and endpoint from the previous visit. Like the
+// erase token, the matting token is never persisted.
+try {
+  const stored = JSON.parse(localStorage.getItem('mattingSettings') || 'null');
+  if (stored) {
+    if (stored.provider && mattingProviders[stored.provider]) mattingConfig.provider = stored.provider;
+    if (typeof stored.endpoint === 'string') mattingConfig.endpoint = stored.endpoint;
+  }
+} catch (err) {
+  console.warn('Could not read stored matting settings', err);
+}
+
+function storeMattingSettings() {
+  try {
+    localStorage.setItem('mattingSettings', JSON.stringify({
+      provider: mattingConfig.provider,
+      endpoint: mattingConfig.endpoint,
+    }));
+  } catch (err) {
+    console.warn('Could not store matting settings', err);
+  }
+}
+
+if (mattingProviderSelect) {
+  mattingProviderSelect.value = mattingConfig.provider;
+  mattingProviderSelect.addEventListener('change', (e) => {
+    mattingConfig.provider = e.target.value;
+    storeMattingSettings();
+  });
+}
+if (mattingEndpointInput) {
+  mattingEndpointInput.value = mattingConfig.endpoint;
+  mattingEndpointInput.addEventListener('change', (e) => {
+    mattingConfig.endpoint = e.target.value.trim();
+    storeMattingSettings();
+  });
+}
+if (mattingTokenInput) {
+  mattingTokenInput.addEventListener('input', (e) => {
+    mattingConfig.token = e.target.value.trim();
+  });
+}
+
+// Event: load background
+bgInput.addEventListener('change', (e) => {
+  const file = e.target.files[0];
+  if (!file) return;
+  loadBackground(file).catch((err) => {
+    console.error('Error loading background:', err);
+    alert('Could not load the background image.');
+  });
+});
+
+// Event: load overlay(s)
+overlayInput.addEventListener('change', (e) => {
+  const files = Array.from(e.target.files);
+  // Only allow adding overlays if a background exists
+  if (files.length === 0 || !bgImg) return;
+  // The whole batch is one undo step, added in file order
+  addImageFiles(files).catch((err) => {
+    console.error('Error loading overlays:', err);
+  });
+  // Reset input value to allow uploading the same file again
+  overlayInput.value = '';
+});
+
+// Remove overlay
+removeOverlayBtn.addEventListener('click', () => {
+  // Remove the selected overlays from the list
+  if (activeOverlayIndex < 0 || overlays.length === 0) return;
+  removeSelection();
+});
+
+// Set output directory using File System Access API
+setOutputBtn.addEventListener('click', async () => {
+  try {
+    // Prompt user to select a directory. Requires secure context (https) in most browsers.
+    const dirHandle = await window.showDirectoryPicker();
+    outputDirHandle = dirHandle;
+    outputStatus.textContent = `Output: ${dirHandle.name || 'selected'}`;
+  } catch (err) {
+    // User cancelled or API unavailable
+    console.error('Directory selection cancelled or not supported', err);
+  }
+});
+
+// New session: clear everything
+newBtn.addEventListener('click', () => {
+  bgImg = null;
+  bgOriginalImg = null;
+  bgName = '';
+  // Clear overlays and reset active overlay
+  overlays = [];
+  activeOverlayIndex = -1;
+  overlayImg = null;
+  overlayOriginalImg = null;
+  overlayState = geometry.normalizeState({ x: 0, y: 0, angle: 0, flipH: false, flipV: false });
+  selection.clear();
+  marquee = null;
+  groupDrag = null;
+  snapGuides = null;
+  guideDrag = null;
+  userGuides.x = [];
+  userGuides.y = [];
+  dragData = { localX: 0, localY: 0 };
+  saveCounter = 0;
+  removeOverlayBtn.disabled = true;
+  saveBtn.disabled = true;
+  if (copyCompositeBtn) copyCompositeBtn.disabled = true;
+  if (copyOverlayBtn) copyOverlayBtn.disabled = true;
+  angleInput.value = 0;
+  controls.style.display = 'none';
+  view.fit = true;
+  navBackground.img = null;
+  drawScene();
+  setOutputBtn.disabled = true;
+  if (saveProjectBtn) saveProjectBtn.disabled = true;
+  outputDirHandle = null;
+  outputStatus.textContent = '';
+  // Disable crop functionality for new session
+  cropBtn.disabled = true;
+  cropBtn.textContent = 'Crop';
+  // Reset erase state and disable erase button; abandon any running erase job
+  if (activeEraseJob) activeEraseJob.controller.abort();
+  eraseBtn.disabled = true;
+  resetEraseMode();
+  // Clear the undo history on new session
+  clearHistory();
+  endKeyPick();
+  syncOverlayControls();
+  // clearHistory() scheduled an autosave of the now empty scene; drop it
+  discardAutosave();
+});
+
+// Resize overlay
+// With several overlays selected the buttons act on the whole selection
+function groupSelected() {
+  return selection.size > 1;
+}
+
+// Scale the active overlay (or the selection) by `factor`, as the Smaller and
+// Bigger buttons and their shortcuts do
+function scaleActive(factor) {
+  if (!overlayImg) return;
+  if (groupSelected()) {
+    scaleSelection(factor);
+    return;
+  }
+  const scaleX = Math.max(overlayState.scaleX * factor, geometry.MIN_SCALE);
+  const scaleY = Math.max(overlayState.scaleY * factor, geometry.MIN_SCALE);
+  const { w, h } = geometry.scaledSize(overlayImg.width, overlayImg.height, { scaleX, scaleY });
+  // Prevent overlay from exceeding background size
+  if (factor > 1 && (w > bgImg.width || h > bgImg.height)) return;
+  // Keep the top-left corner, pulled back inside the background if needed
+  setTransform(activeOverlayIndex, {
+    scaleX,
+    scaleY,
+    x: Math.min(overlayState.x, bgImg.width - w),
+    y: Math.min(overlayState.y, bgImg.height - h),
+  }, factor > 1 ? 'Scale up' : 'Scale down');
+}
+
+// Rotate the active overlay (or the selection) by `delta` degrees
+function rotateActive(delta) {
+  if (!overlayImg) return;
+  if (groupSelected()) {
+    rotateSelection(delta);
+    return;
+  }
+  setTransform(activeOverlayIndex, { angle: overlayState.angle + delta }, `Rotate ${delta > 0 ? '+' : ''}${delta}°`);
+}
+
+// Mirror the active overlay (or the selection): 'h' left-right, 'v' top-bottom
+function flipActive(axis) {
+  if (!overlayImg) return;
+  if (groupSelected()) {
+    flipSelection(axis);
+    return;
+  }
+  if (axis === 'h') setTransform(activeOverlayIndex, { flipH: !overlayState.flipH }, 'Flip horizontal');
+  else setTransform(activeOverlayIndex, { flipV: !overlayState.flipV }, 'Flip vertical');
+}
+
+smallerBtn.addEventListener('click', () => scaleActive(1 / 1.10));
+biggerBtn.addEventListener('click', () => scaleActive(1.10));
+
+// Angle input
+angleInput.addEventListener('input', (e) => {
+  if (!overlayImg) return;
+  const val = parseFloat(e.target.value) || 0;
+  // Typing or spinning through values is merged into one undo step. A group
+  // turns by the change of the active overlay's angle.
+  if (groupSelected()) {
+    rotateSelection(geometry.normalizeAngle(val - overlayState.angle), 'angle-input');
+    return;
+  }
+  setTransform(activeOverlayIndex, { angle: val }, 'Rotate', 'angle-input');
+});
+
+// Rotation buttons
+rotM5Btn.addEventListener('click', () => rotateActive(-5));
+rotP5Btn.addEventListener('click', () => rotateActive(5));
+rotResetBtn.addEventListener('click', () => {
+  if (!overlayImg) return;
+  if (groupSelected()) {
+    // Each overlay is turned back upright in place
+    const indices = selectedIndices();
+    setGroupStates(indices, indices.map((i) => ({ angle: 0 })), 'Reset rotation');
+    return;
+  }
+  setTransform(activeOverlayIndex, { angle: 0 }, 'Reset rotation');
+});
+
+// Flip buttons
+flipHBtn.addEventListener('click', () => flipActive('h'));
+flipVBtn.addEventListener('click', () => flipActive('v'));
+
+// Align and distribute buttons act on the current selection
+document.querySelectorAll('#align-tools [data-align]').forEach((btn) => {
+  btn.addEventListener('click', () => alignSelection(btn.dataset.align));
+});
+document.querySelectorAll('#align-tools [data-distribute]').forEach((btn) => {
+  btn.addEventListener('click', () => distributeSelection(btn.dataset.distribute));
+});
+
+/* Opacity and blending */
+// Every overlay has an opacity (0-1) and a blend mode in its state, applied by
+// drawOverlayImage() wherever overlays are drawn: on screen, in the saved
+// composite and in the navigator. Blend modes are named after the canvas
+// composite operations, with 'normal' for plain source-over drawing. The
+// controls act on all selected overlays.
+const opacitySlider = document.getElementById('overlay-opacity');
+const opacityLabel = document.getElementById('overlay-opacity-label');
+const blendSelect = document.getElementById('overlay-blend');
+const BLEND_MODES = [
+  'normal', 'multiply', 'screen', 'overlay', 'darken', 'lighten', 'color-dodge', 'color-burn',
+  'hard-light', 'soft-light', 'difference', 'exclusion', 'hue', 'saturation', 'color', 'luminosity',
+];
+
+// Canvas composite operation for a blend mode
+function blendOperation(blend) {
+  return blend === 'normal' ? 'source-over' : blend;
+}
+
+// Show the active overlay's opacity and blend mode
+function syncBlendControls() {
+  if (!opacitySlider) return;
+  const ov = activeOverlayIndex >= 0 ? overlays[activeOverlayIndex] : null;
+  const opacity = Math.round((ov ? ov.state.opacity : 1) * 100);
+  opacitySlider.value = opacity;
+  opacitySlider.disabled = !ov;
+  opacityLabel.textContent = `${opacity}%`;
+  blendSelect.value = ov ? ov.state.blend : 'normal';
+  blendSelect.disabled = !ov;
+}
+
+// Apply opacity or blend changes to the selected overlays
+function setSelectionAppearance(changes, label, mergeKey) {
+  const indices = selectedIndices();
+  if (indices.length === 0) return;
+  if (indices.length > 1) {
+    setGroupStates(indices, indices.map(() => ({ ...changes })), label, mergeKey);
+  } else {
+    setTransform(indices[0], changes, label, mergeKey);
+  }
+}
+
+if (opacitySlider) {
+  // Dragging the slider is a single undo step
+  opacitySlider.addEventListener('input', (e) => {
+    const val = parseInt(e.target.value, 10);
+    if (isNaN(val)) return;
+    setSelectionAppearance({ opacity: val / 100 }, 'Change opacity', 'opacity');
+  });
+  blendSelect.addEventListener('change', (e) => {
+    setSelectionAppearance({ blend: e.target.value }, 'Change blend mode');
+  });
+}
+
+/* Colour adjustments */
+// Each overlay has colour adjustments (ov.adjust) that leave its image alone:
+//   brightness   -100..100, shifts all channels by up to half the range
+//   contrast     -100..100, scales the channels around mid grey by 0-2
+//   saturation   -100..100, from grey to twice the colourfulness
+//   hue          -180..180 degrees of hue rotation
+//   temperature  -100..100, from blue (cooler) to amber (warmer)
+//   gamma        0.2..5 (1 = unchanged)
+// adjustedImage() applies them when the overlay is drawn, white balance first
+// and tone last: temperature, hue, saturation, then contrast, brightness and
+// gamma together as one lookup table. The screen, the saved composite and
+// the navigator therefore agree. Saved objects/ PNGs include them unless
+// "Adjusted objects" is unchecked. Auto-match sets them so that the overlay's
+// colours match the statistics of the background beneath it.
+const adjustInputs = {
+  brightness: document.getElementById('adjust-brightness'),
+  contrast: document.getElementById('adjust-contrast'),
+  saturation: document.getElementById('adjust-saturation'),
+  hue: document.getElementById('adjust-hue'),
+  temperature: document.getElementById('adjust-temperature'),
+  gamma: document.getElementById('adjust-gamma'),
+};
+const adjustAutoBtn = document.getElementById('adjust-auto');
+const adjustResetBtn = document.getElementById('adjust-reset');
+const exportAdjustedCheckbox = document.getElementById('export-adjusted');
+const ADJUST_RANGES = {
+  brightness: [-100, 100],
+  contrast: [-100, 100],
+  saturation: [-100, 100],
+  hue: [-180, 180],
+  temperature: [-100, 100],
+  gamma: [0.2, 5],
+};
+// Red and blue gains at full temperature
+const TEMPERATURE_GAIN = 0.3;
+// Auto-match samples the area under the overlay at this many pixels across at
+// most, and keeps contrast and saturation within this much of neutral so that
+// a flat background does not wash the overlay out
+const MATCH_SAMPLE_SIZE = 256;
+const MATCH_LIMIT = 60;
+// Adjusted versions of each image. Stores of image versions (this one and
+// shadowLayers) map an image to a Map of settings (JSON) -> result, least
+// recently used first, at most IMAGE_VARIANTS of them.
+const adjustedImages = new WeakMap();
+const IMAGE_VARIANTS = 4;
+// What saved objects/ PNGs include; kept in localStorage
+const exportConfig = { adjustedObjects: true, objectShadows: false };
+
+function loadExportConfig() {
+  try {
+    const saved = JSON.parse(localStorage.getItem('exportSettings') || 'null');
+    if (saved) {
+      Object.assign(exportConfig, saved);
+      return;
+    }
+    // Settings stored before they shared one key
+    const adjusted = localStorage.getItem('exportAdjustedObjects');
+    if (adjusted !== null) exportConfig.adjustedObjects = adjusted === 'true';
+    const shadows = localStorage.getItem('exportObjectShadows');
+    if (shadows !== null) exportConfig.objectShadows = shadows === 'true';
+  } catch (err) {
+    console.warn('Could not read export settings:', err);
+  }
+}
+
+function storeExportConfig() {
+  try {
+    localStorage.setItem('exportSettings', JSON.stringify(exportConfig));
+  } catch (err) {
+    console.warn('Could not store export settings:', err);
+  }
+}
+
+loadExportConfig();
+
+function defaultAdjustments() {
+  return { brightness: 0, contrast: 0, saturation: 0, hue: 0, temperature: 0, gamma: 1 };
+}
+
+// True when the adjustments change nothing
+function isNeutralAdjustment(adjust) {
+  const neutral = defaultAdjustments();
+  return !adjust || Object.keys(neutral).every((k) => adjust[k] === neutral[k]);
+}
+
+/**
+ * Apply colour adjustments to an image.
+ * @param {HTMLImageElement|HTMLCanvasElement} img Image to adjust.
+ * @param {Object} adjust Adjustments (see defaultAdjustments()).
+ * @returns {HTMLCanvasElement} Adjusted copy of the same size.
+ */
+function applyAdjustments(img, adjust) {
+  const cnv = imageToCanvas(img);
+  const cctx = cnv.getContext('2d');
+  const imageData = cctx.getImageData(0, 0, cnv.width, cnv.height);
+  const px = imageData.data;
+  const warm = (TEMPERATURE_GAIN * adjust.temperature) / 100;
+  const rGain = 1 + warm;
+  const bGain = 1 - warm;
+  const sat = 1 + adjust.saturation / 100;
+  // Hue rotation around the grey axis (the matrix of CSS hue-rotate())
+  const rad = (adjust.hue * Math.PI) / 180;
+  const cos = Math.cos(rad);
+  const sin = Math.sin(rad);
+  const m = [
+    0.213 + cos * 0.787 - sin * 0.213, 0.715 - cos * 0.715 - sin * 0.715, 0.072 - cos * 0.072 + sin * 0.928,
+    0.213 - cos * 0.213 + sin * 0.143, 0.715 + cos * 0.285 + sin * 0.140, 0.072 - cos * 0.072 - sin * 0.283,
+    0.213 - cos * 0.213 - sin * 0.787, 0.715 - cos * 0.715 + sin * 0.715, 0.072 + cos * 0.928 + sin * 0.072,
+  ];
+  // Contrast, brightness and gamma as a lookup table over 0-255
+  const contrast = 1 + adjust.contrast / 100;
+  const brightness = adjust.brightness / 200;
+  const tone = new Uint8ClampedArray(256);
+  for (let v = 0; v < 256; v++) {
+    const c = Math.max(0, Math.min(1, (v / 255 - 0.5) * contrast + 0.5 + brightness));
+    tone[v] = Math.round(255 * Math.pow(c, 1 / adjust.gamma));
+  }
+  for (let i = 0; i < px.length; i += 4) {
+    if (px[i + 3] === 0) continue;
+    let r = px[i] * rGain;
+    let g = px[i + 1];
+    let b = px[i + 2] * bGain;
+    if (adjust.hue !== 0) {
+      const hr = m[0] * r + m[1] * g + m[2] * b;
+      const hg = m[3] * r + m[4] * g + m[5] * b;
+      b = m[6] * r + m[7] * g + m[8] * b;
+      r = hr;
+      g = hg;
+    }
+    if (sat !== 1) {
+      const y = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+      r = y + (r - y) * sat;
+      g = y + (g - y) * sat;
+      b = y + (b - y) * sat;
+    }
+    // Round and clamp to index the tone table
+    px[i] = tone[Math.max(0, Math.min(255, Math.round(r)))];
+    px[i + 1] = tone[Math.max(0, Math.min(255, Math.round(g)))];
+    px[i + 2] = tone[Math.max(0, Math.min(255, Math.round(b)))];
+  }
+  cctx.putImageData(imageData, 0, 0);
+  return cnv;
+}
+
+// The cached version of `img` in `store` for `settings`, made by make() when
+// there is none
+function imageVariant(store, img, settings, make) {
+  let variants = store.get(img);
+  if (!variants) {
+    variants = new Map();
+    store.set(img, variants);
+  }
+  let variant = variants.get(settings);
+  if (variants.has(settings)) {
+    variants.delete(settings);
+  } else {
+    variant = make();
+    if (variants.size >= IMAGE_VARIANTS) variants.delete(variants.keys().next().value);
+  }
+  variants.set(settings, variant);
+  return variant;
+}
+
+// The overlay's image with its adjustments applied, computed once per setting
+function adjustedImage(ov) {
+  if (isNeutralAdjustment(ov.adjust)) return ov.img;
+  return imageVariant(adjustedImages, ov.img, JSON.stringify(ov.adjust), () => applyAdjustments(ov.img, ov.adjust));
+}
+
+// Image saved to objects/ (and copied by Copy Overlay)
+function objectImage(ov) {
+  return exportConfig.adjustedObjects ? adjustedImage(ov) : ov.originalImg;
+}
+
+/**
+ * Change an overlay's colour adjustments.
+ * @param {number} index Overlay index.
+ * @param {Object} changes Any of { brightness, contrast, saturation, hue,
+ *   temperature, gamma }; values are clamped to ADJUST_RANGES and other
+ *   properties are ignored.
+ * @param {string} [label] History label; defaults to "Adjust overlay N".
+ * @param {string} [mergeKey] See beginHistory().
+ * @returns {Object} Copy of the new adjustments.
+ */
+function setAdjustments(index, changes, label, mergeKey) {
+  const ov = overlayAt(index);
+  const next = { ...(ov.adjust || defaultAdjustments()) };
+  Object.keys(ADJUST_RANGES).forEach((k) => {
+    const [min, max] = ADJUST_RANGES[k];
+    if (typeof changes[k] === 'number' && !isNaN(changes[k])) next[k] = Math.max(min, Math.min(max, changes[k]));
+  });
+  recordHistory(label || `Adjust ${overlayLabel(index)}`, () => {
+    ov.adjust = next;
+  }, mergeKey);
+  if (index === activeOverlayIndex) syncAdjustControls();
+  drawScene();
+  return { ...ov.adjust };
+}
+
+// Mean red, green and blue, mean and spread of the luma and spread of the
+// chroma (all 0-1) of the pixels in `px` where `maskPx` is mostly opaque, or
+// null when there are too few of them
+function colourStats(px, maskPx) {
+  let n = 0;
+  let r = 0;
+  let g = 0;
+  let b = 0;
+  let y = 0;
+  let y2 = 0;
+  let chroma2 = 0;
+  for (let i = 0; i < px.length; i += 4) {
+    if (maskPx[i + 3] < 128) continue;
+    const pr = px[i] / 255;
+    const pg = px[i + 1] / 255;
+    const pb = px[i + 2] / 255;
+    const py = 0.2126 * pr + 0.7152 * pg + 0.0722 * pb;
+    n++;
+    r += pr;
+    g += pg;
+    b += pb;
+    y += py;
+    y2 += py * py;
+    chroma2 += ((pr - py) ** 2 + (pg - py) ** 2 + (pb - py) ** 2) / 3;
+  }
+  if (n < 16) return null;
+  const luma = y / n;
+  return {
+    r: r / n,
+    g: g / n,
+    b: b / n,
+    luma,
+    lumaSpread: Math.sqrt(Math.max(0, y2 / n - luma * luma)),
+    chroma: Math.sqrt(chroma2 / n),
+  };
+}
+
+/**
+ * Adjustments that match an overlay's colours to the background under it:
+ * the temperature evens out the red/blue balance, contrast and saturation the
+ * spread of the luma and chroma, and brightness the mean luma. Hue and gamma
+ * are left neutral.
+ * @param {Object} ov Overlay.
+ * @returns {Object|null} Adjustments, or null when the overlay covers too
+ *   little of the background.
+ */
+function matchAdjustments(ov) {
+  const b = geometry.overlayBounds(ov.img.width, ov.img.height, ov.state);
+  const x0 = Math.max(0, Math.floor(b.x));
+  const y0 = Math.max(0, Math.floor(b.y));
+  const x1 = Math.min(bgImg.width, Math.ceil(b.x + b.w));
+  const y1 = Math.min(bgImg.height, Math.ceil(b.y + b.h));
+  if (x1 <= x0 || y1 <= y0) return null;
+  const s = Math.min(1, MATCH_SAMPLE_SIZE / Math.max(x1 - x0, y1 - y0));
+  const w = Math.max(1, Math.round((x1 - x0) * s));
+  const h = Math.max(1, Math.round((y1 - y0) * s));
+  const sample = (draw) => {
+    const cnv = document.createElement('canvas');
+    cnv.width = w;
+    cnv.height = h;
+    const cctx = cnv.getContext('2d');
+    draw(cctx);
+    return cctx.getImageData(0, 0, w, h).data;
+  };
+  const bgPx = sample((c) => c.drawImage(bgImg, x0, y0, x1 - x0, y1 - y0, 0, 0, w, h));
+  // The unadjusted overlay drawn where it lies; its alpha marks the pixels to compare
+  const ovPx = sample((c) => {
+    c.setTransform(w / (x1 - x0), 0, 0, h / (y1 - y0), (-x0 * w) / (x1 - x0), (-y0 * h) / (y1 - y0));
+    drawTransformedImage(c, ov.img, ov.state);
+  });
+  const o = colourStats(ovPx, ovPx);
+  const g = colourStats(bgPx, ovPx);
+  if (!o || !g) return null;
+  const eps = 1e-3;
+  // Red and blue gains (1 + a) and (1 - a) that give the background's red/blue ratio
+  const q = ((g.r + eps) / (g.b + eps)) / ((o.r + eps) / (o.b + eps));
+  const temperature = (((q - 1) / (q + 1)) / TEMPERATURE_GAIN) * 100;
+  const limit = (v) => Math.max(-MATCH_LIMIT, Math.min(MATCH_LIMIT, v));
+  const contrast = limit((g.lumaSpread / Math.max(o.lumaSpread, eps) - 1) * 100);
+  const saturation = limit((g.chroma / Math.max(o.chroma, eps) - 1) * 100);
+  // Mean luma after the contrast change, moved onto the background's
+  const luma = (o.luma - 0.5) * (1 + contrast / 100) + 0.5;
+  return {
+    ...defaultAdjustments(),
+    temperature: Math.round(temperature),
+    contrast: Math.round(contrast),
+    saturation: Math.round(saturation),
+    brightness: Math.round((g.luma - luma) * 200),
+  };
+}
+
+/**
+ * Match an overlay's colours to the background under it (see
+ * matchAdjustments()). The result is an ordinary adjustment that can be
+ * fine-tuned afterwards.
+ * @param {number} index Overlay index.
+ * @returns {Object} The new adjustments.
+ */
+function autoMatchColors(index) {
+  const ov = overlayAt(index);
+  const matched = matchAdjustments(ov);
+  if (!matched) throw new Error(`${overlayLabel(index)} does not cover enough of the background to match`);
+  return setAdjustments(index, matched, `Auto-match ${overlayLabel(index)}`);
+}
+
+// Show the active overlay's adjustments
+function syncAdjustControls() {
+  const ov = activeOverlayIndex >= 0 ? overlays[activeOverlayIndex] : null;
+  const adjust = ov && ov.adjust ? ov.adjust : defaultAdjustments();
+  Object.keys(adjustInputs).forEach((k) => {
+    const input = adjustInputs[k];
+    if (!input) return;
+    input.value = k === 'gamma' ? Math.round(adjust.gamma * 100) : adjust[k];
+    input.disabled = !ov;
+  });
+  if (adjustAutoBtn) adjustAutoBtn.disabled = !ov;
+  if (adjustResetBtn) adjustResetBtn.disabled = !ov;
+}
+
+// Apply adjustment changes to every selected overlay in one undo step
+function adjustSelection(changes, label, mergeKey) {
+  const indices = selectedIndices();
+  if (indices.length === 0) return;
+  beginHistory(label, mergeKey);
+  indices.forEach((i) => setAdjustments(i, changes, label));
+  commitHistory();
+}
+
+Object.keys(adjustInputs).forEach((k) => {
+  const input = adjustInputs[k];
+  if (!input) return;
+  // The gamma slider is in hundredths
+  input.addEventListener('input', (e) => {
+    const val = parseInt(e.target.value, 10);
+    if (isNaN(val)) return;
+    adjustSelection({ [k]: k === 'gamma' ? val / 100 : val }, `Adjust ${k}`, `adjust-${k}`);
+  });
+});
+if (adjustResetBtn) {
+  adjustResetBtn.addEventListener('click', () => adjustSelection(defaultAdjustments(), 'Reset adjustments'));
+}
+if (adjustAutoBtn) {
+  adjustAutoBtn.addEventListener('click', () => {
+    const indices = selectedIndices();
+    if (indices.length === 0) return;
+    beginHistory(indices.length > 1 ? 'Auto-match colours' : `Auto-match ${overlayLabel(indices[0])}`);
+    const failed = [];
+    indices.forEach((i) => {
+      try {
+        autoMatchColors(i);
+      } catch (err) {
+        failed.push(overlayLabel(i));
+      }
+    });
+    commitHistory();
+    if (failed.length > 0) alert(`Not enough background under ${failed.join(', ')} to match its colours.`);
+  });
+}
+if (exportAdjustedCheckbox) {
+  exportAdjustedCheckbox.checked = exportConfig.adjustedObjects;
+  exportAdjustedCheckbox.addEventListener('change', () => {
+    exportConfig.adjustedObjects = exportAdjustedCheckbox.checked;
+    storeExportConfig();
+  });
+}
+
+/* Shadows */
+// Each overlay can cast generated shadows (ov.shadow), drawn under it:
+//   drop            cast a drop shadow
+//   angle           direction the drop shadow falls, 0..360 degrees clockwise
+//                   from the right (90 = straight down)
+//   distance, blur  offset and blur radius of the drop shadow in background pixels
+//   color           '#rrggbb' of both shadows
+//   opacity         0..100 % for the drop shadow
+//   contact         cast a contact shadow: the overlay's silhouette laid on the
+//                   ground behind the bottom of the overlay
+//   contactSquash   1..100, depth of the contact shadow in % of the overlay's
+//                   height
+//   contactTaper    0..90, perspective: how much narrower (in %) the far edge
+//                   of the contact shadow is than the ground line
+//   contactBlur, contactOpacity  as for the drop shadow
+// The shadows are rendered from the overlay's alpha into a layer in its image
+// pixels and drawn with its transform, so moving the overlay reuses the layer
+// while rotating, scaling or flipping it renders the layer again (once a drag
+// of the handles ends, see shadowsDeferred()). Like the
+// adjustments they show on screen, in the saved composite and in the
+// navigator; objects/ PNGs include them only when "Shadows in objects" is
+// checked, grown to fit.
+const shadowInputs = {
+  drop: document.getElementById('shadow-drop'),
+  angle: document.getElementById('shadow-angle'),
+  distance: document.getElementById('shadow-distance'),
+  blur: document.getElementById('shadow-blur'),
+  color: document.getElementById('shadow-color'),
+  opacity: document.getElementById('shadow-opacity'),
+  contact: document.getElementById('shadow-contact'),
+  contactSquash: document.getElementById('shadow-contact-squash'),
+  contactTaper: document.getElementById('shadow-contact-taper'),
+  contactBlur: document.getElementById('shadow-contact-blur'),
+  contactOpacity: document.getElementById('shadow-contact-opacity'),
+};
+const exportShadowsCheckbox = document.getElementById('export-shadows');
+const SHADOW_RANGES = {
+  angle: [0, 360],
+  distance: [0, 300],
+  blur: [0, 100],
+  opacity: [0, 100],
+  contactSquash: [1, 100],
+  contactTaper: [0, 90],
+  contactBlur: [0, 100],
+  contactOpacity: [0, 100],
+};
+const SHADOW_LABELS = {
+  angle: 'Shadow angle',
+  distance: 'Shadow distance',
+  blur: 'Shadow blur',
+  opacity: 'Shadow opacity',
+  contactSquash: 'Contact shadow squash',
+  contactTaper: 'Contact shadow perspective',
+  contactBlur: 'Contact shadow blur',
+  contactOpacity: 'Contact shadow opacity',
+};
+// Shadow layers of each image (see imageVariant())
+const shadowLayers = new WeakMap();
+// Last shadow layer drawn for each overlay: { img, shadow, layer }
+const lastShadowLayers = new WeakMap();
+
+function defaultShadowSettings() {
+  return {
+    drop: false,
+    angle: 45,
+    distance: 12,
+    blur: 10,
+    color: '#000000',
+    opacity: 50,
+    contact: false,
+    contactSquash: 15,
+    contactTaper: 30,
+    contactBlur: 6,
+    contactOpacity: 60,
+  };
+}
+
+/**
+ * Lay an overlay's silhouette on the ground for its contact shadow: its box on
+ * the background is squashed to contactSquash % of its height towards the
+ * bottom edge, and each row is narrowed around the centre the further it lies
+ * from that edge, down to (100 - contactTaper) % at the far end, as the ground
+ * recedes in perspective.
+ * @param {HTMLImageElement|HTMLCanvasElement} img Overlay image.
+ * @param {Object} state Overlay state.
+ * @param {Object} shadow Shadow settings.
+ * @returns {{canvas: HTMLCanvasElement, x: number, y: number}} The silhouette
+ *   in background pixels, its top-left corner at (x, y) from the overlay centre.
+ */
+function groundSilhouette(img, state, shadow) {
+  const { w, h } = geometry.overlayBounds(img.width, img.height, { ...state, x: 0, y: 0 });
+  const upright = document.createElement('canvas');
+  upright.width = Math.max(1, Math.ceil(w));
+  upright.height = Math.max(1, Math.ceil(h));
+  const uctx = upright.getContext('2d');
+  uctx.translate(upright.width / 2, upright.height / 2);
+  uctx.rotate((state.angle * Math.PI) / 180);
+  uctx.scale(state.flipH ? -1 : 1, state.flipV ? -1 : 1);
+  uctx.scale(state.scaleX, state.scaleY);
+  uctx.drawImage(img, -img.width / 2, -img.height / 2);
+  const ground = document.createElement('canvas');
+  ground.width = upright.width;
+  ground.height = Math.max(1, Math.round((upright.height * (shadow.contactSquash || 100)) / 100));
+  const gctx = ground.getContext('2d');
+  const taper = (shadow.contactTaper || 0) / 100;
+  const band = upright.height / ground.height;
+  for (let row = 0; row < ground.height; row++) {
+    // Row 0 is the far edge, the last row the ground line
+    const width = ground.width * (1 - taper * (1 - (row + 0.5) / ground.height));
+    gctx.drawImage(upright, 0, row * band, upright.width, band, (ground.width - width) / 2, row, width, 1);
+  }
+  return { canvas: ground, x: -upright.width / 2, y: upright.height / 2 - ground.height };
+}
+
+/**
+ * Render an overlay's shadows.
+ * @param {HTMLImageElement|HTMLCanvasElement} img Overlay image; only its
+ *   alpha is used.
+ * @param {Object} state Overlay state (rotation, flips and scales are used).
+ * @param {Object} shadow Shadow settings (see defaultShadowSettings()).
+ * @returns {{canvas: HTMLCanvasElement, x: number, y: number}|null} The
+ *   shadows in the image's pixels, with the canvas' top-left corner at (x, y)
+ *   of the image, or null when the overlay casts none.
+ */
+function renderShadowLayer(img, state, shadow) {
+  const w = img.width;
+  const h = img.height;
+  const fx = state.flipH ? -1 : 1;
+  const fy = state.flipV ? -1 : 1;
+  // Background pixels are this many image pixels (the mean of both scales)
+  const unit = 1 / Math.sqrt(state.scaleX * state.scaleY);
+  // Each cast draws a silhouette at (0, 0) after place() maps it into image pixels
+  const casts = [];
+  if (shadow.contact && shadow.contactOpacity > 0) {
+    const ground = groundSilhouette(img, state, shadow);
+    casts.push({
+      source: ground.canvas,
+      // Background pixels around the overlay centre -> image pixels
+      place: (c) => {
+        c.translate(w / 2, h / 2);
+        c.scale(1 / state.scaleX, 1 / state.scaleY);
+        c.scale(fx, fy);
+        c.rotate((-state.angle * Math.PI) / 180);
+        c.translate(ground.x, ground.y);
+      },
+      blur: shadow.contactBlur * unit,
+      opacity: shadow.contactOpacity,
+    });
+  }
+  if (shadow.drop && shadow.opacity > 0) {
+    const dir = (shadow.angle * Math.PI) / 180;
+    const local = geometry.rotatePoint(
+      { x: shadow.distance * Math.cos(dir), y: shadow.distance * Math.sin(dir) },
+      -state.angle,
+    );
+    const dx = (local.x * fx) / state.scaleX;
+    const dy = (local.y * fy) / state.scaleY;
+    casts.push({ source: img, place: (c) => c.translate(dx, dy), blur: shadow.blur * unit, opacity: shadow.opacity });
+  }
+  if (casts.length === 0) return null;
+  // Area covered by the placed silhouettes and their blur
+  const scratch = document.createElement('canvas').getContext('2d');
+  let x0 = Infinity;
+  let y0 = Infinity;
+  let x1 = -Infinity;
+  let y1 = -Infinity;
+  casts.forEach((cast) => {
+    scratch.setTransform(1, 0, 0, 1, 0, 0);
+    cast.place(scratch);
+    const m = scratch.getTransform();
+    const pad = Math.ceil(cast.blur * 1.5) + 2;
+    const sw = cast.source.width;
+    const sh = cast.source.height;
+    [[0, 0], [sw, 0], [sw, sh], [0, sh]].forEach(([x, y]) => {
+      const px = m.a * x + m.c * y + m.e;
+      const py = m.b * x + m.d * y + m.f;
+      x0 = Math.min(x0, px - pad);
+      y0 = Math.min(y0, py - pad);
+      x1 = Math.max(x1, px + pad);
+      y1 = Math.max(y1, py + pad);
+    });
+  });
+  x0 = Math.floor(x0);
+  y0 = Math.floor(y0);
+  const cnv = document.createElement('canvas');
+  cnv.width = Math.max(1, Math.ceil(x1) - x0);
+  cnv.height = Math.max(1, Math.ceil(y1) - y0);
+  const cctx = cnv.getContext('2d');
+  const [r, g, b] = hexToRgb(shadow.color);
+  casts.forEach((cast) => {
+    const silhouette = document.createElement('canvas');
+    silhouette.width = cnv.width;
+    silhouette.height = cnv.height;
+    const sctx = silhouette.getContext('2d');
+    sctx.translate(-x0, -y0);
+    cast.place(sctx);
+    sctx.drawImage(cast.source, 0, 0);
+    // Draw the silhouette just off the canvas so that only its shadow (in the
+    // shadow colour, blurred) lands on it
+    cctx.save();
+    cctx.shadowColor = `rgba(${r}, ${g}, ${b}, ${cast.opacity / 100})`;
+    cctx.shadowBlur = cast.blur;
+    cctx.shadowOffsetX = cnv.width;
+    cctx.drawImage(silhouette, -cnv.width, 0);
+    cctx.restore();
+  });
+  return { canvas: cnv, x: x0, y: y0 };
+}
+
+// True while a rotation or resize is dragged. Shadows are not rendered again
+// for every step of it: the last layer is drawn with the changing transform,
+// and the shadows are brought up to date when the drag ends.
+function shadowsDeferred() {
+  return resizing || !!(groupDrag && groupDrag.mode !== 'move');
+}
+
+// The overlay's shadow layer (see renderShadowLayer()) for its own state or
+// another one, computed once per setting, or null when it casts no shadow
+function shadowLayer(ov, state = ov.state) {
+  const shadow = ov.shadow;
+  if (!ov.img || !shadow || !(shadow.drop || shadow.contact)) return null;
+  const own = state === ov.state;
+  const last = lastShadowLayers.get(ov);
+  if (own && last && shadowsDeferred() && last.img === ov.img && last.shadow === shadow) return last.layer;
+  const { angle, flipH, flipV, scaleX, scaleY } = state;
+  const settings = JSON.stringify({ shadow, angle, flipH, flipV, scaleX, scaleY });
+  const layer = imageVariant(shadowLayers, ov.img, settings, () => renderShadowLayer(ov.img, state, shadow));
+  if (own) lastShadowLayers.set(ov, { img: ov.img, shadow, layer });
+  return layer;
+}
+
+// Canvas saved to objects/ (and copied by Copy Overlay): the object image,
+// grown to fit its shadows when they are exported. The image is saved upright
+// and at its own size, so the shadows are cast as if it were placed that way.
+function objectCanvas(ov) {
+  const img = objectImage(ov);
+  const upright = geometry.normalizeState({ x: 0, y: 0, angle: 0, flipH: false, flipV: false });
+  const layer = exportConfig.objectShadows ? shadowLayer(ov, upright) : null;
+  if (!layer) return imageToCanvas(img);
+  const x0 = Math.min(0, layer.x);
+  const y0 = Math.min(0, layer.y);
+  const cnv = document.createElement('canvas');
+  cnv.width = Math.max(img.width, layer.x + layer.canvas.width) - x0;
+  cnv.height = Math.max(img.height, layer.y + layer.canvas.height) - y0;
+  const cctx = cnv.getContext('2d');
+  cctx.drawImage(layer.canvas, layer.x - x0, layer.y - y0);
+  cctx.drawImage(img, -x0, -y0);
+  return cnv;
+}
+
+/**
+ * Change an overlay's shadows.
+ * @param {number} index Overlay index.
+ * @param {Object} changes Any of the settings of defaultShadowSettings();
+ *   numbers are clamped to SHADOW_RANGES and other properties are ignored.
+ * @param {string} [label] History label; defaults to "Shadow of overlay N".
+ * @param {string} [mergeKey] See beginHistory().
+ * @returns {Object} Copy of the new settings.
+ */
+function setShadow(index, changes, label, mergeKey) {
+  const ov = overlayAt(index);
+  const next = { ...defaultShadowSettings(), ...ov.shadow };
+  Object.keys(SHADOW_RANGES).forEach((k) => {
+    const [min, max] = SHADOW_RANGES[k];
+    if (typeof changes[k] === 'number' && !isNaN(changes[k])) next[k] = Math.max(min, Math.min(max, changes[k]));
+  });
+  if (typeof changes.drop === 'boolean') next.drop = changes.drop;
+  if (typeof changes.contact === 'boolean') next.contact = changes.contact;
+  if (typeof changes.color === 'string' && /^#[0-9a-f]{6}$/i.test(changes.color)) next.color = changes.color.toLowerCase();
+  recordHistory(label || `Shadow of ${overlayLabel(index)}`, () => {
+    ov.shadow = next;
+  }, mergeKey);
+  if (index === activeOverlayIndex) syncShadowControls();
+  drawScene();
+  return { ...ov.shadow };
+}
+
+// Show the active overlay's shadows
+function syncShadowControls() {
+  const ov = activeOverlayIndex >= 0 ? overlays[activeOverlayIndex] : null;
+  // Settings saved before a setting existed use its default
+  const shadow = { ...defaultShadowSettings(), ...(ov && ov.shadow) };
+  Object.keys(shadowInputs).forEach((k) => {
+    const input = shadowInputs[k];
+    if (!input) return;
+    if (input.type === 'checkbox') input.checked = shadow[k];
+    else input.value = shadow[k];
+    input.disabled = !ov;
+  });
+}
+
+// Apply shadow changes to every selected overlay in one undo step
+function shadowSelection(changes, label, mergeKey) {
+  const indices = selectedIndices();
+  if (indices.length === 0) return;
+  beginHistory(label, mergeKey);
+  indices.forEach((i) => setShadow(i, changes, label));
+  commitHistory();
+}
+
+Object.keys(shadowInputs).forEach((k) => {
+  const input = shadowInputs[k];
+  if (!input) return;
+  if (input.type === 'checkbox') {
+    input.addEventListener('change', () => {
+      const label = k === 'drop' ? 'Drop shadow' : 'Contact shadow';
+      shadowSelection({ [k]: input.checked }, `${label} ${input.checked ? 'on' : 'off'}`);
+    });
+  } else if (k === 'color') {
+    input.addEventListener('input', () => shadowSelection({ color: input.value }, 'Shadow colour', 'shadow-color'));
+  } else {
+    input.addEventListener('input', (e) => {
+      const val = parseInt(e.target.value, 10);
+      if (isNaN(val)) return;
+      shadowSelection({ [k]: val }, SHADOW_LABELS[k], `shadow-${k}`);
+    });
+  }
+});
+if (exportShadowsCheckbox) {
+  exportShadowsCheckbox.checked = exportConfig.objectShadows;
+  exportShadowsCheckbox.addEventListener('change', () => {
+    exportConfig.objectShadows = exportShadowsCheckbox.checked;
+    storeExportConfig();
+  });
+}
+
+/* Viewport */
+// The canvas fills #canvas-container and shows the background through a view
+// transform: view.zoom screen pixels per background pixel, with the background
+// point (view.x, view.y) at the top-left corner. Everything else draws and
+// hit-tests in canvas (background) coordinates; eventToCanvasPoint() converts
+// pointer positions and canvasPixelRatio() gives the size of a screen pixel.
+// The mouse wheel (and a trackpad pinch, which arrives as a wheel event with
+// Ctrl held) zooms around the pointer; dragging with Space held pans, and on a
+// touch screen two fingers pinch to zoom and move to pan. While
+// view.fit is set the whole background is kept in view, up to 100 %. The
+// navigator shows the whole scene with the visible part outlined; clicking or
+// dragging in it moves the view.
+const canvasContainer = document.getElementById('canvas-container');
+const navCanvas = document.getElementById('navigator');
+const zoomLabel = document.getElementById('zoom-level');
+const zoomInBtn = document.getElementById('zoom-in');
+const zoomOutBtn = document.getElementById('zoom-out');
+const zoomFitBtn = document.getElementById('zoom-fit');
+const zoomActualBtn = document.getElementById('zoom-actual');
+const MIN_ZOOM = 0.05;
+const MAX_ZOOM = 32;
+// Zoom factor of the buttons and shortcuts, and per pixel of wheel movement
+const ZOOM_STEP = 1.25;
+const WHEEL_ZOOM_RATE = 0.002;
+// Largest size of the navigator in CSS pixels
+const NAVIGATOR_WIDTH = 200;
+const NAVIGATOR_HEIGHT = 150;
+const view = { zoom: 1, x: 0, y: 0, fit: true };
+// Background scaled down for the navigator: { img, canvas }, redrawn only
+// when the background changes
+const navBackground = { img: null, canvas: null };
+// True while Space is held down; a pan drag in progress:
+// { pointerId, clientX, clientY } (where the pointer was last) or null
+let panKeyHeld = false;
+let panDrag = null;
+// Touch points on the canvas: pointerId -> { clientX, clientY }
+const touchPoints = new Map();
+// Two-finger gesture in progress: { ids, distance, clientX, clientY } (the
+// distance between the fingers and their midpoint) or null
+let pinch = null;
+
+// Zoom at which the whole background fits the viewport (never above 100 %)
+function fitZoom() {
+  if (!bgImg || canvas.clientWidth === 0 || canvas.clientHeight === 0) return 1;
+  return Math.min(1, canvas.clientWidth / bgImg.width, canvas.clientHeight / bgImg.height);
+}
+
+// Keep the background in view: centred along an axis where it is smaller than
+// the viewport, otherwise without empty space beyond its edges
+function clampView() {
+  if (view.fit) view.zoom = fitZoom();
+  const clampAxis = (pos, size, visible) => (size <= visible ? (size - visible) / 2 : Math.max(0, Math.min(size - visible, pos)));
+  view.x = clampAxis(view.x, bgImg.width, canvas.clientWidth / view.zoom);
+  view.y = clampAxis(view.y, bgImg.height, canvas.clientHeight / view.zoom);
+}
+
+// Canvas point under a pointer (or drag) event
+function eventToCanvasPoint(e) {
+  const rect = canvas.getBoundingClientRect();
+  return {
+    x: view.x + (e.clientX - rect.left) / view.zoom,
+    y: view.y + (e.clientY - rect.top) / view.zoom,
+  };
+}
+
+// Canvas units per screen pixel, for drawing and hit-testing at a constant
+// on-screen size
+function canvasPixelRatio() {
+  return 1 / view.zoom;
+}
+
+// Part of the background shown in the viewport, in canvas coordinates
+function visibleArea() {
+  const x = Math.max(0, view.x);
+  const y = Math.max(0, view.y);
+  return {
+    x,
+    y,
+    w: Math.min(bgImg.width, view.x + canvas.clientWidth / view.zoom) - x,
+    h: Math.min(bgImg.height, view.y + canvas.clientHeight / view.zoom) - y,
+  };
+}
+
+/**
+ * Zoom the view, keeping the canvas point under `anchor` where it is.
+ * @param {number} zoom New zoom level (screen pixels per canvas pixel).
+ * @param {{clientX:number,clientY:number}} [anchor] Client position, e.g. a
+ *   pointer event; defaults to the middle of the viewport.
+ * @returns {boolean} False when there is no background to zoom.
+ */
+function setZoom(zoom, anchor) {
+  if (!bgImg) return false;
+  const rect = canvas.getBoundingClientRect();
+  const ax = anchor ? anchor.clientX - rect.left : rect.width / 2;
+  const ay = anchor ? anchor.clientY - rect.top : rect.height / 2;
+  const px = view.x + ax / view.zoom;
+  const py = view.y + ay / view.zoom;
+  view.zoom = Math.max(Math.min(MIN_ZOOM, fitZoom()), Math.min(MAX_ZOOM, zoom));
+  view.fit = false;
+  view.x = px - ax / view.zoom;
+  view.y = py - ay / view.zoom;
+  drawScene();
+  return true;
+}
+
+// Fit the whole background into the viewport (and keep it fitted)
+function zoomToFit() {
+  if (!bgImg) return false;
+  view.fit = true;
+  drawScene();
+  return true;
+}
+
+// Centre the view on a canvas point
+function centerViewAt(point) {
+  view.x = point.x - canvas.clientWidth / view.zoom / 2;
+  view.y = point.y - canvas.clientHeight / view.zoom / 2;
+  drawScene();
+}
+
+function startPan(e) {
+  panDrag = { pointerId: e.pointerId, clientX: e.clientX, clientY: e.clientY };
+  canvas.setPointerCapture(e.pointerId);
+  canvas.style.cursor = 'grabbing';
+  e.preventDefault();
+}
+
+function movePan(e) {
+  view.x -= (e.clientX - panDrag.clientX) / view.zoom;
+  view.y -= (e.clientY - panDrag.clientY) / view.zoom;
+  panDrag.clientX = e.clientX;
+  panDrag.clientY = e.clientY;
+  drawScene();
+}
+
+function endPan(e) {
+  canvas.releasePointerCapture(e.pointerId);
+  panDrag = null;
+  updateCanvasCursor();
+}
+
+// Pointer shown over the canvas for the current mode
+function updateCanvasCursor() {
+  if (panDrag) canvas.style.cursor = 'grabbing';
+  else if (panKeyHeld) canvas.style.cursor = 'grab';
+  else canvas.style.cursor = keyPickMode ? 'crosshair' : '';
+}
+
+// Draw the whole scene into the navigator with the visible part outlined, and
+// update the zoom controls
+function drawNavigator() {
+  if (zoomLabel) zoomLabel.textContent = bgImg ? `${Math.round(view.zoom * 100)} %` : '';
+  [zoomInBtn, zoomOutBtn, zoomFitBtn, zoomActualBtn].forEach((btn) => {
+    if (btn) btn.disabled = !bgImg;
+  });
+  if (!navCanvas) return;
+  navCanvas.style.display = bgImg ? '' : 'none';
+  if (!bgImg) return;
+  const s = Math.min(NAVIGATOR_WIDTH / bgImg.width, NAVIGATOR_HEIGHT / bgImg.height);
+  const width = Math.max(1, Math.round(bgImg.width * s));
+  const height = Math.max(1, Math.round(bgImg.height * s));
+  if (navCanvas.width !== width || navCanvas.height !== height) {
+    navCanvas.width = width;
+    navCanvas.height = height;
+  }
+  if (navBackground.img !== bgImg || navBackground.canvas.width !== width || navBackground.canvas.height !== height) {
+    if (!navBackground.canvas) navBackground.canvas = document.createElement('canvas');
+    navBackground.canvas.width = width;
+    navBackground.canvas.height = height;
+    navBackground.canvas.getContext('2d').drawImage(bgImg, 0, 0, width, height);
+    navBackground.img = bgImg;
+  }
+  // Like the main view: the overlays below and above the live ones come from
+  // thumbnail-sized layer caches
+  const { lo, hi } = liveRange();
+  const thumb = {
+    width,
+    height,
+    key: String(s),
+    begin: (c) => c.setTransform(s, 0, 0, s, 0, 0),
+  };
+  const drawThumbBackground = (c) => {
+    c.save();
+    c.setTransform(1, 0, 0, 1, 0, 0);
+    c.drawImage(navBackground.canvas, 0, 0);
+    c.restore();
+  };
+  const nctx = navCanvas.getContext('2d');
+  nctx.setTransform(1, 0, 0, 1, 0, 0);
+  nctx.clearRect(0, 0, width, height);
+  nctx.drawImage(cachedLayer(layerCaches.navBelow, 0, lo, thumb, drawThumbBackground), 0, 0);
+  nctx.setTransform(s, 0, 0, s, 0, 0);
+  for (let idx = lo; idx <= hi; idx++) {
+    const ov = overlays[idx];
+    if (ov.img && ov.visible) drawOverlayImage(nctx, ov);
+  }
+  if (hi + 1 < overlays.length) {
+    nctx.setTransform(1, 0, 0, 1, 0, 0);
+    nctx.drawImage(cachedLayer(layerCaches.navAbove, hi + 1, overlays.length, thumb), 0, 0);
+    nctx.setTransform(s, 0, 0, s, 0, 0);
+  }
+  // Nothing to outline while the whole background is visible
+  const area = visibleArea();
+  if (area.w < bgImg.width || area.h < bgImg.height) {
+    nctx.strokeStyle = 'rgba(255, 0, 0, 0.9)';
+    nctx.lineWidth = 2 / s;
+    nctx.strokeRect(area.x, area.y, area.w, area.h);
+  }
+}
+
+canvas.addEventListener('wheel', (e) => {
+  if (!bgImg) return;
+  e.preventDefault();
+  // Lines and pages are converted to pixels
+  let delta = e.deltaY;
+  if (e.deltaMode === 1) delta *= 16;
+  else if (e.deltaMode === 2) delta *= canvas.clientHeight;
+  setZoom(view.zoom * Math.exp(-delta * WHEEL_ZOOM_RATE), e);
+}, { passive: false });
+
+// Distance between the two fingers of the pinch and their midpoint
+function pinchGeometry(ids) {
+  const [a, b] = ids.map((id) => touchPoints.get(id));
+  return {
+    ids,
+    distance: Math.hypot(b.clientX - a.clientX, b.clientY - a.clientY),
+    clientX: (a.clientX + b.clientX) / 2,
+    clientY: (a.clientY + b.clientY) / 2,
+  };
+}
+
+// Drop what the first finger of a pinch started: a move, resize or rotation is
+// undone, a marquee, crop selection or mask stroke is abandoned (a brush stroke
+// keeps what it painted) and a guide stays where it is
+function abandonPointerInteraction() {
+  if (isPendingHistory(pointerHistory)) {
+    const { before } = pendingHistory;
+    cancelHistory(pointerHistory);
+    if (!scenesEqual(before, captureScene())) applyScene(before);
+  }
+  panDrag = null;
+  dragging = false;
+  resizing = false;
+  resizeHandle = null;
+  groupDrag = null;
+  marquee = null;
+  snapGuides = null;
+  if (guideDrag) finishGuideDrag();
+  if (erasing) {
+    erasing = false;
+    eraseStart = null;
+    eraseEnd = null;
+    brushLast = null;
+    lassoPath = [];
+    updateMaskButtons();
+  }
+  const active = activeOverlayIndex >= 0 ? overlays[activeOverlayIndex] : null;
+  if (active && active.cropping) {
+    active.cropping = false;
+    active.cropStart = null;
+    active.cropEnd = null;
+  }
+  drawScene();
+}
+
+// Touch points are tracked before the editing handlers below see them; the
+// events of a pinch stop here
+canvas.addEventListener('pointerdown', (e) => {
+  if (e.pointerType !== 'touch') return;
+  touchPoints.set(e.pointerId, { clientX: e.clientX, clientY: e.clientY });
+  if (pinch) {
+    // Further fingers are ignored
+    e.stopImmediatePropagation();
+  } else if (bgImg && touchPoints.size === 2) {
+    abandonPointerInteraction();
+    pinch = pinchGeometry([...touchPoints.keys()]);
+    canvas.setPointerCapture(e.pointerId);
+    e.stopImmediatePropagation();
+    e.preventDefault();
+  }
+});
+canvas.addEventListener('pointermove', (e) => {
+  if (!touchPoints.has(e.pointerId)) return;
+  touchPoints.set(e.pointerId, { clientX: e.clientX, clientY: e.clientY });
+  if (!pinch) return;
+  e.stopImmediatePropagation();
+  if (pinch.ids.indexOf(e.pointerId) < 0) return;
+  // Pan by the movement of the midpoint, then zoom around it by the change
+  // in distance
+  const next = pinchGeometry(pinch.ids);
+  view.x -= (next.clientX - pinch.clientX) / view.zoom;
+  view.y -= (next.clientY - pinch.clientY) / view.zoom;
+  if (pinch.distance > 0 && next.distance > 0) setZoom(view.zoom * (next.distance / pinch.distance), next);
+  else drawScene();
+  pinch = next;
+});
+// The finger left on the canvas when a pinch ends does nothing until lifted
+const endTouch = (e) => {
+  if (!touchPoints.delete(e.pointerId) || !pinch) return;
+  if (pinch.ids.indexOf(e.pointerId) >= 0) pinch = null;
+  e.stopImmediatePropagation();
+};
+canvas.addEventListener('pointerup', endTouch);
+canvas.addEventListener('pointercancel', endTouch);
+
+// Space turns dragging on the canvas into panning. Like the shortcuts it is
+// left alone on form controls, where it types or presses them.
+document.addEventListener('keydown', (e) => {
+  if (e.code !== 'Space' || e.ctrlKey || e.metaKey || e.altKey || isTypingTarget(e.target)) return;
+  if (e.target.closest && e.target.closest('button, input, select, textarea, a[href], summary')) return;
+  if (shortcutHelp && shortcutHelp.style.display !== 'none') return;
+  // Keep the page from scrolling
+  e.preventDefault();
+  if (!panKeyHeld) {
+    panKeyHeld = true;
+    updateCanvasCursor();
+  }
+});
+document.addEventListener('keyup', (e) => {
+  if (e.code !== 'Space' || !panKeyHeld) return;
+  e.preventDefault();
+  panKeyHeld = false;
+  updateCanvasCursor();
+});
+// A key released in another window never reaches us
+window.addEventListener('blur', () => {
+  panKeyHeld = false;
+  updateCanvasCursor();
+});
+
+if (zoomInBtn) zoomInBtn.addEventListener('click', () => setZoom(view.zoom * ZOOM_STEP));
+if (zoomOutBtn) zoomOutBtn.addEventListener('click', () => setZoom(view.zoom / ZOOM_STEP));
+if (zoomFitBtn) zoomFitBtn.addEventListener('click', zoomToFit);
+if (zoomActualBtn) zoomActualBtn.addEventListener('click', () => setZoom(1));
+
+if (navCanvas) {
+  const navigate = (e) => {
+    if (!bgImg) return;
+    const rect = navCanvas.getBoundingClientRect();
+    centerViewAt({
+      x: ((e.clientX - rect.left) / rect.width) * bgImg.width,
+      y: ((e.clientY - rect.top) / rect.height) * bgImg.height,
+    });
+  };
+  navCanvas.addEventListener('pointerdown', (e) => {
+    if (!bgImg) return;
+    navCanvas.setPointerCapture(e.pointerId);
+    navigate(e);
+    e.preventDefault();
+  });
+  navCanvas.addEventListener('pointermove', (e) => {
+    if (navCanvas.hasPointerCapture(e.pointerId)) navigate(e);
+  });
+  navCanvas.addEventListener('pointerup', (e) => {
+    navCanvas.releasePointerCapture(e.pointerId);
+  });
+}
+
+// Redraw at the new size when the viewport is resized (window, panels)
+if (window.ResizeObserver) {
+  new ResizeObserver(() => drawScene()).observe(canvasContainer);
+} else {
+  window.addEventListener('resize', drawScene);
+}
+
+/* Snapping and guides */
+// Moving overlays snaps the edges and centre of what is being dragged to the
+// background edges and centre lines, the edges and centres of the other
+// visible overlays, the user guides and the grid. Holding Alt while dragging
+// turns snapping off. The settings are kept in localStorage.
+const snapEnabledInput = document.getElementById('snap-enabled');
+const gridEnabledInput = document.getElementById('grid-enabled');
+const gridSizeInput = document.getElementById('grid-size');
+const rulersEnabledInput = document.getElementById('rulers-enabled');
+const snapConfig = { enabled: true, grid: false, gridSize: 50, rulers: false };
+// Snap distance, ruler width and guide grab distance in screen pixels
+const SNAP_DISTANCE = 8;
+const RULER_SIZE = 20;
+const GUIDE_HIT = 4;
+
+try {
+  const saved = JSON.parse(localStorage.getItem('snapSettings') || 'null');
+  if (saved) Object.assign(snapConfig, saved);
+} catch (err) {
+  console.warn('Could not read snap settings:', err);
+}
+
+function storeSnapSettings() {
+  try {
+    localStorage.setItem('snapSettings', JSON.stringify(snapConfig));
+  } catch (err) {
+    console.warn('Could not store snap settings:', err);
+  }
+}
+
+if (snapEnabledInput) {
+  snapEnabledInput.checked = snapConfig.enabled;
+  gridEnabledInput.checked = snapConfig.grid;
+  gridSizeInput.value = snapConfig.gridSize;
+  rulersEnabledInput.checked = snapConfig.rulers;
+  snapEnabledInput.addEventListener('change', () => {
+    snapConfig.enabled = snapEnabledInput.checked;
+    storeSnapSettings();
+  });
+  gridEnabledInput.addEventListener('change', () => {
+    snapConfig.grid = gridEnabledInput.checked;
+    storeSnapSettings();
+    drawScene();
+  });
+  gridSizeInput.addEventListener('change', () => {
+    const val = parseInt(gridSizeInput.value, 10);
+    if (isNaN(val) || val < 2) {
+      gridSizeInput.value = snapConfig.gridSize;
+      return;
+    }
+    snapConfig.gridSize = val;
+    storeSnapSettings();
+    drawScene();
+  });
+  rulersEnabledInput.addEventListener('change', () => {
+    snapConfig.rulers = rulersEnabledInput.checked;
+    storeSnapSettings();
+    drawScene();
+  });
+}
+
+// Lines to snap to when moving the overlays at `indices`
+function snapLines(indices) {
+  const lines = { x: [0, bgImg.width / 2, bgImg.width], y: [0, bgImg.height / 2, bgImg.height] };
+  overlays.forEach((ov, i) => {
+    if (!ov.visible || !ov.img || indices.indexOf(i) >= 0) return;
+    const b = geometry.overlayBounds(ov.img.width, ov.img.height, ov.state);
+    lines.x.push(b.x, b.x + b.w / 2, b.x + b.w);
+    lines.y.push(b.y, b.y + b.h / 2, b.y + b.h);
+  });
+  if (snapConfig.rulers) {
+    lines.x.push(...userGuides.x);
+    lines.y.push(...userGuides.y);
+  }
+  return lines;
+}
+
+/**
+ * Snap overlays being moved.
+ * @param {number[]} indices Overlays being moved.
+ * @param {Object[]} states Their proposed states, in the same order.
+ * @param {PointerEvent} e Pointer event; Alt turns snapping off.
+ * @returns {Object[]} The states shifted onto the snapped lines (kept inside
+ *   the background). Sets `snapGuides` to the lines snapped to.
+ */
+function snapMove(indices, states, e) {
+  snapGuides = null;
+  if (!snapConfig.enabled || e.altKey) return states;
+  const items = indices.map((i, k) => ({ width: overlays[i].img.width, height: overlays[i].img.height, state: states[k] }));
+  const box = geometry.groupBounds(items);
+  const grid = snapConfig.grid ? snapConfig.gridSize : 0;
+  const snap = geometry.snapOffset(box, snapLines(indices), SNAP_DISTANCE * canvasPixelRatio(), grid);
+  if (snap.x === null && snap.y === null) return states;
+  const { dx, dy } = geometry.clampOffset(box, snap.dx, snap.dy, { width: bgImg.width, height: bgImg.height });
+  snapGuides = { x: dx === snap.dx ? snap.x : null, y: dy === snap.dy ? snap.y : null };
+  return geometry.translateGroup(items, dx, dy);
+}
+
+// Faint grid lines when the grid is on (skipped when too dense to be useful)
+function drawGrid(targetCtx) {
+  const ratio = canvasPixelRatio();
+  const step = snapConfig.gridSize;
+  if (!snapConfig.grid || step / ratio < 4) return;
+  targetCtx.save();
+  targetCtx.strokeStyle = 'rgba(0, 0, 0, 0.12)';
+  targetCtx.lineWidth = ratio;
+  targetCtx.beginPath();
+  for (let x = step; x < bgImg.width; x += step) {
+    targetCtx.moveTo(x, 0);
+    targetCtx.lineTo(x, bgImg.height);
+  }
+  for (let y = step; y < bgImg.height; y += step) {
+    targetCtx.moveTo(0, y);
+    targetCtx.lineTo(bgImg.width, y);
+  }
+  targetCtx.stroke();
+  targetCtx.restore();
+}
+
+// User guides (while the rulers are shown) and the lines the current drag
+// snaps to
+function drawGuides(targetCtx) {
+  const ratio = canvasPixelRatio();
+  const line = (axis, pos) => {
+    targetCtx.beginPath();
+    if (axis === 'x') {
+      targetCtx.moveTo(pos, 0);
+      targetCtx.lineTo(pos, bgImg.height);
+    } else {
+      targetCtx.moveTo(0, pos);
+      targetCtx.lineTo(bgImg.width, pos);
+    }
+    targetCtx.stroke();
+  };
+  targetCtx.save();
+  targetCtx.lineWidth = ratio;
+  if (snapConfig.rulers) {
+    targetCtx.strokeStyle = 'rgba(0, 170, 255, 0.9)';
+    userGuides.x.forEach((x) => line('x', x));
+    userGuides.y.forEach((y) => line('y', y));
+  }
+  if (snapGuides) {
+    targetCtx.strokeStyle = 'rgba(255, 0, 200, 0.9)';
+    targetCtx.setLineDash([4 * ratio, 3 * ratio]);
+    if (snapGuides.x !== null) line('x', snapGuides.x);
+    if (snapGuides.y !== null) line('y', snapGuides.y);
+  }
+  targetCtx.restore();
+}
+
+// Rulers along the top and left edges of the visible part of the background,
+// with ticks in canvas pixels
+function drawRulers(targetCtx) {
+  const ratio = canvasPixelRatio();
+  const size = RULER_SIZE * ratio;
+  const area = visibleArea();
+  // Label spacing: a round number of pixels at least 60 screen pixels apart
+  const minStep = 60 * ratio;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(minStep)));
+  const step = [1, 2, 5, 10].map((m) => m * magnitude).find((v) => v >= minStep);
+  const tick = step / 5;
+  targetCtx.save();
+  targetCtx.fillStyle = 'rgba(245, 245, 245, 0.95)';
+  targetCtx.fillRect(area.x, area.y, area.w, size);
+  targetCtx.fillRect(area.x, area.y, size, area.h);
+  targetCtx.strokeStyle = 'rgba(0, 0, 0, 0.6)';
+  targetCtx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+  targetCtx.lineWidth = ratio;
+  targetCtx.font = `${10 * ratio}px sans-serif`;
+  targetCtx.textBaseline = 'top';
+  targetCtx.beginPath();
+  for (let v = Math.ceil(area.x / tick) * tick; v <= area.x + area.w; v += tick) {
+    const len = Math.round(v / step) * step === Math.round(v) ? size : size / 3;
+    targetCtx.moveTo(v, area.y + size - len);
+    targetCtx.lineTo(v, area.y + size);
+  }
+  for (let v = Math.ceil(area.y / tick) * tick; v <= area.y + area.h; v += tick) {
+    const len = Math.round(v / step) * step === Math.round(v) ? size : size / 3;
+    targetCtx.moveTo(area.x + size - len, v);
+    targetCtx.lineTo(area.x + size, v);
+  }
+  targetCtx.stroke();
+  for (let v = Math.ceil(area.x / step) * step; v <= area.x + area.w; v += step) {
+    if (v > 0) targetCtx.fillText(String(v), v + 2 * ratio, area.y + ratio);
+  }
+  for (let v = Math.ceil(area.y / step) * step; v <= area.y + area.h; v += step) {
+    if (v > 0) targetCtx.fillText(String(v), area.x + ratio, v + 2 * ratio);
+  }
+  targetCtx.restore();
+}
+
+// Start dragging a user guide when the rulers are shown: a new one from a
+// ruler (the top ruler gives a horizontal guide, the left one a vertical
+// guide) or an existing one under the pointer. Returns true when a drag started.
+function startGuideDrag(point) {
+  if (!snapConfig.rulers) return false;
+  const ratio = canvasPixelRatio();
+  const size = RULER_SIZE * ratio;
+  const area = visibleArea();
+  const inX = point.x > area.x + size && point.x <= area.x + area.w;
+  const inY = point.y > area.y + size && point.y <= area.y + area.h;
+  if (point.y >= area.y && point.y <= area.y + size && inX) {
+    userGuides.y.push(point.y);
+    guideDrag = { axis: 'y', index: userGuides.y.length - 1 };
+  } else if (point.x >= area.x && point.x <= area.x + size && inY) {
+    userGuides.x.push(point.x);
+    guideDrag = { axis: 'x', index: userGuides.x.length - 1 };
+  } else {
+    const hit = GUIDE_HIT * ratio;
+    const ix = userGuides.x.findIndex((x) => Math.abs(point.x - x) <= hit);
+    const iy = userGuides.y.findIndex((y) => Math.abs(point.y - y) <= hit);
+    if (ix >= 0) guideDrag = { axis: 'x', index: ix };
+    else if (iy >= 0) guideDrag = { axis: 'y', index: iy };
+    else return false;
+  }
+  return true;
+}
+
+// Finish a guide drag; a guide dropped back onto its ruler or off the
+// background is removed
+function finishGuideDrag() {
+  const { axis, index } = guideDrag;
+  guideDrag = null;
+  const area = visibleArea();
+  const pos = userGuides[axis][index];
+  const rulerEdge = area[axis] + RULER_SIZE * canvasPixelRatio();
+  const limit = axis === 'x' ? bgImg.width : bgImg.height;
+  if (pos <= rulerEdge || pos >= limit) userGuides[axis].splice(index, 1);
+  drawScene();
+}
+
+/* Selection */
+// Helpers for picking overlays on the canvas and for the group box drawn
+// around several selected overlays (see `selection`).
+
+// Index of the topmost visible overlay under a canvas point, or -1
+function overlayIndexAt(point) {
+  for (let i = overlays.length - 1; i >= 0; i--) {
+    const ov = overlays[i];
+    if (ov.visible && ov.img && geometry.containsPoint(point, ov.img.width, ov.img.height, ov.state)) return i;
+  }
+  return -1;
+}
+
+// Overlays at the given indices as geometry items
+function selectionItems(indices) {
+  return indices.map((i) => ({ width: overlays[i].img.width, height: overlays[i].img.height, state: overlays[i].state }));
+}
+
+// Corners of a group box: top-left, top-right, bottom-right, bottom-left
+function groupCorners(bounds) {
+  return [
+    { x: bounds.x, y: bounds.y },
+    { x: bounds.x + bounds.w, y: bounds.y },
+    { x: bounds.x + bounds.w, y: bounds.y + bounds.h },
+    { x: bounds.x, y: bounds.y + bounds.h },
+  ];
+}
+
+// Rotate handle of a group box, above the middle of its top edge
+function groupRotateHandle(bounds) {
+  return { x: bounds.x + bounds.w / 2, y: bounds.y - ROTATE_HANDLE_OFFSET * canvasPixelRatio() };
+}
+
+// Handle of the group box within `handleSize` of the point: 'rotate', a
+// corner ('nw', 'ne', 'se', 'sw') or null
+function groupHandleAt(point, bounds, handleSize) {
+  if (!bounds) return null;
+  const near = (c) => Math.abs(point.x - c.x) <= handleSize && Math.abs(point.y - c.y) <= handleSize;
+  if (near(groupRotateHandle(bounds))) return 'rotate';
+  const corner = groupCorners(bounds).findIndex(near);
+  return corner >= 0 ? ['nw', 'ne', 'se', 'sw'][corner] : null;
+}
+
+// Apply a group move, resize or rotation for the pointer event `e` at `point`.
+// Moves snap (see snapMove()); shift rounds rotations to geometry.ROTATE_SNAP
+// steps. States are recomputed from the ones at the start of the drag, so
+// nothing accumulates.
+function dragGroup(point, e) {
+  const { mode, indices, states, start, bounds } = groupDrag;
+  const limits = { width: bgImg.width, height: bgImg.height };
+  const items = indices.map((i, k) => ({ width: overlays[i].img.width, height: overlays[i].img.height, state: states[k] }));
+  const c = { x: bounds.x + bounds.w / 2, y: bounds.y + bounds.h / 2 };
+  let next;
+  if (mode === 'move') {
+    const { dx, dy } = geometry.clampOffset(bounds, point.x - start.x, point.y - start.y, limits);
+    next = snapMove(indices, geometry.translateGroup(items, dx, dy), e);
+  } else {
+    if (mode === 'rotate') {
+      // Turn by the angle the pointer has swept around the group centre
+      let angle = geometry.pointerAngle(c, point, false) - geometry.pointerAngle(c, start, false);
+      if (e.shiftKey) angle = Math.round(angle / geometry.ROTATE_SNAP) * geometry.ROTATE_SNAP;
+      next = geometry.rotateGroup(items, angle, c);
+    } else {
+      // Uniform scale around the group centre, following the dragged corner
+      let factor = Math.min(Math.abs(point.x - c.x) / (bounds.w / 2), Math.abs(point.y - c.y) / (bounds.h / 2));
+      factor = Math.min(factor, limits.width / bounds.w, limits.height / bounds.h);
+      factor = Math.max(factor, ...states.map((s) => geometry.MIN_SCALE / Math.min(s.scaleX, s.scaleY)));
+      next = geometry.scaleGroup(items, factor, c);
+    }
+    // Keep the transformed group inside the background
+    const moved = geometry.groupBounds(items.map((it, k) => ({ ...it, state: next[k] })));
+    const { dx, dy } = geometry.clampOffset(moved, 0, 0, limits);
+    next = geometry.translateGroup(items.map((it, k) => ({ ...it, state: next[k] })), dx, dy);
+  }
+  indices.forEach((i, k) => Object.assign(overlays[i].state, next[k]));
+}
+
+// Select the overlays touched by the marquee. A click without dragging on an
+// empty area clears the selection (unless shift was held).
+function finishMarquee() {
+  const { start, end, additive } = marquee;
+  marquee = null;
+  const box = {
+    x: Math.min(start.x, end.x),
+    y: Math.min(start.y, end.y),
+    w: Math.abs(end.x - start.x),
+    h: Math.abs(end.y - start.y),
+  };
+  const picked = additive ? selectedIndices() : [];
+  if (box.w >= 3 || box.h >= 3) {
+    overlays.forEach((ov, i) => {
+      if (!ov.visible || !ov.img || picked.indexOf(i) >= 0) return;
+      const b = geometry.overlayBounds(ov.img.width, ov.img.height, ov.state);
+      if (b.x <= box.x + box.w && b.x + b.w >= box.x && b.y <= box.y + box.h && b.y + b.h >= box.y) picked.push(i);
+    });
+  }
+  if (picked.length > 0 || !additive) selectOverlays(picked);
+  drawScene();
+}
+
+// Canvas pointer events for dragging
+canvas.addEventListener('pointerdown', (e) => {
+  // Require a background image to interact
+  if (!bgImg) return;
+  // Space-drag pans the view whatever else is going on
+  if (panKeyHeld) {
+    startPan(e);
+    return;
+  }
+  // Compute pointer coordinates in the canvas
+  const { x, y } = eventToCanvasPoint(e);
+  // The mask is frozen while erase results are being reviewed
+  if (eraseMode && eraseReview) return;
+  // If erase mode is active, begin a mask stroke. Mask strokes are not part of
+  // the undo history; only the applied erase is.
+  if (eraseMode && eraseMaskCanvas) {
+    erasing = true;
+    // Alt inverts the add/subtract mode for this stroke
+    eraseSubtract = (maskMode === 'subtract') !== e.altKey;
+    if (eraseMethod === 'rect') {
+      eraseStart = { x, y };
+      eraseEnd = { x, y };
+    } else if (eraseMethod === 'brush') {
+      brushLast = { x, y };
+      addBrushSegmentToMask(brushLast, brushLast, eraseSubtract);
+    } else if (eraseMethod === 'lasso') {
+      lassoPath = [{ x, y }];
+    }
+    canvas.setPointerCapture(e.pointerId);
+    drawScene();
+    e.preventDefault();
+    return;
+  }
+  // Eyedropper: pick the key colour from the active overlay's source image
+  if (keyPickMode) {
+    pickKeyColorAt(x, y);
+    e.preventDefault();
+    return;
+  }
+  // Rulers: drag out a new guide or move an existing one. Guides are not part
+  // of the undo history.
+  if (startGuideDrag({ x, y })) {
+    canvas.setPointerCapture(e.pointerId);
+    drawScene();
+    e.preventDefault();
+    return;
+  }
+  // Start recording the interaction; it only becomes an undo step if it
+  // changes something (a plain click does not). A pointer released outside the
+  // canvas may have left the previous interaction open.
+  flushHistory();
+  pointerHistory = beginHistory('Move');
+  const point = { x, y };
+  // Handle sizes are in screen pixels
+  const handleHit = HANDLE_HIT * canvasPixelRatio();
+  const rotateOffset = ROTATE_HANDLE_OFFSET * canvasPixelRatio();
+  const hitIndex = overlayIndexAt(point);
+  // Shift-click adds an overlay to the selection or removes it
+  if (e.shiftKey && hitIndex >= 0) {
+    selectOverlay(hitIndex, 'toggle');
+    return;
+  }
+  // With several overlays selected, the group box handles scale or rotate the
+  // whole group and dragging any selected overlay moves all of them. Locked
+  // and hidden layers stay where they are.
+  const indices = selectedIndices();
+  if (indices.length > 1) {
+    const handle = groupHandleAt(point, geometry.groupBounds(selectionItems(indices)), handleHit);
+    const movable = indices.filter((i) => overlays[i].visible && !overlays[i].locked);
+    if ((handle || indices.indexOf(hitIndex) >= 0) && movable.length > 0) {
+      let mode = 'move';
+      if (handle) mode = handle === 'rotate' ? 'rotate' : 'resize';
+      groupDrag = {
+        mode,
+        indices: movable,
+        states: movable.map((i) => ({ ...overlays[i].state })),
+        start: point,
+        bounds: geometry.groupBounds(selectionItems(movable)),
+      };
+      labelHistory({ move: 'Move selection', resize: 'Resize selection', rotate: 'Rotate selection' }[mode]);
+      canvas.setPointerCapture(e.pointerId);
+      e.preventDefault();
+      return;
+    }
+  }
+  // The active overlay keeps the pointer where it overlaps others, so a layer
+  // selected in the layers panel can be dragged even when it lies underneath
+  const active = activeOverlayIndex >= 0 ? overlays[activeOverlayIndex] : null;
+  const onActive = indices.length === 1 && active && active.visible && active.img
+    && (geometry.containsPoint(point, active.img.width, active.img.height, active.state)
+      || geometry.handleAt(point, active.img.width, active.img.height, active.state, handleHit, rotateOffset));
+  if (!onActive) {
+    // Otherwise select the topmost visible overlay under the pointer. Selecting
+    // does not change the stacking order.
+    if (hitIndex >= 0) {
+      if (hitIndex !== activeOverlayIndex || indices.length > 1) selectOverlay(hitIndex);
+    } else if (!(active && active.cropMode)) {
+      // Empty area: drag a marquee to select the overlays it touches; shift
+      // adds them to the current selection
+      marquee = { start: point, end: point, additive: e.shiftKey };
+      canvas.setPointerCapture(e.pointerId);
+      e.preventDefault();
+      return;
+    }
+  }
+  // If no overlay is active after selection, exit
+  if (!overlayImg || activeOverlayIndex < 0) {
+    return;
+  }
+  labelHistory(`Select ${overlayLabel(activeOverlayIndex)}`);
+  // Pointer in the active overlay's local coordinates
+  const local = geometry.canvasToLocal(point, overlayImg.width, overlayImg.height, overlayState);
+  // Reference to current active overlay
+  const activeOverlay = overlays[activeOverlayIndex];
+  // If crop mode is active for the current overlay, begin cropping when clicking inside it
+  if (activeOverlay.cropMode) {
+    if (geometry.containsPoint(point, overlayImg.width, overlayImg.height, overlayState)) {
+      const unscaled = { x: local.x / overlayState.scaleX, y: local.y / overlayState.scaleY };
+      activeOverlay.cropping = true;
+      activeOverlay.cropStart = unscaled;
+      activeOverlay.cropEnd = { ...unscaled };
+      canvas.setPointerCapture(e.pointerId);
+      drawScene();
+      e.preventDefault();
+      return;
+    } else {
+      // Clicked outside overlay: cancel crop mode
+      cancelCropSelection(activeOverlay);
+      drawScene();
+      return;
+    }
+  }
+  // Locked or hidden layers can be selected but not moved or resized
+  if (activeOverlay.locked || !activeOverlay.visible) return;
+  // Check for resize and rotate handle interactions on the active overlay
+  const handle = geometry.handleAt(point, overlayImg.width, overlayImg.height, overlayState, handleHit, rotateOffset);
+  if (handle) {
+    resizing = true;
+    resizeHandle = handle;
+    dragging = false;
+    labelHistory(`${handle === 'rotate' ? 'Rotate' : 'Resize'} ${overlayLabel(activeOverlayIndex)}`);
+    canvas.setPointerCapture(e.pointerId);
+    e.preventDefault();
+    return;
+  }
+  // Start dragging if pointer is within overlay bounds
+  if (geometry.containsPoint(point, overlayImg.width, overlayImg.height, overlayState)) {
+    dragging = true;
+    dragData.localX = local.x;
+    dragData.localY = local.y;
+    labelHistory(`Move ${overlayLabel(activeOverlayIndex)}`);
+    canvas.setPointerCapture(e.pointerId);
+  }
+});
+
+canvas.addEventListener('pointermove', (e) => {
+  if (!bgImg) return;
+  if (panDrag) {
+    movePan(e);
+    return;
+  }
+  const { x, y } = eventToCanvasPoint(e);
+  // In erase mode, extend the current mask stroke and track the brush outline
+  if (eraseMode) {
+    brushCursor = { x, y };
+    if (erasing) {
+      if (eraseMethod === 'rect') {
+        eraseEnd = { x, y };
+      } else if (eraseMethod === 'brush') {
+        addBrushSegmentToMask(brushLast, { x, y }, eraseSubtract);
+        brushLast = { x, y };
+        updateMaskButtons();
+      } else if (eraseMethod === 'lasso') {
+        lassoPath.push({ x, y });
+      }
+    }
+    drawScene();
+    return;
+  }
+  const point = { x, y };
+  if (guideDrag) {
+    userGuides[guideDrag.axis][guideDrag.index] = point[guideDrag.axis];
+    drawScene();
+    return;
+  }
+  if (marquee) {
+    marquee.end = point;
+    drawScene();
+    return;
+  }
+  if (groupDrag) {
+    dragGroup(point, e);
+    drawScene();
+    return;
+  }
+  if (!overlayImg || activeOverlayIndex < 0) return;
+  const activeOverlay = overlays[activeOverlayIndex];
+  // If the active overlay is currently being cropped, update its crop end point
+  if (activeOverlay && activeOverlay.cropping) {
+    const local = geometry.canvasToLocal(point, overlayImg.width, overlayImg.height, overlayState);
+    activeOverlay.cropEnd = { x: local.x / overlayState.scaleX, y: local.y / overlayState.scaleY };
+    drawScene();
+    return;
+  }
+  const bounds = { width: bgImg.width, height: bgImg.height };
+  // If dragging a handle of the active overlay, rotate it (shift snaps the
+  // angle) or adjust its scales based on handle movement (the opposite edge or
+  // corner stays fixed)
+  if (resizing) {
+    if (resizeHandle === 'rotate') {
+      setTransform(activeOverlayIndex, geometry.rotateState(overlayState, overlayImg.width, overlayImg.height, point, e.shiftKey));
+      return;
+    }
+    const keepAspect = !aspectLockInput || aspectLockInput.checked;
+    setTransform(activeOverlayIndex, geometry.resizeState(overlayState, overlayImg.width, overlayImg.height, point, bounds, resizeHandle, keepAspect));
+    return;
+  }
+  // Handle dragging overlay
+  if (dragging) {
+    const grab = { x: dragData.localX, y: dragData.localY };
+    const moved = geometry.dragState(overlayState, overlayImg.width, overlayImg.height, point, grab, bounds);
+    setTransform(activeOverlayIndex, snapMove([activeOverlayIndex], [moved], e)[0]);
+    return;
+  }
+});
+
+canvas.addEventListener('pointerup', (e) => {
+  if (panDrag) {
+    endPan(e);
+    return;
+  }
+  // Finish the current mask stroke; the mask is only sent on Apply Erase
+  if (erasing) {
+    erasing = false;
+    canvas.releasePointerCapture(e.pointerId);
+    if (eraseMethod === 'rect' && eraseStart && eraseEnd) {
+      addRectToMask(eraseStart, eraseEnd, eraseSubtract);
+    } else if (eraseMethod === 'lasso') {
+      addLassoToMask(lassoPath, eraseSubtract);
+    }
+    eraseStart = null;
+    eraseEnd = null;
+    brushLast = null;
+    lassoPath = [];
+    updateMaskButtons();
+    drawScene();
+    return;
+  }
+  if (guideDrag) {
+    canvas.releasePointerCapture(e.pointerId);
+    finishGuideDrag();
+    return;
+  }
+  // If cropping an overlay, finalize the crop
+  if (activeOverlayIndex >= 0) {
+    const ov = overlays[activeOverlayIndex];
+    if (ov.cropping) {
+      canvas.releasePointerCapture(e.pointerId);
+      // Close the pointer interaction; the crop or matte records its own step
+      commitHistory();
+      // A background removal selection goes to the matting provider instead
+      if (cropPurpose === 'matte') {
+        const rect = cropSelectionRect(ov);
+        cancelCropSelection(ov);
+        if (rect) performMatte(rect);
+        drawScene();
+        return;
+      }
+      ov.cropping = false;
+      ov.cropMode = false;
+      cropBtn.textContent = 'Crop';
+      performCrop();
+      return;
+    }
+  }
+  if (marquee) {
+    canvas.releasePointerCapture(e.pointerId);
+    finishMarquee();
+  }
+  // Shadows kept during a rotation or resize are rendered for the result
+  if (shadowsDeferred()) drawScene();
+  if (groupDrag) {
+    groupDrag = null;
+    canvas.releasePointerCapture(e.pointerId);
+  }
+  if (dragging) {
+    dragging = false;
+    canvas.releasePointerCapture(e.pointerId);
+  }
+  if (resizing) {
+    resizing = false;
+    resizeHandle = null;
+    canvas.releasePointerCapture(e.pointerId);
+  }
+  // Hide the snap guides of the finished drag
+  if (snapGuides) {
+    snapGuides = null;
+    drawScene();
+  }
+  // The whole drag or resize becomes a single undo step
+  commitHistory();
+});
+
+// Save outputs (async to allow writing files via File System Access API)
+saveBtn.addEventListener('click', async () => {
+  // Only save if a background is loaded and there is at least one overlay
+  if (!bgImg || overlays.length === 0) return;
+  // Determine base name for output
+  let prefix = outputPrefixInput.value.trim();
+  if (!prefix) {
+    prefix = bgName || 'output';
+  }
+  const compositeDataUrl = renderComposite().toDataURL('image/png');
+  // Generate overlay-only images and names for each overlay
+  const objectDataUrls = [];
+  const objectNames = [];
+  overlays.forEach((ov, idx) => {
+    // Hidden layers are not saved
+    if (!ov.originalImg || !ov.visible) return;
+    const canvasObj = objectCanvas(ov);
+    const objUrl = canvasObj.toDataURL('image/png');
+    objectDataUrls.push(objUrl);
+    const baseName = saveCounter === 0 ? `${prefix}_ov${idx + 1}` : `${prefix}_${saveCounter}_ov${idx + 1}`;
+    objectNames.push(`${baseName}.png`);
+  });
+  // Determine composite name; increment saveCounter once for the entire save operation
+  const compositeBaseName = saveCounter === 0 ? prefix : `${prefix}_${saveCounter}`;
+  const canvasName = `${compositeBaseName}.png`;
+  saveCounter++;
+  // Save or download files
+  if (outputDirHandle) {
+    try {
+      const canvasDir = await outputDirHandle.getDirectoryHandle('Canvas', { create: true });
+      const objectsDir = await outputDirHandle.getDirectoryHandle('objects', { create: true });
+      await writeDataUrlToFile(canvasDir, canvasName, compositeDataUrl);
+      // Save each overlay object
+      for (let i = 0; i < objectDataUrls.length; i++) {
+        await writeDataUrlToFile(objectsDir, objectNames[i], objectDataUrls[i]);
+      }
+      alert(`Saved composite and ${objectDataUrls.length} overlay objects to selected folder.`);
+    } catch (err) {
+      console.error('Error writing files via File System Access API:', err);
+      // Fallback to download
+      downloadDataUrl(compositeDataUrl, `Canvas_${canvasName}`);
+      for (let i = 0; i < objectDataUrls.length; i++) {
+        downloadDataUrl(objectDataUrls[i], `objects_${objectNames[i]}`);
+      }
+    }
+  } else {
+    // Fallback: download via anchor with folder prefixes in file names
+    downloadDataUrl(compositeDataUrl, `Canvas_${canvasName}`);
+    for (let i = 0; i < objectDataUrls.length; i++) {
+      downloadDataUrl(objectDataUrls[i], `objects_${objectNames[i]}`);
+    }
+  }
+});
+
+/* Scene API */
+// The editing operations behind the UI, also exposed as window.overlayApp so
+// the editor can be scripted (automation, tests from the browser console or a
+// headless browser). The UI handlers call these functions; every change they
+// make is recorded in the undo history like the equivalent UI action. The
+// transform and crop math lives in geometry.js and can be used without a DOM.
+//
+// Overlays are addressed by their index in stacking order (0 is the bottom).
+
+// Enable the controls that depend on what the scene contains
+function syncSceneControls() {
+  const hasOverlays = overlays.length > 0;
+  if (bgImg) controls.style.display = 'flex';
+  saveBtn.disabled = !hasOverlays;
+  if (copyCompositeBtn) copyCompositeBtn.disabled = !bgImg;
+  if (copyOverlayBtn) copyOverlayBtn.disabled = !hasOverlays;
+  removeOverlayBtn.disabled = !hasOverlays;
+  cropBtn.disabled = !hasOverlays;
+  cropBtn.textContent = 'Crop';
+  setOutputBtn.disabled = !bgImg;
+  eraseBtn.disabled = !bgImg || !!activeEraseJob;
+  if (saveProjectBtn) saveProjectBtn.disabled = !bgImg;
+  if (document.activeElement !== angleInput) angleInput.value = hasOverlays ? Math.round(overlayState.angle) : 0;
+}
+
+// Overlay at `index`, or an error naming the bad index
+function overlayAt(index) {
+  const ov = overlays[index];
+  if (!ov) throw new Error(`No overlay at index ${index}`);
+  return ov;
+}
+
+/**
+ * Load a background image. Existing overlays are kept and shrunk or moved to
+ * fit inside it.
+ * @param {Blob} blob Image file or blob.
+ * @param {string} [name] Base name for saved files; defaults to the file name.
+ * @returns {Promise<void>}
+ */
+async function loadBackground(blob, name) {
+  const img = await blobToImage(blob);
+  bgImg = img;
+  bgOriginalImg = img;
+  // Show the new background whole
+  view.fit = true;
+  bgName = (name || blob.name || '').replace(/\.[^.]+$/, '');
+  // Reset save counter
+  saveCounter = 0;
+  // An erase mask drawn for the previous background no longer applies
+  resetEraseMode();
+  // Keep the current size if it fits (otherwise shrink it, keeping its
+  // proportions), and the position inside the new background
+  const bounds = { width: bgImg.width, height: bgImg.height };
+  overlays.forEach((ov) => {
+    if (!ov.img) return;
+    const { w, h } = geometry.scaledSize(ov.img.width, ov.img.height, ov.state);
+    const factor = Math.min(1, bounds.width / w, bounds.height / h);
+    const scaled = { ...ov.state, scaleX: ov.state.scaleX * factor, scaleY: ov.state.scaleY * factor };
+    Object.assign(ov.state, geometry.clampPosition(scaled, ov.img.width, ov.img.height, bounds));
+  });
+  syncSceneControls();
+  drawScene();
+  // Shows the initial state in the history panel and schedules an autosave
+  updateUndoRedoButtons();
+}
+
+/**
+ * Add an overlay on top of the others and select it. By default it is scaled
+ * to fit the background and placed near the top-left corner.
+ * @param {Blob} blob Image file or blob.
+ * @param {Object} [state] Initial transform, e.g. { x, y, scaleX, scaleY, angle };
+ *   a single `scale` sets both scales.
+ * @param {{x:number,y:number}} [at] Canvas point to centre the overlay on
+ *   (kept inside the background) instead of the top-left corner.
+ * @returns {Promise<number>} Index of the new overlay.
+ */
+async function addOverlay(blob, state, at) {
+  if (!bgImg) throw new Error('Load a background before adding overlays');
+  const decoded = await decodeOverlay(blob);
+  if (!bgImg) throw new Error('The background was closed while the overlay loaded');
+  let index;
+  recordAsyncResult('Add overlay', () => {
+    index = placeOverlay(decoded, state, at);
+  });
+  return index;
+}
+
+// Helper: load an image file as an overlay image: { rawImg, rgbaImg, key, name }
+async function decodeOverlay(blob) {
+  const rawImg = await blobToImage(blob);
+  // Keying starts disabled; it is enabled per overlay from the key controls
+  const key = defaultKeySettings();
+  const rgbaImg = await applyGreyKey(rawImg, key);
+  return { rawImg, rgbaImg, key, name: blob.name ? blob.name.replace(/\.[^.]+$/, '') : null };
+}
+
+// Helper: put a decoded overlay (see decodeOverlay()) on top and select it, as
+// described for addOverlay(); the caller records the history. Returns its index.
+function placeOverlay(decoded, state, at) {
+  const { rawImg, rgbaImg, key } = decoded;
+  const bounds = { width: bgImg.width, height: bgImg.height };
+  const scale = geometry.fitScale(rgbaImg.width, rgbaImg.height, bounds);
+  const ov = {
+    img: rgbaImg,
+    originalImg: rgbaImg,
+    sourceImg: rawImg,
+    key,
+    matteImg: null,
+    adjust: defaultAdjustments(),
+    shadow: defaultShadowSettings(),
+    name: decoded.name || `Overlay ${overlays.length + 1}`,
+    visible: true,
+    locked: false,
+    state: geometry.normalizeState({
+      x: Math.min(20, bounds.width - rgbaImg.width * scale),
+      y: Math.min(20, bounds.height - rgbaImg.height * scale),
+      scaleX: scale,
+      scaleY: scale,
+      angle: 0,
+      flipH: false,
+      flipV: false,
+      ...state,
+    }),
+    cropMode: false,
+    cropping: false,
+    cropStart: null,
+    cropEnd: null,
+  };
+  ov.state.angle = geometry.normalizeAngle(ov.state.angle);
+  if (at) {
+    const placed = geometry.stateWithCenter(ov.state, rgbaImg.width, rgbaImg.height, at);
+    ov.state = geometry.clampPosition(placed, rgbaImg.width, rgbaImg.height, bounds);
+  }
+  overlays.push(ov);
+  selectOverlay(overlays.length - 1);
+  return overlays.length - 1;
+}
+
+/**
+ * Remove an overlay.
+ * @param {number} index Overlay index.
+ */
+function removeOverlay(index) {
+  overlayAt(index);
+  beginHistory(`Remove ${overlayLabel(index)}`);
+  overlays.splice(index, 1);
+  if (index < activeOverlayIndex || activeOverlayIndex >= overlays.length) activeOverlayIndex--;
+  updateActiveOverlayRefs();
+  syncSceneControls();
+  drawScene();
+  commitHistory();
+}
+
+/**
+ * Make an overlay the active one (the one the controls act on). Selecting does
+ * not change the stacking order.
+ * @param {number} index Overlay index, or -1 to select none.
+ * @param {string} [mode] 'add' keeps the current selection, 'toggle' adds the
+ *   overlay or removes it if it was selected; by default only it is selected.
+ */
+function selectOverlay(index, mode) {
+  if (index !== -1) overlayAt(index);
+  if (mode === 'toggle' && index >= 0 && selection.has(overlays[index]) && selection.size > 1) {
+    // Deselect it; another selected overlay becomes the active one
+    selection.delete(overlays[index]);
+    const rest = selectedIndices();
+    index = rest[rest.length - 1];
+  } else if (!mode) {
+    selection.clear();
+  }
+  activeOverlayIndex = index;
+  updateActiveOverlayRefs();
+  // Crop selections belong to the overlay they were started on
+  overlays.forEach((o, idx) => {
+    if (idx !== index && o.cropMode) cancelCropSelection(o);
+  });
+  syncSceneControls();
+  drawScene();
+}
+
+/**
+ * Move an overlay to another position in the stacking order. The moved
+ * overlay stays selected if it was.
+ * @param {number} from Current index.
+ * @param {number} to New index (0 is the bottom).
+ */
+function moveOverlay(from, to) {
+  const ov = overlayAt(from);
+  overlayAt(to);
+  if (from === to) return;
+  const active = activeOverlayIndex >= 0 ? overlays[activeOverlayIndex] : null;
+  beginHistory(`Reorder ${overlayLabel(from)}`);
+  overlays.splice(from, 1);
+  overlays.splice(to, 0, ov);
+  activeOverlayIndex = overlays.indexOf(active);
+  updateActiveOverlayRefs();
+  drawScene();
+  commitHistory();
+}
+
+/**
+ * Change an overlay's layer settings.
+ * @param {number} index Overlay index.
+ * @param {{name?:string, visible?:boolean, locked?:boolean}} props Settings to change.
+ * @param {string} [label] History label.
+ */
+function setOverlayProps(index, props, label) {
+  const ov = overlayAt(index);
+  recordHistory(label || `Edit ${overlayLabel(index)}`, () => {
+    if (typeof props.name === 'string') ov.name = props.name;
+    if (typeof props.visible === 'boolean') ov.visible = props.visible;
+    if (typeof props.locked === 'boolean') ov.locked = props.locked;
+  });
+  drawScene();
+}
+
+/**
+ * Select several overlays; the last one becomes the active one.
+ * @param {number[]} indices Overlay indices (empty to select none).
+ */
+function selectOverlays(indices) {
+  indices.forEach(overlayAt);
+  selection = new Set(indices.map((i) => overlays[i]));
+  selectOverlay(indices.length > 0 ? indices[indices.length - 1] : -1, 'add');
+}
+
+// Select every visible overlay; false when none is visible
+function selectAllOverlays() {
+  const indices = overlays.map((o, i) => (o.visible ? i : -1)).filter((i) => i >= 0);
+  if (indices.length === 0) return false;
+  selectOverlays(indices);
+  return true;
+}
+
+// Apply new states (in the order of `indices`) to the selected overlays as one
+// undo step
+function setGroupStates(indices, states, label, mergeKey) {
+  recordHistory(label, () => {
+    indices.forEach((i, k) => Object.assign(overlays[i].state, states[k]));
+  }, mergeKey);
+  if (document.activeElement !== angleInput) angleInput.value = Math.round(overlayState.angle);
+  syncBlendControls();
+  drawScene();
+}
+
+/**
+ * Move the selected overlays together, keeping them inside the background.
+ * @param {number} dx Horizontal offset in canvas pixels.
+ * @param {number} dy Vertical offset.
+ */
+function moveSelection(dx, dy) {
+  const indices = selectedIndices();
+  if (indices.length === 0) return;
+  const items = selectionItems(indices);
+  const offset = geometry.clampOffset(geometry.groupBounds(items), dx, dy, { width: bgImg.width, height: bgImg.height });
+  setGroupStates(indices, geometry.translateGroup(items, offset.dx, offset.dy), 'Move selection');
+}
+
+/**
+ * Scale the selected overlays around the centre of their bounding box.
+ * @param {number} factor Scale factor.
+ */
+function scaleSelection(factor) {
+  const indices = selectedIndices();
+  if (indices.length === 0) return;
+  const items = selectionItems(indices);
+  const b = geometry.groupBounds(items);
+  const f = Math.max(factor, ...items.map((it) => geometry.MIN_SCALE / Math.min(it.state.scaleX, it.state.scaleY)));
+  setGroupStates(indices, geometry.scaleGroup(items, f, { x: b.x + b.w / 2, y: b.y + b.h / 2 }), 'Scale selection');
+}
+
+/**
+ * Rotate the selected overlays around the centre of their bounding box.
+ * @param {number} angle Degrees, clockwise.
+ * @param {string} [mergeKey] See beginHistory().
+ */
+function rotateSelection(angle, mergeKey) {
+  const indices = selectedIndices();
+  if (indices.length === 0) return;
+  const items = selectionItems(indices);
+  const b = geometry.groupBounds(items);
+  const sign = angle >= 0 ? '+' : '';
+  setGroupStates(indices, geometry.rotateGroup(items, angle, { x: b.x + b.w / 2, y: b.y + b.h / 2 }),
+    `Rotate selection ${sign}${Math.round(angle)}°`, mergeKey);
+}
+
+/**
+ * Mirror the selected overlays across the centre line of their bounding box.
+ * @param {string} axis 'h' (left-right) or 'v' (top-bottom).
+ */
+function flipSelection(axis) {
+  const indices = selectedIndices();
+  if (indices.length === 0) return;
+  const items = selectionItems(indices);
+  const b = geometry.groupBounds(items);
+  setGroupStates(indices, geometry.flipGroup(items, axis, { x: b.x + b.w / 2, y: b.y + b.h / 2 }),
+    axis === 'h' ? 'Flip selection horizontal' : 'Flip selection vertical');
+}
+
+/**
+ * Align the selected overlays with each other, or a single overlay with the
+ * background.
+ * @param {string} mode 'left', 'center', 'right', 'top', 'middle' or 'bottom'.
+ */
+function alignSelection(mode) {
+  const indices = selectedIndices();
+  if (indices.length === 0) return;
+  const items = selectionItems(indices);
+  const target = indices.length > 1 ? geometry.groupBounds(items) : { x: 0, y: 0, w: bgImg.width, h: bgImg.height };
+  setGroupStates(indices, geometry.alignGroup(items, mode, target), `Align ${mode}`);
+}
+
+/**
+ * Space three or more selected overlays evenly.
+ * @param {string} axis 'h' (horizontally) or 'v' (vertically).
+ */
+function distributeSelection(axis) {
+  const indices = selectedIndices();
+  if (indices.length < 3) return;
+  setGroupStates(indices, geometry.distributeGroup(selectionItems(indices), axis),
+    axis === 'h' ? 'Distribute horizontally' : 'Distribute vertically');
+}
+
+// Remove the selected overlays as one undo step. Locked layers are kept.
+function removeSelection() {
+  const indices = selectedIndices().filter((i) => !overlays[i].locked);
+  if (indices.length === 0) return;
+  beginHistory(indices.length > 1 ? `Remove ${indices.length} overlays` : `Remove ${overlayLabel(indices[0])}`);
+  for (let k = indices.length - 1; k >= 0; k--) removeOverlay(indices[k]);
+  commitHistory();
+}
+
+// Nudge the selected overlays by (dx, dy), leaving locked and hidden layers in
+// place. Successive nudges merge into one undo step.
+function nudgeSelection(dx, dy) {
+  const indices = selectedIndices().filter((i) => overlays[i].visible && !overlays[i].locked);
+  if (indices.length === 0) return;
+  const items = selectionItems(indices);
+  const offset = geometry.clampOffset(geometry.groupBounds(items), dx, dy, { width: bgImg.width, height: bgImg.height });
+  setGroupStates(indices, geometry.translateGroup(items, offset.dx, offset.dy), 'Nudge', 'nudge');
+}
+
+/**
+ * Make the next (or previous) visible overlay in stacking order the only
+ * selected one.
+ * @param {number} step 1 for the next overlay up, -1 for the one below.
+ * @returns {number} Index of the selected overlay, or -1 when none is visible.
+ */
+function cycleOverlay(step) {
+  const n = overlays.length;
+  for (let k = 1; k <= n; k++) {
+    const i = (((activeOverlayIndex + step * k) % n) + n) % n;
+    if (overlays[i].visible) {
+      selectOverlay(i);
+      return i;
+    }
+  }
+  return -1;
+}
+
+/* Duplicate, copy and paste */
+// Duplicates and pasted overlays go on top of the stack, offset by
+// PASTE_OFFSET pixels, and become the selection. A copy keeps references to
+// the overlays' images for pasting in this session and is also written to
+// localStorage (images as PNG data URLs) so another session can paste it.
+// Copies too large for localStorage can only be pasted in this session.
+const CLIPBOARD_STORAGE_KEY = 'overlayClipboard';
+const CLIPBOARD_FORMAT = 'object-overlay-clipboard';
+const PASTE_OFFSET = 20;
+// Last copy made in this session: { id, overlays: [captureOverlay() records] }
+let overlayClipboard = null;
+// Pastes of the current copy so far; each one is offset a little further
+let pasteCount = 0;
+
+// Add overlays from captureOverlay() records on top of the stack, moved by
+// `offset` pixels and kept inside the background, and select them
+function insertOverlays(records, offset, label) {
+  const bounds = { width: bgImg.width, height: bgImg.height };
+  const first = overlays.length;
+  beginHistory(label);
+  records.forEach((r) => {
+    const state = geometry.normalizeState({ ...r.state, x: r.state.x + offset, y: r.state.y + offset });
+    overlays.push({
+      img: r.img,
+      originalImg: r.originalImg || r.img,
+      sourceImg: r.sourceImg || r.img,
+      matteImg: r.matteImg || null,
+      key: r.key ? { ...r.key } : defaultKeySettings(),
+      adjust: r.adjust ? { ...r.adjust } : defaultAdjustments(),
+      shadow: r.shadow ? { ...r.shadow } : defaultShadowSettings(),
+      name: r.name,
+      visible: r.visible !== false,
+      locked: false,
+      state: geometry.clampPosition(state, r.img.width, r.img.height, bounds),
+      cropMode: false,
+      cropping: false,
+      cropStart: null,
+      cropEnd: null,
+    });
+  });
+  const indices = records.map((r, k) => first + k);
+  selectOverlays(indices);
+  commitHistory();
+  return indices;
+}
+
+/**
+ * Duplicate the selected overlays.
+ * @returns {number[]} Indices of the copies.
+ */
+function duplicateSelection() {
+  const indices = selectedIndices();
+  if (indices.length === 0) return [];
+  const records = indices.map((i) => ({ ...captureOverlay(overlays[i]), name: `${overlays[i].name} copy` }));
+  const label = indices.length > 1 ? `Duplicate ${indices.length} overlays` : `Duplicate ${overlayLabel(indices[0])}`;
+  return insertOverlays(records, PASTE_OFFSET, label);
+}
+
+/**
+ * Copy the selected overlays with their transforms and settings.
+ * @returns {Promise<number>} Number of overlays copied.
+ */
+async function copySelection() {
+  const indices = selectedIndices();
+  if (indices.length === 0) return 0;
+  const id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  const records = indices.map((i) => captureOverlay(overlays[i]));
+  overlayClipboard = { id, overlays: records };
+  pasteCount = 0;
+  try {
+    const data = await Promise.all(records.map(async (r) => ({
+      imgData: await imageDataUrl(r.img),
+      sourceData: r.sourceImg && r.sourceImg !== r.img ? await imageDataUrl(r.sourceImg) : null,
+      matteData: r.matteImg ? await imageDataUrl(r.matteImg) : null,
+      key: r.key,
+      adjust: r.adjust,
+      shadow: r.shadow,
+      name: r.name,
+      visible: r.visible,
+      state: r.state,
+    })));
+    // A newer copy may have been made while the images were encoded
+    if (overlayClipboard.id !== id) return records.length;
+    localStorage.setItem(CLIPBOARD_STORAGE_KEY, JSON.stringify({ format: CLIPBOARD_FORMAT, id, overlays: data }));
+  } catch (err) {
+    // Usually the storage quota: large overlays do not fit
+    console.warn('Copied overlays are only available in this session:', err);
+    alert(`The copied overlays can only be pasted in this tab, they could not be stored for others: ${err.message}`);
+    try {
+      localStorage.removeItem(CLIPBOARD_STORAGE_KEY);
+    } catch (e) {
+      // Storage unavailable; nothing to clear
+    }
+  }
+  return records.length;
+}
+
+// Copy stored by this or another session, or null
+function storedClipboard() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(CLIPBOARD_STORAGE_KEY) || 'null');
+    return stored && stored.format === CLIPBOARD_FORMAT ? stored : null;
+  } catch (err) {
+    console.warn('Could not read copied overlays:', err);
+    return null;
+  }
+}
+
+// True when there is a copy to paste
+function canPaste() {
+  return !!(overlayClipboard || storedClipboard());
+}
+
+/**
+ * Paste the last copied overlays, from this session or (when it is newer)
+ * from another one.
+ * @returns {Promise<number[]>} Indices of the pasted overlays.
+ */
+async function pasteOverlays() {
+  if (!bgImg) throw new Error('Load a background before pasting overlays');
+  const stored = storedClipboard();
+  if (stored && (!overlayClipboard || overlayClipboard.id !== stored.id)) {
+    // Copied in another session: load its images
+    const records = await Promise.all(stored.overlays.map(async (d) => {
+      const [img, sourceImg, matteImg] = await Promise.all([
+        dataUrlToImage(d.imgData),
+        d.sourceData ? dataUrlToImage(d.sourceData) : null,
+        d.matteData ? dataUrlToImage(d.matteData) : null,
+      ]);
+      return { img, originalImg: img, sourceImg: sourceImg || img, matteImg, key: d.key, adjust: d.adjust, shadow: d.shadow, name: d.name, visible: d.visible, state: d.state };
+    }));
+    overlayClipboard = { id: stored.id, overlays: records };
+    pasteCount = 0;
+  }
+  if (!overlayClipboard || !bgImg) return [];
+  pasteCount++;
+  const n = overlayClipboard.overlays.length;
+  return insertOverlays(overlayClipboard.overlays, PASTE_OFFSET * pasteCount, n > 1 ? `Paste ${n} overlays` : 'Paste overlay');
+}
+
+/**
+ * Change an overlay's transform, opacity or blend mode.
+ * @param {number} index Overlay index.
+ * @param {Object} changes Any of { x, y, scaleX, scaleY, angle, flipH, flipV,
+ *   opacity, blend }; other properties are ignored. `scale` sets both scales.
+ *   Angles are normalized to [-180, 180] and opacity clamped to 0-1; `blend`
+ *   must be one of BLEND_MODES.
+ * @param {string} [label] History label; defaults to "Transform overlay N".
+ * @param {string} [mergeKey] See beginHistory().
+ * @returns {Object} Copy of the new state.
+ */
+function setTransform(index, changes, label, mergeKey) {
+  const ov = overlayAt(index);
+  const next = {};
+  Object.keys(changes).forEach((k) => {
+    if (k in ov.state) next[k] = changes[k];
+  });
+  if (typeof changes.scale === 'number') {
+    next.scaleX = Math.abs(changes.scale);
+    next.scaleY = Math.abs(changes.scale);
+  }
+  if (typeof next.angle === 'number') next.angle = geometry.normalizeAngle(next.angle);
+  if (typeof next.opacity === 'number') next.opacity = Math.max(0, Math.min(1, next.opacity));
+  if ('blend' in next && BLEND_MODES.indexOf(next.blend) < 0) throw new Error(`Unknown blend mode: ${next.blend}`);
+  recordHistory(label || `Transform ${overlayLabel(index)}`, () => {
+    Object.assign(ov.state, next);
+  }, mergeKey);
+  if (index === activeOverlayIndex && document.activeElement !== angleInput) {
+    angleInput.value = Math.round(ov.state.angle);
+  }
+  if (index === activeOverlayIndex) syncBlendControls();
+  drawScene();
+  return { ...ov.state };
+}
+
+/**
+ * Crop an overlay. The kept part stays where it was on the canvas; the
+ * unkeyed source and the matte are cropped with it so keying and background
+ * removal remain editable.
+ * @param {number} index Overlay index.
+ * @param {{x:number,y:number,w:number,h:number}} rect Rectangle in image pixels
+ *   (unflipped), clipped to the image.
+ * @returns {Promise<void>}
+ */
+async function cropOverlay(index, rect) {
+  const ov = overlayAt(index);
+  const oldWidth = ov.originalImg.width;
+  const oldHeight = ov.originalImg.height;
+  const cropRect = geometry.clipRect(rect, oldWidth, oldHeight);
+  if (!cropRect) throw new Error('Crop rectangle does not overlap the overlay');
+  const keyed = ov.sourceImg && ov.sourceImg !== ov.originalImg;
+  const [newImg, newSource, newMatte] = await Promise.all([
+    canvasToImage(cropToCanvas(ov.originalImg, cropRect)),
+    keyed ? canvasToImage(cropToCanvas(ov.sourceImg, cropRect)) : null,
+    ov.matteImg ? canvasToImage(cropToCanvas(ov.matteImg, cropRect)) : null,
+  ]);
+  // The overlay may have been removed (e.g. by undo) or changed in the meantime
+  if (overlays.indexOf(ov) < 0 || ov.originalImg.width !== oldWidth || ov.originalImg.height !== oldHeight) return;
+  recordAsyncResult('Crop', () => {
+    const bounds = { width: bgImg.width, height: bgImg.height };
+    Object.assign(ov.state, geometry.croppedState(ov.state, oldWidth, oldHeight, cropRect, bounds));
+    ov.img = newImg;
+    ov.originalImg = newImg;
+    ov.sourceImg = newSource || newImg;
+    if (newMatte) ov.matteImg = newMatte;
+    updateActiveOverlayRefs();
+    drawScene();
+  });
+}
+
+// Replace the background with an erase result computed from baseImg. Returns
+// false, leaving the background alone, if it changed in the meantime.
+function commitErase(baseImg, resultImg, label) {
+  if (bgImg !== baseImg) return false;
+  recordAsyncResult(label || 'Erase', () => {
+    bgImg = resultImg;
+    drawScene();
+  });
+  return true;
+}
+
+/**
+ * Erase part of the background with the configured erase provider and apply
+ * the result directly (the UI shows results for review first).
+ * @param {HTMLCanvasElement|Blob} mask Background-sized mask, white where the
+ *   background should be erased.
+ * @param {Object} [options] { candidate: index of the result to apply when
+ *   several are generated, signal: AbortSignal, onProgress: function(message),
+ *   label: history label }.
+ * @returns {Promise<boolean>} false when the mask is empty.
+ */
+async function eraseBackground(mask, options = {}) {
+  if (!bgImg) throw new Error('Load a background before erasing');
+  let maskCanvas = mask;
+  if (mask instanceof Blob) {
+    const maskImg = await blobToImage(mask);
+    maskCanvas = imageToCanvas(maskImg);
+    releaseImage(maskImg);
+  }
+  if (maskCanvas.width !== bgImg.width || maskCanvas.height !== bgImg.height) {
+    throw new Error('The erase mask must be the size of the background');
+  }
+  if (!maskBounds(maskCanvas)) return false;
+  const baseImg = bgImg;
+  const signal = options.signal || new AbortController().signal;
+  const { candidates } = await runErase(maskCanvas, signal, options.onProgress || (() => {}));
+  const chosen = candidates[Math.min(options.candidate || 0, candidates.length - 1)];
+  candidates.filter((c) => c !== chosen).forEach(releaseImage);
+  if (!commitErase(baseImg, chosen, options.label)) {
+    releaseImage(chosen);
+    throw new Error('The background changed while erasing');
+  }
+  return true;
+}
+
+// Canvas with the background and all visible overlays, as saved to Canvas/
+function renderComposite() {
+  const canvasComposite = document.createElement('canvas');
+  canvasComposite.width = bgImg.width;
+  canvasComposite.height = bgImg.height;
+  const ctxC = canvasComposite.getContext('2d');
+  ctxC.drawImage(bgImg, 0, 0);
+  // Draw visible overlays from first to last (bottom to top)
+  overlays.forEach((ov) => {
+    if (ov.img && ov.visible) drawOverlayImage(ctxC, ov);
+  });
+  return canvasComposite;
+}
+
+/**
+ * Render the composite image.
+ * @param {string} [type] Image MIME type, 'image/png' by default.
+ * @returns {Promise<Blob>}
+ */
+function exportComposite(type) {
+  if (!bgImg) return Promise.reject(new Error('Nothing to export'));
+  return new Promise((resolve, reject) => {
+    renderComposite().toBlob((blob) => {
+      if (blob) resolve(blob);
+      else reject(new Error('Failed to encode the composite'));
+    }, type || 'image/png');
+  });
+}
+
+// Plain description of the scene: sizes, transforms and settings
+function getScene() {
+  return {
+    background: bgImg ? { name: bgName, width: bgImg.width, height: bgImg.height } : null,
+    activeIndex: activeOverlayIndex,
+    overlays: overlays.map((o) => ({
+      name: o.name,
+      visible: o.visible,
+      locked: o.locked,
+      width: o.img ? o.img.width : 0,
+      height: o.img ? o.img.height : 0,
+      state: { ...o.state },
+      key: o.key ? { ...o.key } : null,
+      adjust: o.adjust ? { ...o.adjust } : null,
+      shadow: o.shadow ? { ...o.shadow } : null,
+      hasMatte: !!o.matteImg,
+    })),
+    history: { undo: undoStack.map((e) => e.label), redo: redoStack.map((e) => e.label).reverse() },
+  };
+}
+
+window.overlayApp = {
+  loadBackground,
+  addOverlay,
+  removeOverlay,
+  selectOverlay,
+  selectOverlays,
+  getSelection: selectedIndices,
+  moveSelection,
+  scaleSelection,
+  rotateSelection,
+  flipSelection,
+  alignSelection,
+  distributeSelection,
+  removeSelection,
+  duplicateSelection,
+  copy: copySelection,
+  paste: pasteOverlays,
+  copyComposite,
+  copyOverlayImage,
+  moveOverlay,
+  setOverlayProps,
+  setTransform,
+  setAdjustments,
+  autoMatchColors,
+  setShadow,
+  measureRendering,
+  crop: cropOverlay,
+  erase: eraseBackground,
+  undo,
+  redo,
+  jumpToHistory,
+  exportComposite,
+  getScene,
+  geometry,
+};
+
+/* Keyboard shortcuts */
+// Every shortcut is an action with one or more key combinations such as
+// 'Ctrl+D' or 'Shift+ArrowLeft' (Ctrl also matches Cmd; keys are named after
+// KeyboardEvent.code without the Key/Digit prefix, so bindings do not depend
+// on the keyboard layout). The bindings can be changed in the shortcut help
+// (? or the Shortcuts button) and are kept in localStorage. Shortcuts are
+// ignored while typing in a text field; Tab only cycles overlays when no
+// control has the focus. Ctrl+C and Ctrl+V are left to the browser's copy and
+// paste events so that they reach the system clipboard (see "System clipboard").
+const shortcutHelp = document.getElementById('shortcut-help');
+const shortcutTable = document.getElementById('shortcut-table');
+const showShortcutsBtn = document.getElementById('show-shortcuts');
+const NUDGE_STEP = 1;
+const NUDGE_STEP_LARGE = 10;
+// Keys handled through the copy and paste events instead of their actions
+const NATIVE_CLIPBOARD_KEYS = { 'Ctrl+C': 'copy', 'Ctrl+V': 'paste' };
+
+// Run `fn` only when an overlay is selected; otherwise report that there was
+// nothing to do
+const withSelection = (fn) => () => (selection.size > 0 ? fn() : false);
+
+// Actions in the order they are listed in the help. `run` returns false when
+// there was nothing to do, so the key keeps its usual meaning.
+const SHORTCUT_ACTIONS = [
+  { id: 'undo', label: 'Undo', keys: ['Ctrl+Z'], run: () => undo() },
+  { id: 'redo', label: 'Redo', keys: ['Ctrl+Y', 'Ctrl+Shift+Z'], run: () => redo() },
+  { id: 'nudgeLeft', label: `Nudge left ${NUDGE_STEP} px`, keys: ['ArrowLeft'], run: withSelection(() => nudgeSelection(-NUDGE_STEP, 0)) },
+  { id: 'nudgeRight', label: `Nudge right ${NUDGE_STEP} px`, keys: ['ArrowRight'], run: withSelection(() => nudgeSelection(NUDGE_STEP, 0)) },
+  { id: 'nudgeUp', label: `Nudge up ${NUDGE_STEP} px`, keys: ['ArrowUp'], run: withSelection(() => nudgeSelection(0, -NUDGE_STEP)) },
+  { id: 'nudgeDown', label: `Nudge down ${NUDGE_STEP} px`, keys: ['ArrowDown'], run: withSelection(() => nudgeSelection(0, NUDGE_STEP)) },
+  { id: 'nudgeLeftLarge', label: `Nudge left ${NUDGE_STEP_LARGE} px`, keys: ['Shift+ArrowLeft'], run: withSelection(() => nudgeSelection(-NUDGE_STEP_LARGE, 0)) },
+  { id: 'nudgeRightLarge', label: `Nudge right ${NUDGE_STEP_LARGE} px`, keys: ['Shift+ArrowRight'], run: withSelection(() => nudgeSelection(NUDGE_STEP_LARGE, 0)) },
+  { id: 'nudgeUpLarge', label: `Nudge up ${NUDGE_STEP_LARGE} px`, keys: ['Shift+ArrowUp'], run: withSelection(() => nudgeSelection(0, -NUDGE_STEP_LARGE)) },
+  { id: 'nudgeDownLarge', label: `Nudge down ${NUDGE_STEP_LARGE} px`, keys: ['Shift+ArrowDown'], run: withSelection(() => nudgeSelection(0, NUDGE_STEP_LARGE)) },
+  { id: 'remove', label: 'Remove selected overlays', keys: ['Delete', 'Backspace'], run: withSelection(removeSelection) },
+  { id: 'duplicate', label: 'Duplicate selected overlays', keys: ['Ctrl+D'], run: withSelection(duplicateSelection) },
+  { id: 'copy', label: 'Copy selected overlays', keys: ['Ctrl+C'], run: withSelection(copySelection) },
+  {
+    id: 'paste',
+    label: 'Paste overlays',
+    keys: ['Ctrl+V'],
+    run: () => {
+      if (!bgImg || !canPaste()) return false;
+      pasteOverlays().catch((err) => {
+        console.error('Paste failed:', err);
+        alert(`Paste failed: ${err.message}`);
+      });
+      return true;
+    },
+  },
+  { id: 'selectAll', label: 'Select all visible overlays', keys: ['Ctrl+A'], run: () => selectAllOverlays() },
+  { id: 'nextOverlay', label: 'Select next overlay', keys: ['Tab'], run: () => cycleOverlay(1) >= 0 },
+  { id: 'previousOverlay', label: 'Select previous overlay', keys: ['Shift+Tab'], run: () => cycleOverlay(-1) >= 0 },
+  { id: 'rotateCw', label: 'Rotate +5°', keys: ['R'], run: withSelection(() => rotateActive(5)) },
+  { id: 'rotateCcw', label: 'Rotate -5°', keys: ['Shift+R'], run: withSelection(() => rotateActive(-5)) },
+  { id: 'rotateCwFine', label: 'Rotate +1°', keys: ['BracketRight'], run: withSelection(() => rotateActive(1)) },
+  { id: 'rotateCcwFine', label: 'Rotate -1°', keys: ['BracketLeft'], run: withSelection(() => rotateActive(-1)) },
+  { id: 'flipH', label: 'Flip horizontal', keys: ['H'], run: withSelection(() => flipActive('h')) },
+  { id: 'flipV', label: 'Flip vertical', keys: ['V'], run: withSelection(() => flipActive('v')) },
+  { id: 'scaleUp', label: 'Bigger', keys: ['Equal', 'NumpadAdd'], run: withSelection(() => scaleActive(1.10)) },
+  { id: 'scaleDown', label: 'Smaller', keys: ['Minus', 'NumpadSubtract'], run: withSelection(() => scaleActive(1 / 1.10)) },
+  { id: 'zoomIn', label: 'Zoom in', keys: ['Ctrl+Equal'], run: () => setZoom(view.zoom * ZOOM_STEP) },
+  { id: 'zoomOut', label: 'Zoom out', keys: ['Ctrl+Minus'], run: () => setZoom(view.zoom / ZOOM_STEP) },
+  { id: 'zoomFit', label: 'Fit background in view', keys: ['Ctrl+0'], run: () => zoomToFit() },
+  { id: 'zoomActual', label: 'Zoom to 100 %', keys: ['Ctrl+1'], run: () => setZoom(1) },
+  { id: 'help', label: 'Show this help', keys: ['Shift+Slash', 'F1'], run: () => openShortcutHelp() },
+];
+// Current bindings: action id -> key combinations
+let keyBindings = defaultKeyBindings();
+// Binding being changed in the help: { id, index } (index past the end adds
+// one) or null
+let rebinding = null;
+
+function defaultKeyBindings() {
+  const bindings = {};
+  SHORTCUT_ACTIONS.forEach((a) => {
+    bindings[a.id] = a.keys.slice();
+  });
+  return bindings;
+}
+
+try {
+  const saved = JSON.parse(localStorage.getItem('keyBindings') || 'null');
+  if (saved) {
+    SHORTCUT_ACTIONS.forEach((a) => {
+      if (Array.isArray(saved[a.id])) keyBindings[a.id] = saved[a.id].filter((k) => typeof k === 'string');
+    });
+  }
+} catch (err) {
+  console.warn('Could not read key bindings:', err);
+}
+
+function storeKeyBindings() {
   try {
-    // Prompt user to select a directory. Requires secure context (https) in most browsers.
-    const dirHandle = await window.showDirectoryPicker();
-    outputDirHandle = dirHandle;
-    outputStatus.textContent = `Output: ${dirHandle.name || 'selected'}`;
+    localStorage.setItem('keyBindings', JSON.stringify(keyBindings));
   } catch (err) {
-    // User cancelled or API unavailable
-    console.error('Directory selection cancelled or not supported', err);
+    console.warn('Could not store key bindings:', err);
   }
-});
+}
 
-// New session: clear everything
-newBtn.addEventListener('click', () => {
-  bgImg = null;
-  // Clear overlays and reset active overlay
-  overlays = [];
-  activeOverlayIndex = -1;
-  overlayImg = null;
-  overlayOriginalImg = null;
-  overlayState = { x: 0, y: 0, scale: 1, angle: 0, flipH: false, flipV: false };
-  dragData = { localX: 0, localY: 0 };
-  saveCounter = 0;
-  removeOverlayBtn.disabled = true;
-  saveBtn.disabled = true;
-  angleInput.value = 0;
-  controls.style.display = 'none';
-  ctx.clearRect(0, 0, canvas.width, canvas.height);
-  setOutputBtn.disabled = true;
-  outputDirHandle = null;
-  outputStatus.textContent = '';
-  // Disable crop functionality for new session
-  cropBtn.disabled = true;
-  cropBtn.textContent = 'Crop';
-  // Reset erase state and disable erase button
-  eraseBtn.disabled = true;
-  eraseMode = false;
-  erasing = false;
-  eraseStart = null;
-  eraseEnd = null;
-  brushPath = [];
-  eraseBtn.textContent = 'Erase';
-  // Clear undo/redo stacks on new session
-  undoStack.length = 0;
-  redoStack.length = 0;
-  updateUndoRedoButtons();
-});
+// Key combination of a keydown event, or null for a modifier on its own
+function keyCombo(e) {
+  if (/^(Shift|Control|Alt|Meta)/.test(e.code) || !e.code) return null;
+  const parts = [];
+  if (e.ctrlKey || e.metaKey) parts.push('Ctrl');
+  if (e.altKey) parts.push('Alt');
+  if (e.shiftKey) parts.push('Shift');
+  parts.push(e.code.replace(/^(Key|Digit)/, ''));
+  return parts.join('+');
+}
 
-// Resize overlay
-smallerBtn.addEventListener('click', () => {
-  if (!overlayImg) return;
-  // Save state before scaling for undo
-  saveState();
-  const factor = 1 / 1.10;
-  overlayState.scale *= factor;
-  // Ensure overlay stays within bounds
-  const w = overlayImg.width * Math.abs(overlayState.scale);
-  const h = overlayImg.height * Math.abs(overlayState.scale);
-  if (bgImg) {
-    overlayState.x = Math.min(overlayState.x, bgImg.width - w);
-    overlayState.y = Math.min(overlayState.y, bgImg.height - h);
+// Key combination as shown in the help
+const KEY_SYMBOLS = {
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  BracketLeft: '[',
+  BracketRight: ']',
+  Equal: '=',
+  Minus: '-',
+  Slash: '/',
+  NumpadAdd: 'Num +',
+  NumpadSubtract: 'Num -',
+};
+function comboLabel(combo) {
+  return combo.split('+').map((k) => KEY_SYMBOLS[k] || k).join('+');
+}
+
+// True when keys typed into the element belong to it (text fields, sliders,
+// drop-downs) rather than to the shortcuts
+function isTypingTarget(el) {
+  if (!el) return false;
+  if (el.isContentEditable || el.tagName === 'TEXTAREA' || el.tagName === 'SELECT') return true;
+  return el.tagName === 'INPUT' && ['checkbox', 'radio', 'button', 'submit', 'file', 'color'].indexOf(el.type) < 0;
+}
+
+function openShortcutHelp() {
+  if (!shortcutHelp) return false;
+  renderShortcutHelp();
+  shortcutHelp.style.display = 'flex';
+  return true;
+}
+
+function closeShortcutHelp() {
+  rebinding = null;
+  shortcutHelp.style.display = 'none';
+}
+
+// List the actions with their bindings. Clicking a binding waits for the new
+// key combination (Escape cancels); × removes a binding and + adds one.
+function renderShortcutHelp() {
+  shortcutTable.innerHTML = '';
+  SHORTCUT_ACTIONS.forEach((a) => {
+    const row = document.createElement('tr');
+    const name = document.createElement('td');
+    name.textContent = a.label;
+    row.appendChild(name);
+    const keys = document.createElement('td');
+    const combos = keyBindings[a.id];
+    const waiting = rebinding && rebinding.id === a.id;
+    combos.forEach((combo, index) => {
+      const keyBtn = document.createElement('button');
+      keyBtn.className = 'key';
+      keyBtn.textContent = waiting && rebinding.index === index ? 'Press keys…' : comboLabel(combo);
+      keyBtn.addEventListener('click', () => {
+        rebinding = { id: a.id, index };
+        renderShortcutHelp();
+      });
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'remove';
+      removeBtn.textContent = '×';
+      removeBtn.title = 'Remove this binding';
+      removeBtn.addEventListener('click', () => {
+        combos.splice(index, 1);
+        rebinding = null;
+        storeKeyBindings();
+        renderShortcutHelp();
+      });
+      keys.appendChild(keyBtn);
+      keys.appendChild(removeBtn);
+    });
+    const addBtn = document.createElement('button');
+    addBtn.className = 'add';
+    addBtn.textContent = waiting && rebinding.index === combos.length ? 'Press keys…' : '+';
+    addBtn.title = 'Add a binding';
+    addBtn.addEventListener('click', () => {
+      rebinding = { id: a.id, index: combos.length };
+      renderShortcutHelp();
+    });
+    keys.appendChild(addBtn);
+    row.appendChild(keys);
+    shortcutTable.appendChild(row);
+  });
+}
+
+// Bind `combo` to the action being rebound. A combination triggers a single
+// action, so it is taken away from any other one.
+function assignBinding(combo) {
+  const { id, index } = rebinding;
+  rebinding = null;
+  Object.keys(keyBindings).forEach((other) => {
+    if (other !== id) keyBindings[other] = keyBindings[other].filter((k) => k !== combo);
+  });
+  const combos = keyBindings[id];
+  if (combos.indexOf(combo) < 0) combos[Math.min(index, combos.length)] = combo;
+  storeKeyBindings();
+  renderShortcutHelp();
+}
+
+if (shortcutHelp) {
+  document.getElementById('shortcut-reset').addEventListener('click', () => {
+    keyBindings = defaultKeyBindings();
+    rebinding = null;
+    storeKeyBindings();
+    renderShortcutHelp();
+  });
+  document.getElementById('shortcut-close').addEventListener('click', closeShortcutHelp);
+  // Clicking the backdrop closes the help
+  shortcutHelp.addEventListener('click', (e) => {
+    if (e.target === shortcutHelp) closeShortcutHelp();
+  });
+}
+if (showShortcutsBtn) showShortcutsBtn.addEventListener('click', openShortcutHelp);
+
+document.addEventListener('keydown', (e) => {
+  const combo = keyCombo(e);
+  if (!combo) return;
+  // While the help is open, keys only rebind or close it
+  if (shortcutHelp && shortcutHelp.style.display !== 'none') {
+    if (rebinding) {
+      e.preventDefault();
+      if (combo === 'Escape') {
+        rebinding = null;
+        renderShortcutHelp();
+      } else {
+        assignBinding(combo);
+      }
+    } else if (combo === 'Escape') {
+      closeShortcutHelp();
+    }
+    return;
   }
-  drawScene();
-});
-biggerBtn.addEventListener('click', () => {
-  if (!overlayImg) return;
-  // Save state before scaling for undo
-  saveState();
-  const factor = 1.10;
-  // Prevent overlay from exceeding background size
-  const nextScale = overlayState.scale * factor;
-  const w = overlayImg.width * Math.abs(nextScale);
-  const h = overlayImg.height * Math.abs(nextScale);
-  if (bgImg && (w > bgImg.width || h > bgImg.height)) return;
-  overlayState.scale = nextScale;
-  drawScene();
+  if (isTypingTarget(e.target)) return;
+  const action = SHORTCUT_ACTIONS.find((a) => keyBindings[a.id].indexOf(combo) >= 0);
+  if (!action || NATIVE_CLIPBOARD_KEYS[combo] === action.id) return;
+  // Tab keeps moving the focus between controls
+  if (/(^|\+)Tab$/.test(combo) && e.target !== document.body && e.target !== canvas) return;
+  if (action.run() !== false) e.preventDefault();
 });
 
-// Angle input
-angleInput.addEventListener('input', (e) => {
-  // Save state before changing angle via input
-  saveState();
-  const val = parseFloat(e.target.value) || 0;
-  let angle = val;
-  if (angle > 180) angle -= 360;
-  if (angle < -180) angle += 360;
-  overlayState.angle = angle;
-  drawScene();
-});
+/* System clipboard */
+// Ctrl+V pastes an image from the system clipboard: it becomes the background
+// when none is loaded and an overlay otherwise. Copying overlays with Ctrl+C
+// also puts a marker text on the system clipboard, so Ctrl+V pastes whatever
+// was copied last: the overlays, or an image copied in another application.
+// Copy Composite and Copy Overlay write PNGs with the async Clipboard API;
+// where it is unavailable or refused the PNG is downloaded instead.
+const CLIPBOARD_MARKER_PREFIX = `${CLIPBOARD_FORMAT}:`;
 
-// Rotation buttons
-rotM5Btn.addEventListener('click', () => {
-  // Save state before rotating for undo
-  saveState();
-  overlayState.angle = normalizeAngle(overlayState.angle - 5);
-  angleInput.value = Math.round(overlayState.angle);
-  drawScene();
-});
-rotP5Btn.addEventListener('click', () => {
-  // Save state before rotating for undo
-  saveState();
-  overlayState.angle = normalizeAngle(overlayState.angle + 5);
-  angleInput.value = Math.round(overlayState.angle);
-  drawScene();
-});
-rotResetBtn.addEventListener('click', () => {
-  // Save state before resetting rotation for undo
-  saveState();
-  overlayState.angle = 0;
-  angleInput.value = 0;
-  drawScene();
-});
+/**
+ * Add image files from the clipboard (or a drop): the first one becomes the
+ * background when none is loaded, the others are added as overlays in one
+ * undo step. Files that are not images are ignored.
+ * @param {File[]} files Files to add.
+ * @param {{x:number,y:number}|function(): {x:number,y:number}} [at] Canvas
+ *   point to centre the overlays on, each one PASTE_OFFSET pixels further than
+ *   the one before, or a function finding it once the background is loaded.
+ * @returns {Promise<void>}
+ */
+async function addImageFiles(files, at) {
+  const images = files.filter((f) => f && f.type.startsWith('image/'));
+  if (images.length > 0 && !bgImg) await loadBackground(images.shift());
+  if (images.length === 0) return;
+  const point = typeof at === 'function' ? at() : at;
+  // Decoded in parallel, added in file order
+  const decoded = (await Promise.all(images.map((file) => decodeOverlay(file).catch((err) => {
+    console.error(`Failed to load overlay image: ${file.name}`, err);
+    return null;
+  })))).filter(Boolean);
+  if (decoded.length === 0 || !bgImg) return;
+  recordAsyncResult(decoded.length > 1 ? 'Add overlays' : 'Add overlay', () => {
+    decoded.forEach((d, k) => {
+      placeOverlay(d, undefined, point ? { x: point.x + k * PASTE_OFFSET, y: point.y + k * PASTE_OFFSET } : undefined);
+    });
+  });
+}
 
-// Flip buttons
-flipHBtn.addEventListener('click', () => {
-  // Save state before flipping horizontally for undo
-  saveState();
-  overlayState.flipH = !overlayState.flipH;
-  drawScene();
+// Image files on a DataTransfer (clipboard or drop)
+function transferImageFiles(data) {
+  return Array.from(data.items || [])
+    .filter((item) => item.kind === 'file' && item.type.startsWith('image/'))
+    .map((item) => item.getAsFile())
+    .filter(Boolean);
+}
+
+document.addEventListener('copy', (e) => {
+  if (isTypingTarget(e.target) || selection.size === 0) return;
+  // Text selected on the page is copied as usual
+  const textSelection = window.getSelection();
+  if (textSelection && !textSelection.isCollapsed) return;
+  e.preventDefault();
+  const done = copySelection();
+  e.clipboardData.setData('text/plain', CLIPBOARD_MARKER_PREFIX + overlayClipboard.id);
+  done.catch((err) => console.error('Copy failed:', err));
 });
-flipVBtn.addEventListener('click', () => {
-  // Save state before flipping vertically for undo
-  saveState();
-  overlayState.flipV = !overlayState.flipV;
-  drawScene();
+
+document.addEventListener('paste', (e) => {
+  if (isTypingTarget(e.target) || !e.clipboardData) return;
+  const files = transferImageFiles(e.clipboardData);
+  const copiedOverlays = e.clipboardData.getData('text/plain').startsWith(CLIPBOARD_MARKER_PREFIX);
+  let task;
+  // Copied overlays are pasted only while the clipboard still holds their
+  // marker; text or anything else copied since is left to the page
+  if (bgImg && copiedOverlays && canPaste()) {
+    task = pasteOverlays();
+  } else if (files.length > 0) {
+    task = addImageFiles(files);
+  } else {
+    return;
+  }
+  e.preventDefault();
+  task.catch((err) => {
+    console.error('Paste failed:', err);
+    alert(`Paste failed: ${err.message}`);
+  });
 });
 
-// Normalize angle to [-180, 180]
-function normalizeAngle(angle) {
-  let a = angle;
-  while (a > 180) a -= 360;
-  while (a < -180) a += 360;
-  return a;
+/**
+ * Put a PNG on the system clipboard, or download it when the async Clipboard
+ * API is unavailable or refuses the write.
+ * @param {Promise<Blob>} blobPromise The PNG. It is handed to the clipboard
+ *   unresolved so that the write stays tied to the click that started it.
+ * @param {string} filename Name for the download fallback.
+ * @returns {Promise<boolean>} True when the image was copied.
+ */
+async function copyPngToClipboard(blobPromise, filename) {
+  if (navigator.clipboard && navigator.clipboard.write && window.ClipboardItem) {
+    try {
+      await navigator.clipboard.write([new ClipboardItem({ 'image/png': blobPromise })]);
+      return true;
+    } catch (err) {
+      console.warn('Could not write the image to the clipboard:', err);
+    }
+  }
+  const url = URL.createObjectURL(await blobPromise);
+  downloadDataUrl(url, filename);
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+  alert('Copying images is not available in this browser; the PNG was downloaded instead.');
+  return false;
 }
 
-// Canvas pointer events for dragging
-canvas.addEventListener('pointerdown', (e) => {
-  // Require a background image to interact
-  if (!bgImg) return;
-  // Record state for undo at the beginning of an interaction
-  saveState();
-  // Compute pointer coordinates relative to canvas
-  const rect = canvas.getBoundingClientRect();
-  const x = ((e.clientX - rect.left) / rect.width) * canvas.width;
-  const y = ((e.clientY - rect.top) / rect.height) * canvas.height;
-  // If erase mode is active, begin selecting erase region
-  if (eraseMode) {
-    // Rectangle selection mode
-    if (eraseMethod === 'rect') {
-      erasing = true;
-      eraseStart = { x, y };
-      eraseEnd = { x, y };
-      canvas.setPointerCapture(e.pointerId);
-      drawScene();
-      e.preventDefault();
-      return;
+/**
+ * Copy the composite as a PNG to the system clipboard.
+ * @returns {Promise<boolean>} True when copied, false when downloaded instead.
+ */
+function copyComposite() {
+  if (!bgImg) return Promise.reject(new Error('Nothing to copy'));
+  return copyPngToClipboard(exportComposite('image/png'), `${bgName || 'composite'}.png`);
+}
+
+/**
+ * Copy an overlay's image (keyed, untransformed, adjusted and with shadows as
+ * set for objects/; as saved there) as a PNG to the system clipboard.
+ * @param {number} [index] Overlay index; defaults to the active overlay.
+ * @returns {Promise<boolean>} True when copied, false when downloaded instead.
+ */
+function copyOverlayImage(index = activeOverlayIndex) {
+  const ov = overlayAt(index);
+  const blobPromise = new Promise((resolve, reject) => {
+    objectCanvas(ov).toBlob((blob) => {
+      if (blob) resolve(blob);
+      else reject(new Error('Failed to encode the overlay'));
+    }, 'image/png');
+  });
+  return copyPngToClipboard(blobPromise, `${ov.name || 'overlay'}.png`);
+}
+
+if (copyCompositeBtn) {
+  copyCompositeBtn.addEventListener('click', () => {
+    copyComposite().catch((err) => console.error('Copy composite failed:', err));
+  });
+}
+if (copyOverlayBtn) {
+  copyOverlayBtn.addEventListener('click', () => {
+    if (activeOverlayIndex < 0) return;
+    copyOverlayImage().catch((err) => console.error('Copy overlay failed:', err));
+  });
+}
+
+/* Drag and drop */
+// Image files dropped on the canvas area are loaded like pasted ones: the first
+// becomes the background when none is loaded, the others become overlays
+// centred on the drop point. The area is highlighted while files are dragged
+// over it; files that are not images are rejected with a message.
+
+// True when the drag carries files (not e.g. a layer row being reordered)
+function dragHasFiles(e) {
+  return !!e.dataTransfer && Array.from(e.dataTransfer.types || []).indexOf('Files') >= 0;
+}
+
+if (canvasContainer) {
+  canvasContainer.addEventListener('dragenter', (e) => {
+    if (!dragHasFiles(e)) return;
+    e.preventDefault();
+    canvasContainer.classList.add('drop-active');
+  });
+  canvasContainer.addEventListener('dragover', (e) => {
+    if (!dragHasFiles(e)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+    canvasContainer.classList.add('drop-active');
+  });
+  canvasContainer.addEventListener('dragleave', (e) => {
+    // Moving between the container and the canvas is not leaving
+    if (canvasContainer.contains(e.relatedTarget)) return;
+    canvasContainer.classList.remove('drop-active');
+  });
+  canvasContainer.addEventListener('drop', (e) => {
+    if (!dragHasFiles(e)) return;
+    e.preventDefault();
+    canvasContainer.classList.remove('drop-active');
+    const files = Array.from(e.dataTransfer.files);
+    const rejected = files.filter((f) => !f.type.startsWith('image/'));
+    if (rejected.length > 0) {
+      alert(`Not an image, skipped: ${rejected.map((f) => f.name).join(', ')}`);
     }
-    // Brush selection mode
-    if (eraseMethod === 'brush') {
-      erasing = true;
-      brushPath = [];
-      brushPath.push({ x, y });
-      canvas.setPointerCapture(e.pointerId);
-      // Draw initial brush point overlay
-      drawScene();
-      e.preventDefault();
-      return;
+    // Drop point on the background (a drop beside it is moved onto its edge),
+    // found once a dropped background is loaded and the view fitted to it
+    const at = () => {
+      clampView();
+      const point = eventToCanvasPoint(e);
+      return {
+        x: Math.max(0, Math.min(bgImg.width, point.x)),
+        y: Math.max(0, Math.min(bgImg.height, point.y)),
+      };
+    };
+    addImageFiles(files, at).catch((err) => {
+      console.error('Error loading dropped files:', err);
+      alert('Could not load the dropped image.');
+    });
+  });
+}
+
+/* Project files */
+// Save Project writes the whole editing session into a single JSON file with
+// every image embedded once as a data URL (of the file it was loaded from, or
+// PNG):
+//   { format, version, savedAt, outputPrefix, activeIndex, images,
+//     background: { name, original, current, versions },
+//     overlays: [serialized overlays in stacking order (see serializeOverlay())] }
+// images lists the data URLs (Blobs in autosaves); the background fields and the overlays' imgData,
+// originalData, sourceData and matteData hold indices into it, so an image
+// used in several places (an unkeyed overlay's source and result) is stored
+// once. background.versions lists the earlier backgrounds still reachable
+// through undo (e.g. before each erase), oldest first, as { image, label }:
+// the image and the label of the step that replaced it. Open Project restores
+// the scene through restoreOverlaysFromData() and replays the background
+// versions as undo steps.
+const PROJECT_FORMAT = 'object-overlay-project';
+// Version 4 labels the background versions; version 3 stores the images in a
+// table; version 2 files embed the data URLs in place, and version 1 files (a
+// single scale instead of scaleX/scaleY) are converted when opened. Unlabelled
+// background versions are taken to be erases.
+const PROJECT_VERSION = 4;
+const saveProjectBtn = document.getElementById('save-project');
+const projectInput = document.getElementById('project-input');
+
+/**
+ * Serialize the current session into a project object.
+ * @param {function(HTMLImageElement): Promise<*>} [encode] Stores an image in
+ *   the images table; defaults to its data URL, which makes the project
+ *   JSON-serializable.
+ * @returns {Promise<Object>} The project.
+ */
+async function buildProject(encode = imageDataUrl) {
+  // Each distinct image is stored once; fields hold its index
+  const images = [];
+  const ref = (im) => {
+    if (!im) return null;
+    let idx = images.indexOf(im);
+    if (idx < 0) idx = images.push(im) - 1;
+    return idx;
+  };
+  const overlaysData = overlays.map((o) => ({
+    ...serializeOverlay(o),
+    imgData: ref(o.img),
+    originalData: ref(o.originalImg),
+    sourceData: ref(o.sourceImg),
+    matteData: ref(o.matteImg),
+  }));
+  const versions = [];
+  undoStack.forEach((entry) => {
+    const im = entry.before.bg;
+    if (im && im !== entry.after.bg && im !== bgImg && !versions.some((v) => v.im === im)) {
+      versions.push({ im, label: entry.label });
     }
-  }
-  // Determine which overlay (if any) is under the pointer. Iterate from topmost to bottom.
-  let foundIndex = -1;
-  for (let i = overlays.length - 1; i >= 0; i--) {
-    const ov = overlays[i];
-    const wOv = ov.img.width * Math.abs(ov.state.scale);
-    const hOv = ov.img.height * Math.abs(ov.state.scale);
-    const cxOv = ov.state.x + wOv / 2;
-    const cyOv = ov.state.y + hOv / 2;
-    // Translate pointer into this overlay's local space
-    const dxOv = x - cxOv;
-    const dyOv = y - cyOv;
-    const angleRadOv = (-ov.state.angle * Math.PI) / 180;
-    const localXOv = dxOv * Math.cos(angleRadOv) - dyOv * Math.sin(angleRadOv);
-    const localYOv = dxOv * Math.sin(angleRadOv) + dyOv * Math.cos(angleRadOv);
-    if (Math.abs(localXOv) <= wOv / 2 && Math.abs(localYOv) <= hOv / 2) {
-      foundIndex = i;
-      break;
-    }
-  }
-  // If an overlay was clicked, make it active (move to top) and update references
-  if (foundIndex >= 0) {
-    // Bring the found overlay to the top of the stacking order if it's not already topmost
-    const ov = overlays[foundIndex];
-    overlays.splice(foundIndex, 1);
-    overlays.push(ov);
-    activeOverlayIndex = overlays.length - 1;
-    updateActiveOverlayRefs();
-    // Cancel crop mode of all other overlays
-    overlays.forEach((o, idx) => {
-      if (idx !== activeOverlayIndex && o.cropMode) {
-        o.cropMode = false;
-        o.cropping = false;
-        o.cropStart = null;
-        o.cropEnd = null;
-      }
+  });
+  const background = {
+    name: bgName,
+    original: ref(bgOriginalImg || bgImg),
+    current: ref(bgImg),
+    versions: versions.map((v) => ({ image: ref(v.im), label: v.label })),
+  };
+  return {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    savedAt: new Date().toISOString(),
+    outputPrefix: outputPrefixInput.value,
+    activeIndex: activeOverlayIndex,
+    images: await Promise.all(images.map(encode)),
+    background,
+    overlays: overlaysData,
+  };
+}
+
+/**
+ * Replace the current session with a project read from a file.
+ * @param {Object} project Parsed project object.
+ * @returns {Promise<void>}
+ */
+async function openProject(project) {
+  if (!project || project.format !== PROJECT_FORMAT) throw new Error('Not a project file');
+  if (project.version > PROJECT_VERSION) throw new Error(`Unsupported project version ${project.version}`);
+  const bg = project.background || {};
+  if (bg.current === undefined || bg.current === null) throw new Error('Project has no background');
+  // Image references are indices into project.images (version 3) or the data
+  // URLs themselves; each distinct image (data URL or autosaved Blob) is
+  // loaded once, into a blob that saving and autosaving reuse
+  const images = project.images || [];
+  const loaded = new Map();
+  const loadRef = (ref) => {
+    const src = typeof ref === 'number' ? images[ref] : ref;
+    if (!src) return Promise.reject(new Error(`Project is missing image ${ref}`));
+    if (!loaded.has(src)) loaded.set(src, src instanceof Blob ? blobToImage(src) : dataUrlToImage(src));
+    return loaded.get(src);
+  };
+  const versions = (bg.versions || []).map((v) => (typeof v === 'object' ? v : { image: v, label: 'Erase' }));
+  const [currentImg, originalImg, ...versionImgs] = await Promise.all([
+    loadRef(bg.current),
+    bg.original !== undefined && bg.original !== null ? loadRef(bg.original) : null,
+    ...versions.map((v) => loadRef(v.image)),
+  ]);
+  if (activeEraseJob) activeEraseJob.controller.abort();
+  resetEraseMode();
+  endKeyPick();
+  await restoreOverlaysFromData(project.overlays || [], project.activeIndex, loadRef);
+  bgImg = currentImg;
+  bgOriginalImg = originalImg || currentImg;
+  // Show the opened background whole
+  view.fit = true;
+  bgName = bg.name || '';
+  outputPrefixInput.value = project.outputPrefix || '';
+  saveCounter = 0;
+  // Earlier background versions are replayed as the undo steps leading to the
+  // current one, within the history limits like any other edit
+  clearHistory();
+  const chain = versionImgs.concat([currentImg]);
+  bgImg = chain[0];
+  versions.forEach((v, i) => {
+    recordHistory(v.label || 'Erase', () => {
+      bgImg = chain[i + 1];
     });
-  }
-  // If no overlay is active after selection, exit
-  if (!overlayImg || activeOverlayIndex < 0) {
-    return;
-  }
-  // Compute overlay dimensions and local coordinates for the active overlay
-  const w = overlayImg.width * Math.abs(overlayState.scale);
-  const h = overlayImg.height * Math.abs(overlayState.scale);
-  const cx = overlayState.x + w / 2;
-  const cy = overlayState.y + h / 2;
-  const dx = x - cx;
-  const dy = y - cy;
-  const angleRad = (-overlayState.angle * Math.PI) / 180;
-  const localX = dx * Math.cos(angleRad) - dy * Math.sin(angleRad);
-  const localY = dx * Math.sin(angleRad) + dy * Math.cos(angleRad);
-  // Reference to current active overlay
-  const activeOverlay = overlays[activeOverlayIndex];
-  // If crop mode is active for the current overlay, begin cropping when clicking inside it
-  if (activeOverlay.cropMode) {
-    const unscaledX = localX / overlayState.scale;
-    const unscaledY = localY / overlayState.scale;
-    if (
-      Math.abs(unscaledX) <= overlayOriginalImg.width / 2 &&
-      Math.abs(unscaledY) <= overlayOriginalImg.height / 2
-    ) {
-      activeOverlay.cropping = true;
-      activeOverlay.cropStart = { x: unscaledX, y: unscaledY };
-      activeOverlay.cropEnd = { x: unscaledX, y: unscaledY };
-      canvas.setPointerCapture(e.pointerId);
-      drawScene();
-      e.preventDefault();
-      return;
-    } else {
-      // Clicked outside overlay: cancel crop mode
-      activeOverlay.cropMode = false;
-      activeOverlay.cropping = false;
-      activeOverlay.cropStart = null;
-      activeOverlay.cropEnd = null;
-      cropBtn.textContent = 'Crop';
-      drawScene();
-      return;
+  });
+  updateActiveOverlayRefs();
+  syncSceneControls();
+  updateUndoRedoButtons();
+  drawScene();
+}
+
+if (saveProjectBtn) {
+  saveProjectBtn.addEventListener('click', async () => {
+    if (!bgImg) return;
+    try {
+      const project = await buildProject();
+      const blob = new Blob([JSON.stringify(project)], { type: 'application/json' });
+      const baseName = outputPrefixInput.value.trim() || bgName || 'project';
+      const filename = `${baseName}.overlay.json`;
+      if (window.showSaveFilePicker) {
+        try {
+          const handle = await window.showSaveFilePicker({
+            suggestedName: filename,
+            types: [{ description: 'Overlay project', accept: { 'application/json': ['.json'] } }],
+          });
+          const writable = await handle.createWritable();
+          await writable.write(blob);
+          await writable.close();
+          markAutosaveClean();
+          return;
+        } catch (err) {
+          // User cancelled the picker
+          if (isAbortError(err)) return;
+          console.error('Error writing project via File System Access API:', err);
+        }
+      }
+      const url = URL.createObjectURL(blob);
+      downloadDataUrl(url, filename);
+      setTimeout(() => URL.revokeObjectURL(url), 10000);
+      markAutosaveClean();
+    } catch (err) {
+      console.error('Error saving project:', err);
+      alert(`Could not save project: ${err.message}`);
     }
-  }
-  // Check for resize handle interactions on the active overlay
-  if (overlayImg) {
-    const handleSize = 10;
-    const corners = [
-      { x: -w / 2, y: -h / 2 },
-      { x: w / 2, y: -h / 2 },
-      { x: w / 2, y: h / 2 },
-      { x: -w / 2, y: h / 2 },
-    ];
-    for (let i = 0; i < 4; i++) {
-      const c = corners[i];
-      if (Math.abs(localX - c.x) <= handleSize && Math.abs(localY - c.y) <= handleSize) {
-        resizing = true;
-        resizeHandle = i;
-        dragging = false;
-        canvas.setPointerCapture(e.pointerId);
-        e.preventDefault();
+  });
+}
+
+if (projectInput) {
+  projectInput.addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    // Reset input value to allow opening the same file again
+    projectInput.value = '';
+    if (!file) return;
+    try {
+      await openProject(JSON.parse(await file.text()));
+    } catch (err) {
+      console.error('Error opening project:', err);
+      alert(`Could not open project: ${err.message}`);
+    }
+  });
+}
+
+/* Autosave */
+// The scene is autosaved to IndexedDB shortly after every committed change so
+// a crash or an accidentally closed tab does not lose it. Each page load is a
+// session stored as one record { id, updatedAt, clean, size, project } where
+// project has the Save Project format with Blobs in its images table: each
+// image's encoded file is kept with it (imageBlob()), so an autosave encodes
+// only the images created since the last one. On startup the most recent session with
+// unsaved work is offered for restore. Storage is bounded: only the newest
+// AUTOSAVE_MAX_SESSIONS sessions are kept, and older ones are also pruned once
+// their total size exceeds AUTOSAVE_MAX_BYTES.
+const AUTOSAVE_DB_NAME = 'object-overlay-autosave';
+const AUTOSAVE_STORE = 'sessions';
+const AUTOSAVE_DELAY_MS = 1500;
+const AUTOSAVE_MAX_SESSIONS = 5;
+const AUTOSAVE_MAX_BYTES = 200 * 1024 * 1024;
+const autosaveSessionId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+let autosaveTimer = null;
+let autosaveDbPromise = null;
+
+// Helper: wrap an IDBRequest in a promise
+function idbRequest(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// Open (and create on first use) the autosave database
+function openAutosaveDb() {
+  if (!autosaveDbPromise) {
+    autosaveDbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('IndexedDB is not available'));
         return;
       }
-    }
-  }
-  // Start dragging if pointer is within overlay bounds
-  if (Math.abs(localX) <= w / 2 && Math.abs(localY) <= h / 2) {
-    dragging = true;
-    dragData.localX = localX;
-    dragData.localY = localY;
-    canvas.setPointerCapture(e.pointerId);
+      const req = indexedDB.open(AUTOSAVE_DB_NAME, 1);
+      req.onupgradeneeded = () => {
+        req.result.createObjectStore(AUTOSAVE_STORE, { keyPath: 'id' });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
   }
-});
+  return autosaveDbPromise;
+}
 
-canvas.addEventListener('pointermove', (e) => {
+async function autosaveStore(mode) {
+  const db = await openAutosaveDb();
+  return db.transaction(AUTOSAVE_STORE, mode).objectStore(AUTOSAVE_STORE);
+}
+
+// Schedule an autosave of the current scene. Called on every committed change;
+// repeated calls within AUTOSAVE_DELAY_MS are coalesced.
+function scheduleAutosave() {
+  clearTimeout(autosaveTimer);
+  autosaveTimer = setTimeout(runAutosave, AUTOSAVE_DELAY_MS);
+}
+
+async function runAutosave() {
   if (!bgImg) return;
-  const rect = canvas.getBoundingClientRect();
-  const x = ((e.clientX - rect.left) / rect.width) * canvas.width;
-  const y = ((e.clientY - rect.top) / rect.height) * canvas.height;
-  // If the user is selecting an erase region
-  if (erasing) {
-    // Handle rectangle erase selection
-    if (eraseMode && eraseMethod === 'rect') {
-      eraseEnd = { x, y };
-      drawScene();
-      return;
-    }
-    // Handle brush erase selection
-    if (eraseMode && eraseMethod === 'brush') {
-      // Append current point to the brush path
-      brushPath.push({ x, y });
-      drawScene();
-      return;
-    }
-  }
-  if (!overlayImg || activeOverlayIndex < 0) return;
-  const w = overlayImg.width * Math.abs(overlayState.scale);
-  const h = overlayImg.height * Math.abs(overlayState.scale);
-  const cx = overlayState.x + w / 2;
-  const cy = overlayState.y + h / 2;
-  const angleRad = (overlayState.angle * Math.PI) / 180;
-  const activeOverlay = overlays[activeOverlayIndex];
-  // If the active overlay is currently being cropped, update its crop end point
-  if (activeOverlay && activeOverlay.cropping) {
-    const rectMov = canvas.getBoundingClientRect();
-    const px = ((e.clientX - rectMov.left) / rectMov.width) * canvas.width;
-    const py = ((e.clientY - rectMov.top) / rectMov.height) * canvas.height;
-    const dxp = px - cx;
-    const dyp = py - cy;
-    const angleR = (-overlayState.angle * Math.PI) / 180;
-    const localXS = dxp * Math.cos(angleR) - dyp * Math.sin(angleR);
-    const localYS = dxp * Math.sin(angleR) + dyp * Math.cos(angleR);
-    const unscaledX = localXS / overlayState.scale;
-    const unscaledY = localYS / overlayState.scale;
-    activeOverlay.cropEnd = { x: unscaledX, y: unscaledY };
-    drawScene();
-    return;
-  }
-  // If resizing the active overlay, adjust its scale based on handle movement
-  if (resizing) {
-    const dxPointer = x - cx;
-    const dyPointer = y - cy;
-    const localX = dxPointer * Math.cos(-angleRad) - dyPointer * Math.sin(-angleRad);
-    const localY = dxPointer * Math.sin(-angleRad) + dyPointer * Math.cos(-angleRad);
-    const halfW = Math.abs(localX);
-    const halfH = Math.abs(localY);
-    const scaleX = (2 * halfW) / overlayImg.width;
-    const scaleY = (2 * halfH) / overlayImg.height;
-    let newScale = Math.min(scaleX, scaleY);
-    const maxScale = Math.min(bgImg.width / overlayImg.width, bgImg.height / overlayImg.height);
-    newScale = Math.min(newScale, maxScale);
-    const minScale = 0.05;
-    if (newScale < minScale) newScale = minScale;
-    // Update overlay scale
-    overlayState.scale = newScale;
-    // Recalculate new width and height
-    const newW = overlayImg.width * newScale;
-    const newH = overlayImg.height * newScale;
-    // Keep centre fixed during resize
-    overlayState.x = cx - newW / 2;
-    overlayState.y = cy - newH / 2;
-    // Clamp x,y to keep overlay inside background
-    overlayState.x = Math.max(0, Math.min(overlayState.x, bgImg.width - newW));
-    overlayState.y = Math.max(0, Math.min(overlayState.y, bgImg.height - newH));
-    drawScene();
+  // Wait until the current interaction has finished
+  if (pendingHistory || dragging || resizing || erasing || overlays.some((o) => o.cropping)) {
+    scheduleAutosave();
     return;
   }
-  // Handle dragging overlay
-  if (dragging) {
-    const dx = dragData.localX;
-    const dy = dragData.localY;
-    const globalLocalX = dx * Math.cos(angleRad) - dy * Math.sin(angleRad);
-    const globalLocalY = dx * Math.sin(angleRad) + dy * Math.cos(angleRad);
-    const newCx = x - globalLocalX;
-    const newCy = y - globalLocalY;
-    let newX = newCx - w / 2;
-    let newY = newCy - h / 2;
-    newX = Math.max(0, Math.min(newX, bgImg.width - w));
-    newY = Math.max(0, Math.min(newY, bgImg.height - h));
-    overlayState.x = newX;
-    overlayState.y = newY;
-    drawScene();
-    return;
+  try {
+    const project = await buildProject(imageBlob);
+    const size = JSON.stringify(project).length + project.images.reduce((n, blob) => n + blob.size, 0);
+    const store = await autosaveStore('readwrite');
+    await idbRequest(store.put({ id: autosaveSessionId, updatedAt: Date.now(), clean: false, size, project }));
+    await pruneAutosaves();
+  } catch (err) {
+    console.warn('Autosave failed:', err);
   }
-});
+}
 
-canvas.addEventListener('pointerup', (e) => {
-  // Finalize erase if in progress
-  if (erasing) {
-    erasing = false;
-    eraseMode = false;
-    eraseBtn.textContent = 'Erase';
-    canvas.releasePointerCapture(e.pointerId);
-    // Call appropriate erase function based on method
-    if (eraseMethod === 'rect') {
-      performErase();
-    } else if (eraseMethod === 'brush') {
-      performEraseBrush();
-    }
-    return;
-  }
-  // If cropping an overlay, finalize the crop
-  if (activeOverlayIndex >= 0) {
-    const ov = overlays[activeOverlayIndex];
-    if (ov.cropping) {
-      ov.cropping = false;
-      ov.cropMode = false;
-      cropBtn.textContent = 'Crop';
-      canvas.releasePointerCapture(e.pointerId);
-      performCrop();
-      return;
+// Drop the oldest sessions beyond the count and size limits
+async function pruneAutosaves() {
+  const store = await autosaveStore('readwrite');
+  const records = await idbRequest(store.getAll());
+  records.sort((a, b) => b.updatedAt - a.updatedAt);
+  let total = 0;
+  const stale = records.filter((rec, idx) => {
+    total += rec.size || 0;
+    return rec.id !== autosaveSessionId && (idx >= AUTOSAVE_MAX_SESSIONS || total > AUTOSAVE_MAX_BYTES);
+  });
+  await Promise.all(stale.map((rec) => idbRequest(store.delete(rec.id))));
+}
+
+// Mark this session's autosave as saved (after Save Project) so it is not
+// offered for recovery
+async function markAutosaveClean() {
+  clearTimeout(autosaveTimer);
+  try {
+    const store = await autosaveStore('readwrite');
+    const rec = await idbRequest(store.get(autosaveSessionId));
+    if (rec) {
+      rec.clean = true;
+      await idbRequest(store.put(rec));
     }
+  } catch (err) {
+    console.warn('Could not update autosave:', err);
   }
-  if (dragging) {
-    dragging = false;
-    canvas.releasePointerCapture(e.pointerId);
-  }
-  if (resizing) {
-    resizing = false;
-    resizeHandle = -1;
-    canvas.releasePointerCapture(e.pointerId);
+}
+
+// Forget this session's autosave (after New)
+async function discardAutosave() {
+  clearTimeout(autosaveTimer);
+  try {
+    const store = await autosaveStore('readwrite');
+    await idbRequest(store.delete(autosaveSessionId));
+  } catch (err) {
+    console.warn('Could not discard autosave:', err);
   }
-  // Update undo/redo button states after any interaction
-  updateUndoRedoButtons();
-});
+}
 
-// Save outputs (async to allow writing files via File System Access API)
-saveBtn.addEventListener('click', async () => {
-  // Only save if a background is loaded and there is at least one overlay
-  if (!bgImg || overlays.length === 0) return;
-  // Determine base name for output
-  let prefix = outputPrefixInput.value.trim();
-  if (!prefix) {
-    const bgFile = bgInput.files[0];
-    if (bgFile) {
-      const name = bgFile.name;
-      prefix = name.replace(/\.[^.]+$/, '');
-    } else {
-      prefix = 'output';
-    }
+// On startup, offer to restore the most recent session with unsaved work
+async function offerAutosaveRecovery() {
+  let records;
+  try {
+    const store = await autosaveStore('readonly');
+    records = await idbRequest(store.getAll());
+  } catch (err) {
+    console.warn('Could not read autosaves:', err);
+    return;
   }
-  // Compose composite canvas: draw background then all overlays in stacking order
-  const canvasComposite = document.createElement('canvas');
-  canvasComposite.width = bgImg.width;
-  canvasComposite.height = bgImg.height;
-  const ctxC = canvasComposite.getContext('2d');
-  ctxC.drawImage(bgImg, 0, 0);
-  // Draw overlays from first to last (bottom to top)
-  overlays.forEach((ov) => {
-    if (!ov.img) return;
-    const wOv = ov.img.width * Math.abs(ov.state.scale);
-    const hOv = ov.img.height * Math.abs(ov.state.scale);
-    const cxOv = ov.state.x + wOv / 2;
-    const cyOv = ov.state.y + hOv / 2;
-    ctxC.save();
-    ctxC.translate(cxOv, cyOv);
-    ctxC.rotate((ov.state.angle * Math.PI) / 180);
-    const sxOv = ov.state.flipH ? -1 : 1;
-    const syOv = ov.state.flipV ? -1 : 1;
-    ctxC.scale(sxOv, syOv);
-    ctxC.scale(ov.state.scale, ov.state.scale);
-    ctxC.drawImage(ov.img, -ov.img.width / 2, -ov.img.height / 2);
-    ctxC.restore();
-  });
-  const compositeDataUrl = canvasComposite.toDataURL('image/png');
-  // Generate overlay-only images and names for each overlay
-  const objectDataUrls = [];
-  const objectNames = [];
-  overlays.forEach((ov, idx) => {
-    if (!ov.originalImg) return;
-    const canvasObj = document.createElement('canvas');
-    canvasObj.width = ov.originalImg.width;
-    canvasObj.height = ov.originalImg.height;
-    const ctxO = canvasObj.getContext('2d');
-    ctxO.drawImage(ov.originalImg, 0, 0);
-    const objUrl = canvasObj.toDataURL('image/png');
-    objectDataUrls.push(objUrl);
-    const baseName = saveCounter === 0 ? `${prefix}_ov${idx + 1}` : `${prefix}_${saveCounter}_ov${idx + 1}`;
-    objectNames.push(`${baseName}.png`);
-  });
-  // Determine composite name; increment saveCounter once for the entire save operation
-  const compositeBaseName = saveCounter === 0 ? prefix : `${prefix}_${saveCounter}`;
-  const canvasName = `${compositeBaseName}.png`;
-  saveCounter++;
-  // Save or download files
-  if (outputDirHandle) {
-    try {
-      const canvasDir = await outputDirHandle.getDirectoryHandle('Canvas', { create: true });
-      const objectsDir = await outputDirHandle.getDirectoryHandle('objects', { create: true });
-      await writeDataUrlToFile(canvasDir, canvasName, compositeDataUrl);
-      // Save each overlay object
-      for (let i = 0; i < objectDataUrls.length; i++) {
-        await writeDataUrlToFile(objectsDir, objectNames[i], objectDataUrls[i]);
-      }
-      alert(`Saved composite and ${objectDataUrls.length} overlay objects to selected folder.`);
-    } catch (err) {
-      console.error('Error writing files via File System Access API:', err);
-      // Fallback to download
-      downloadDataUrl(compositeDataUrl, `Canvas_${canvasName}`);
-      for (let i = 0; i < objectDataUrls.length; i++) {
-        downloadDataUrl(objectDataUrls[i], `objects_${objectNames[i]}`);
-      }
-    }
-  } else {
-    // Fallback: download via anchor with folder prefixes in file names
-    downloadDataUrl(compositeDataUrl, `Canvas_${canvasName}`);
-    for (let i = 0; i < objectDataUrls.length; i++) {
-      downloadDataUrl(objectDataUrls[i], `objects_${objectNames[i]}`);
+  const candidates = records
+    .filter((rec) => !rec.clean && rec.id !== autosaveSessionId)
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+  if (candidates.length === 0) return;
+  const rec = candidates[0];
+  const when = new Date(rec.updatedAt).toLocaleString();
+  const count = (rec.project.overlays || []).length;
+  const restore = window.confirm(`Unsaved work from ${when} (${count} overlay${count === 1 ? '' : 's'}) was found. Restore it?`);
+  try {
+    if (restore) {
+      await openProject(rec.project);
+      // The restored scene is autosaved under the current session from now on
+      const store = await autosaveStore('readwrite');
+      await idbRequest(store.delete(rec.id));
+      scheduleAutosave();
+    } else {
+      // A declined session is not offered again but is kept until pruned
+      rec.clean = true;
+      const store = await autosaveStore('readwrite');
+      await idbRequest(store.put(rec));
     }
+  } catch (err) {
+    console.error('Error restoring autosave:', err);
+    alert(`Could not restore unsaved work: ${err.message}`);
   }
-});
+}
+
+offerAutosaveRecovery();
 
 // Helper: write Data URL to a file in a directory using File System Access API
 async function writeDataUrlToFile(dirHandle, filename, dataUrl) {
@@ -1141,287 +6433,204 @@ async function writeDataUrlToFile(dirHandle, filename, dataUrl) {
   await writable.close();
 }
 
-// Perform cropping operation on the overlay image using cropStart and cropEnd.
-// Cropping is defined in the overlay's local coordinate system (origin at centre, units in original pixels).
+// Convert an overlay's rectangle selection (cropStart/cropEnd, in local unscaled
+// coordinates) into a pixel rectangle { x, y, w, h } of its image, undoing
+// flips. Returns null when the selection is empty.
+function cropSelectionRect(ov) {
+  if (!ov.cropStart || !ov.cropEnd || !ov.originalImg) return null;
+  return geometry.selectionToImageRect(ov.cropStart, ov.cropEnd, ov.originalImg.width, ov.originalImg.height, ov.state);
+}
+
+// Output prefix is part of the autosaved scene
+outputPrefixInput.addEventListener('change', () => {
+  scheduleAutosave();
+});
+
+// Crop the active overlay to the rectangle selected with the crop tool
 function performCrop() {
   // Only perform cropping if there is an active overlay
   if (activeOverlayIndex < 0) return;
   const ov = overlays[activeOverlayIndex];
-  // Validate state
-  if (!ov.cropStart || !ov.cropEnd || !ov.originalImg) return;
-  const oldWidth = ov.originalImg.width;
-  const oldHeight = ov.originalImg.height;
-  // Determine the rectangle boundaries in local unscaled coordinates
-  let x1 = Math.min(ov.cropStart.x, ov.cropEnd.x);
-  let x2 = Math.max(ov.cropStart.x, ov.cropEnd.x);
-  let y1 = Math.min(ov.cropStart.y, ov.cropEnd.y);
-  let y2 = Math.max(ov.cropStart.y, ov.cropEnd.y);
-  // Adjust bounds for flips: unflip the selection back to original orientation
-  const x1f = ov.state.flipH ? -x2 : x1;
-  const x2f = ov.state.flipH ? -x1 : x2;
-  const y1f = ov.state.flipV ? -y2 : y1;
-  const y2f = ov.state.flipV ? -y1 : y2;
-  // Convert to pixel coordinates in the original overlay image
-  let u1 = Math.max(0, Math.floor(x1f + oldWidth / 2));
-  let u2 = Math.min(oldWidth, Math.ceil(x2f + oldWidth / 2));
-  let v1 = Math.max(0, Math.floor(y1f + oldHeight / 2));
-  let v2 = Math.min(oldHeight, Math.ceil(y2f + oldHeight / 2));
-  const wCrop = u2 - u1;
-  const hCrop = v2 - v1;
-  if (wCrop <= 0 || hCrop <= 0) {
-    // Nothing to crop
-    ov.cropStart = null;
-    ov.cropEnd = null;
-    return;
-  }
-  // Centre of the crop in unscaled local coordinates
-  const cropCenterX = (x1f + x2f) / 2;
-  const cropCenterY = (y1f + y2f) / 2;
-  // Create off‑screen canvas to extract cropped region
-  const tmpCanvas = document.createElement('canvas');
-  tmpCanvas.width = wCrop;
-  tmpCanvas.height = hCrop;
-  const tmpCtx = tmpCanvas.getContext('2d');
-  tmpCtx.drawImage(ov.originalImg, -u1, -v1);
-  const dataURL = tmpCanvas.toDataURL();
-  const newImg = new Image();
-  newImg.onload = () => {
-    // Update overlay images
-    ov.img = newImg;
-    ov.originalImg = newImg;
-    // Compute global shift: how far the crop centre is from the overlay centre
-    const scale = ov.state.scale;
-    const angleRad = (ov.state.angle * Math.PI) / 180;
-    const deltaX = cropCenterX * scale;
-    const deltaY = cropCenterY * scale;
-    const shiftX = deltaX * Math.cos(angleRad) - deltaY * Math.sin(angleRad);
-    const shiftY = deltaX * Math.sin(angleRad) + deltaY * Math.cos(angleRad);
-    // Compute old global centre
-    const oldCentreX = ov.state.x + (oldWidth * scale) / 2;
-    const oldCentreY = ov.state.y + (oldHeight * scale) / 2;
-    // Compute new overlay dimensions (scaled)
-    const newWidthScaled = wCrop * scale;
-    const newHeightScaled = hCrop * scale;
-    // New centre after cropping
-    let newCentreX = oldCentreX + shiftX;
-    let newCentreY = oldCentreY + shiftY;
-    // Compute new top‑left position
-    let newX = newCentreX - newWidthScaled / 2;
-    let newY = newCentreY - newHeightScaled / 2;
-    // Clamp within background bounds
-    newX = Math.max(0, Math.min(newX, bgImg.width - newWidthScaled));
-    newY = Math.max(0, Math.min(newY, bgImg.height - newHeightScaled));
-    ov.state.x = newX;
-    ov.state.y = newY;
-    // Reset crop state
-    ov.cropStart = null;
-    ov.cropEnd = null;
-    ov.cropMode = false;
-    ov.cropping = false;
-    cropBtn.textContent = 'Crop';
-    updateActiveOverlayRefs();
-    drawScene();
-    // Update undo/redo button states after cropping
-    updateUndoRedoButtons();
-  };
-  newImg.src = dataURL;
+  const rect = cropSelectionRect(ov);
+  // Reset crop state
+  ov.cropStart = null;
+  ov.cropEnd = null;
+  ov.cropMode = false;
+  ov.cropping = false;
+  cropBtn.textContent = 'Crop';
+  drawScene();
+  if (!rect) return;
+  cropOverlay(activeOverlayIndex, rect).catch((err) => {
+    console.error('Error cropping overlay:', err);
+  });
 }
 
-// Perform an erase operation on the background using Bria's generative erase API.
-// This function sends the selected area as a mask and updates the background with the result.
+// Perform an erase operation on the background using the configured erase provider.
+// The combined erase mask is sent and the results are shown for review; the
+// background is only replaced once a candidate is accepted.
 async function performErase() {
   // Validate state
-  if (!eraseStart || !eraseEnd || !bgImg) return;
-  // Compute bounding rectangle of the erase region in canvas coordinates
-  const x1 = Math.min(eraseStart.x, eraseEnd.x);
-  const y1 = Math.min(eraseStart.y, eraseEnd.y);
-  const x2 = Math.max(eraseStart.x, eraseEnd.x);
-  const y2 = Math.max(eraseStart.y, eraseEnd.y);
-  const w = x2 - x1;
-  const h = y2 - y1;
-  if (w <= 0 || h <= 0) {
-    // Empty selection; nothing to erase
-    eraseStart = null;
-    eraseEnd = null;
+  if (!bgImg || !eraseMaskCanvas || !eraseMaskDirty || activeEraseJob || eraseReview) return;
+  const maskCanvas = buildEraseMask();
+  if (!maskBounds(maskCanvas)) {
+    // Strokes cancelled each other out; nothing to erase
+    clearEraseMask();
+    drawScene();
     return;
   }
+  const label = eraseMaskTools.length > 0 ? `Erase (${eraseMaskTools.join(' + ')})` : 'Erase';
+  await applyEraseMask(maskCanvas, label);
+  drawScene();
+}
+
+// Send a mask through runErase() and open the review of its results. Only one
+// erase job runs at a time, and its results are only reviewed when the
+// background they were computed from is still current, so a stale result never
+// overwrites newer edits. Errors are logged and leave the background untouched.
+async function applyEraseMask(maskCanvas, label) {
+  if (activeEraseJob) return;
+  const job = { id: ++eraseJobCounter, controller: new AbortController(), baseImg: bgImg, label: label || 'Erase' };
+  activeEraseJob = job;
+  updateMaskButtons();
+  // Disable erase button while processing
+  eraseBtn.disabled = true;
+  eraseBtn.textContent = 'Erasing...';
+  if (eraseCancelBtn) eraseCancelBtn.style.display = '';
+  setEraseStatus('Starting…');
+  const onProgress = (message) => {
+    if (activeEraseJob === job) setEraseStatus(message);
+  };
   try {
-    // Disable erase button while processing
-    eraseBtn.disabled = true;
-    eraseBtn.textContent = 'Erasing...';
-    // Create an off‑screen canvas for the background image only
-    const imgCanvas = document.createElement('canvas');
-    imgCanvas.width = bgImg.width;
-    imgCanvas.height = bgImg.height;
-    const imgCtx = imgCanvas.getContext('2d');
-    imgCtx.drawImage(bgImg, 0, 0);
-    // Generate mask: black everywhere, white on selected region
-    const maskCanvas = document.createElement('canvas');
-    maskCanvas.width = bgImg.width;
-    maskCanvas.height = bgImg.height;
-    const maskCtx = maskCanvas.getContext('2d');
-    maskCtx.fillStyle = 'black';
-    maskCtx.fillRect(0, 0, maskCanvas.width, maskCanvas.height);
-    maskCtx.fillStyle = 'white';
-    maskCtx.fillRect(x1, y1, w, h);
-    // Convert images to base64 strings (remove the prefix)
-    const imgDataUrl = imgCanvas.toDataURL('image/png');
-    const maskDataUrl = maskCanvas.toDataURL('image/png');
-    const imgBase64 = imgDataUrl.split(',')[1];
-    const maskBase64 = maskDataUrl.split(',')[1];
-    // Prepare request payload
-    const payload = {
-      image: imgBase64,
-      mask: maskBase64,
-      sync: true,
-    };
-    const response = await fetch('https://engine.prod.bria-api.com/v2/image/edit/erase', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'api_token': 'a9aac20fdf824e8ab8d70a815c570d54',
-      },
-      body: JSON.stringify(payload),
-    });
-    if (!response.ok) {
-      console.error('Erase API request failed:', response.status, response.statusText);
-      // Reset selection since no new image was returned
-      eraseStart = null;
-      eraseEnd = null;
-      drawScene();
-      eraseBtn.disabled = false;
-      eraseBtn.textContent = 'Erase';
-      return;
-    }
-    const data = await response.json();
-    if (data.result && data.result.image_url) {
-      const newImageUrl = data.result.image_url;
-      // Load the new background image
-      const newImg = new Image();
-      // Use crossOrigin anonymous to avoid tainting canvas if possible
-      newImg.crossOrigin = 'anonymous';
-      newImg.onload = () => {
-        bgImg = newImg;
-        eraseStart = null;
-        eraseEnd = null;
-        eraseBtn.disabled = false;
-        eraseBtn.textContent = 'Erase';
-        drawScene();
-        updateUndoRedoButtons();
-      };
-      newImg.src = newImageUrl;
+    const { bounds, candidates } = await runErase(maskCanvas, job.controller.signal, onProgress);
+    if (activeEraseJob === job && bgImg === job.baseImg) {
+      openEraseReview(job.baseImg, bounds, candidates, job.label);
+      setEraseStatus(candidates.length > 1 ? `Review ${candidates.length} results` : 'Review result');
     } else {
-      console.error('Erase API returned invalid response:', data);
-      // Reset selection since no new image was returned
-      eraseStart = null;
-      eraseEnd = null;
-      drawScene();
-      eraseBtn.disabled = false;
-      eraseBtn.textContent = 'Erase';
+      console.warn('Discarding erase result: the background changed while the job was running');
+      setEraseStatus('Erase result discarded (background changed)');
     }
   } catch (err) {
-    console.error('Error performing erase:', err);
-    // Reset selection on error
-    eraseStart = null;
-    eraseEnd = null;
-    drawScene();
-    eraseBtn.disabled = false;
-    eraseBtn.textContent = 'Erase';
+    if (isAbortError(err)) {
+      setEraseStatus('Erase cancelled');
+    } else {
+      console.error('Error performing erase:', err);
+      setEraseStatus(`Erase failed: ${err.message}`);
+    }
+  } finally {
+    if (activeEraseJob === job) activeEraseJob = null;
+    eraseBtn.disabled = !bgImg;
+    eraseBtn.textContent = eraseMode ? 'Cancel Erase' : 'Erase';
+    if (eraseCancelBtn) eraseCancelBtn.style.display = 'none';
+    updateMaskButtons();
   }
 }
 
-/**
- * Perform a generative erase using a freeform brush path. The brushPath array
- * contains canvas coordinates representing the centre points of a circular
- * brush. A mask is constructed by drawing filled circles of the current
- * brush radius at each recorded point. The Bria erase API is called with
- * the background image and the generated mask. On success, the background
- * image is updated and the brushPath is cleared.
- */
-async function performEraseBrush() {
-  if (!bgImg || !brushPath || brushPath.length === 0) {
-    brushPath = [];
+/* Erase review */
+// After an erase the results are shown over the erased region with a
+// before/after split: left of the split line shows the current background,
+// right of it the selected candidate. Accept commits that candidate to bgImg
+// (with an undo entry); Discard drops all candidates and keeps the mask so the
+// erase can be retried.
+function openEraseReview(baseImg, bounds, candidates, label) {
+  eraseReview = { baseImg, bounds, candidates, index: 0, split: 0.5, label };
+  if (reviewCandidateSelect) {
+    reviewCandidateSelect.innerHTML = '';
+    candidates.forEach((c, i) => {
+      const opt = document.createElement('option');
+      opt.value = String(i);
+      opt.textContent = `Result ${i + 1}`;
+      reviewCandidateSelect.appendChild(opt);
+    });
+    reviewCandidateSelect.disabled = candidates.length < 2;
+  }
+  if (reviewSplitSlider) reviewSplitSlider.value = 50;
+  if (eraseReviewGroup) eraseReviewGroup.style.display = '';
+  updateMaskButtons();
+}
+
+function closeEraseReview() {
+  eraseReview = null;
+  if (eraseReviewGroup) eraseReviewGroup.style.display = 'none';
+  updateMaskButtons();
+}
+
+function acceptEraseReview() {
+  if (!eraseReview) return;
+  if (bgImg !== eraseReview.baseImg) {
+    // The background was changed (e.g. by undo) while reviewing
+    console.warn('Discarding erase result: the background changed during review');
+    setEraseStatus('Erase result discarded (background changed)');
+    eraseReview.candidates.forEach(releaseImage);
+    closeEraseReview();
     drawScene();
     return;
   }
-  try {
-    eraseBtn.disabled = true;
-    eraseBtn.textContent = 'Erasing...';
-    // Create an off‑screen canvas for the background image only
-    const imgCanvas = document.createElement('canvas');
-    imgCanvas.width = bgImg.width;
-    imgCanvas.height = bgImg.height;
-    const imgCtx = imgCanvas.getContext('2d');
-    imgCtx.drawImage(bgImg, 0, 0);
-    // Create a mask canvas: black background
-    const maskCanvas = document.createElement('canvas');
-    maskCanvas.width = bgImg.width;
-    maskCanvas.height = bgImg.height;
-    const maskCtx = maskCanvas.getContext('2d');
-    maskCtx.fillStyle = 'black';
-    maskCtx.fillRect(0, 0, maskCanvas.width, maskCanvas.height);
-    // Draw white circles along the brush path
-    maskCtx.fillStyle = 'white';
-    brushPath.forEach((pt) => {
-      maskCtx.beginPath();
-      maskCtx.arc(pt.x, pt.y, brushRadius, 0, 2 * Math.PI);
-      maskCtx.fill();
-    });
-    // Convert canvases to base64 strings
-    const imgDataUrl = imgCanvas.toDataURL('image/png');
-    const maskDataUrl = maskCanvas.toDataURL('image/png');
-    const imgBase64 = imgDataUrl.split(',')[1];
-    const maskBase64 = maskDataUrl.split(',')[1];
-    // Prepare request payload
-    const payload = {
-      image: imgBase64,
-      mask: maskBase64,
-      sync: true,
-    };
-    const response = await fetch('https://engine.prod.bria-api.com/v2/image/edit/erase', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'api_token': 'a9aac20fdf824e8ab8d70a815c570d54',
-      },
-      body: JSON.stringify(payload),
-    });
-    if (!response.ok) {
-      console.error('Brush erase API request failed:', response.status, response.statusText);
-      brushPath = [];
-      drawScene();
-      eraseBtn.disabled = false;
-      eraseBtn.textContent = 'Erase';
-      return;
-    }
-    const data = await response.json();
-    if (data.result && data.result.image_url) {
-      const newImageUrl = data.result.image_url;
-      const newImg = new Image();
-      newImg.crossOrigin = 'anonymous';
-      newImg.onload = () => {
-        bgImg = newImg;
-        brushPath = [];
-        eraseBtn.disabled = false;
-        eraseBtn.textContent = 'Erase';
-        drawScene();
-        updateUndoRedoButtons();
-      };
-      newImg.src = newImageUrl;
-    } else {
-      console.error('Brush erase API returned invalid response:', data);
-      brushPath = [];
-      drawScene();
-      eraseBtn.disabled = false;
-      eraseBtn.textContent = 'Erase';
-    }
-  } catch (err) {
-    console.error('Error performing brush erase:', err);
-    brushPath = [];
+  const chosen = eraseReview.candidates[eraseReview.index];
+  const discarded = eraseReview.candidates.filter((c) => c !== chosen);
+  commitErase(eraseReview.baseImg, chosen, eraseReview.label);
+  setEraseStatus('');
+  resetEraseMode();
+  drawScene();
+  discarded.forEach(releaseImage);
+}
+
+function discardEraseReview() {
+  if (!eraseReview) return;
+  eraseReview.candidates.forEach(releaseImage);
+  closeEraseReview();
+  setEraseStatus('Erase results discarded');
+  drawScene();
+}
+
+// Draw the selected candidate right of the split line inside the erased region
+function drawEraseReview(targetCtx) {
+  const { bounds, candidates, index, split } = eraseReview;
+  const ratio = canvasPixelRatio();
+  const splitX = bounds.x + bounds.w * split;
+  targetCtx.save();
+  targetCtx.beginPath();
+  targetCtx.rect(splitX, bounds.y, bounds.x + bounds.w - splitX, bounds.h);
+  targetCtx.clip();
+  targetCtx.drawImage(candidates[index], 0, 0);
+  targetCtx.restore();
+  targetCtx.save();
+  targetCtx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+  targetCtx.lineWidth = 2 * ratio;
+  targetCtx.beginPath();
+  targetCtx.moveTo(splitX, bounds.y);
+  targetCtx.lineTo(splitX, bounds.y + bounds.h);
+  targetCtx.stroke();
+  targetCtx.strokeStyle = 'rgba(0, 0, 255, 0.8)';
+  targetCtx.lineWidth = ratio;
+  targetCtx.setLineDash([6 * ratio, 4 * ratio]);
+  targetCtx.strokeRect(bounds.x, bounds.y, bounds.w, bounds.h);
+  targetCtx.setLineDash([]);
+  targetCtx.restore();
+}
+
+if (reviewSplitSlider) {
+  reviewSplitSlider.addEventListener('input', (e) => {
+    if (!eraseReview) return;
+    eraseReview.split = (parseInt(e.target.value, 10) || 0) / 100;
     drawScene();
-    eraseBtn.disabled = false;
-    eraseBtn.textContent = 'Erase';
-  }
+  });
+}
+if (reviewCandidateSelect) {
+  reviewCandidateSelect.addEventListener('change', (e) => {
+    if (!eraseReview) return;
+    eraseReview.index = parseInt(e.target.value, 10) || 0;
+    drawScene();
+  });
+}
+if (reviewAcceptBtn) {
+  reviewAcceptBtn.addEventListener('click', () => {
+    acceptEraseReview();
+  });
+}
+if (reviewDiscardBtn) {
+  reviewDiscardBtn.addEventListener('click', () => {
+    discardEraseReview();
+  });
 }
 
 function downloadDataUrl(dataUrl, filename) {
@@ -1434,6 +6643,14 @@ function downloadDataUrl(dataUrl, filename) {
   document.body.removeChild(link);
 }
 
+// Hide the brush outline when the pointer leaves the canvas
+canvas.addEventListener('pointerleave', () => {
+  if (eraseMode && brushCursor && !erasing) {
+    brushCursor = null;
+    drawScene();
+  }
+});
+
 // Disable context menu on canvas to prevent default right‑click behaviour
 canvas.addEventListener('contextmenu', (e) => {
   e.preventDefault();
@@ -0,0 +1,253 @@
+// Tests for geometry.js. Run with `node --test`.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const geometry = require('../geometry.js');
+
+const EPSILON = 1e-9;
+
+// Assert that each numeric field of `expected` is within EPSILON of `actual`
+function assertClose(actual, expected) {
+  Object.keys(expected).forEach((k) => {
+    assert.ok(Math.abs(actual[k] - expected[k]) < EPSILON, `${k}: ${actual[k]} is not ${expected[k]}`);
+  });
+}
+
+// State of an overlay at (x, y); `props` overrides the other settings
+function makeState(x, y, props = {}) {
+  return geometry.normalizeState({ x, y, angle: 0, flipH: false, flipV: false, ...props });
+}
+
+// A 100 × 50 overlay at (x, y) as a group item
+function item(x, y, scale = 1, angle = 0) {
+  return { width: 100, height: 50, state: makeState(x, y, { scale, angle }) };
+}
+
+// Canvas point showing image pixel `p`: the inverse of canvasToImage()
+function imageToCanvas(p, width, height, state) {
+  const u = (p.x - width / 2) * (state.flipH ? -1 : 1);
+  const v = (p.y - height / 2) * (state.flipV ? -1 : 1);
+  return geometry.localToCanvas({ x: u * state.scaleX, y: v * state.scaleY }, width, height, state);
+}
+
+test('normalizeState splits a single scale and fills in drawing defaults', () => {
+  assert.deepEqual(geometry.normalizeState({ x: 1, y: 2, scale: -2, angle: 0 }), {
+    x: 1, y: 2, angle: 0, scaleX: 2, scaleY: 2, opacity: 1, blend: 'normal',
+  });
+  assert.deepEqual(geometry.normalizeState({ x: 0, y: 0 }), {
+    x: 0, y: 0, scaleX: 1, scaleY: 1, opacity: 1, blend: 'normal',
+  });
+});
+
+test('normalizeState keeps separate scales, opacity and blending', () => {
+  const state = { x: 0, y: 0, angle: 10, scaleX: 0.5, scaleY: 3, opacity: 0.4, blend: 'multiply' };
+  assert.deepEqual(geometry.normalizeState(state), state);
+});
+
+test('canvasToLocal and localToCanvas undo each other', () => {
+  const state = makeState(20, 30, { scale: 1.5, angle: 35 });
+  const local = geometry.canvasToLocal({ x: 7, y: 91 }, 100, 50, state);
+  assertClose(geometry.localToCanvas(local, 100, 50, state), { x: 7, y: 91 });
+  // The centre is the local origin
+  assertClose(geometry.canvasToLocal({ x: 95, y: 67.5 }, 100, 50, state), { x: 0, y: 0 });
+});
+
+test('canvasToImage maps the box onto the scaled image', () => {
+  const state = makeState(10, 20, { scale: 2 });
+  assertClose(geometry.canvasToImage({ x: 10, y: 20 }, 100, 50, state), { x: 0, y: 0 });
+  assertClose(geometry.canvasToImage({ x: 210, y: 120 }, 100, 50, state), { x: 100, y: 50 });
+  assertClose(geometry.canvasToImage({ x: 30, y: 30 }, 100, 50, state), { x: 10, y: 5 });
+  // Stretched differently along each axis
+  const stretched = makeState(10, 20, { scaleX: 2, scaleY: 0.5 });
+  assertClose(geometry.canvasToImage({ x: 210, y: 45 }, 100, 50, stretched), { x: 100, y: 50 });
+  assertClose(geometry.canvasToImage({ x: 30, y: 30 }, 100, 50, stretched), { x: 10, y: 20 });
+});
+
+test('canvasToImage undoes flips and rotation', () => {
+  // The top-left corner of the box shows the right edge of a mirrored image
+  const flipped = makeState(0, 0, { flipH: true });
+  assertClose(geometry.canvasToImage({ x: 0, y: 0 }, 100, 50, flipped), { x: 100, y: 0 });
+  const upsideDown = makeState(0, 0, { flipV: true });
+  assertClose(geometry.canvasToImage({ x: 0, y: 0 }, 100, 50, upsideDown), { x: 0, y: 50 });
+  // Turned a quarter clockwise around (50, 25), the middle of the right edge
+  // lies below the centre
+  const turned = makeState(0, 0, { angle: 90 });
+  assertClose(geometry.canvasToImage({ x: 50, y: 75 }, 100, 50, turned), { x: 100, y: 25 });
+  assertClose(geometry.canvasToImage({ x: 50, y: 75 }, 100, 50, { ...turned, flipH: true }), { x: 0, y: 25 });
+  // Stretched, the same point is further below the centre
+  const stretched = makeState(0, 0, { angle: 90, scaleX: 2, scaleY: 0.5 });
+  assertClose(geometry.canvasToImage({ x: 100, y: 112.5 }, 100, 50, stretched), { x: 100, y: 25 });
+});
+
+test('containsPoint follows the rotation of the box', () => {
+  assert.equal(geometry.containsPoint({ x: 50, y: 70 }, 100, 50, makeState(0, 0)), false);
+  assert.equal(geometry.containsPoint({ x: 50, y: 70 }, 100, 50, makeState(0, 0, { angle: 90 })), true);
+});
+
+test('selectionToImageRect turns a selection into whole image pixels', () => {
+  const state = makeState(0, 0);
+  const rect = { x: 40, y: 20, w: 30, h: 20 };
+  assert.deepEqual(geometry.selectionToImageRect({ x: -10, y: -5 }, { x: 20, y: 15 }, 100, 50, state), rect);
+  // Dragged the other way round
+  assert.deepEqual(geometry.selectionToImageRect({ x: 20, y: 15 }, { x: -10, y: -5 }, 100, 50, state), rect);
+  // Partial pixels are included
+  assert.deepEqual(geometry.selectionToImageRect({ x: -9.5, y: -5 }, { x: 19.2, y: 14.9 }, 100, 50, state), rect);
+});
+
+test('selectionToImageRect mirrors the selection of a flipped overlay', () => {
+  const start = { x: -10, y: -5 };
+  const end = { x: 20, y: 15 };
+  assert.deepEqual(geometry.selectionToImageRect(start, end, 100, 50, makeState(0, 0, { flipH: true })),
+    { x: 30, y: 20, w: 30, h: 20 });
+  assert.deepEqual(geometry.selectionToImageRect(start, end, 100, 50, makeState(0, 0, { flipV: true })),
+    { x: 40, y: 10, w: 30, h: 20 });
+});
+
+test('selectionToImageRect clips to the image and is null outside it', () => {
+  const state = makeState(0, 0);
+  assert.deepEqual(geometry.selectionToImageRect({ x: -60, y: -30 }, { x: 0, y: 0 }, 100, 50, state),
+    { x: 0, y: 0, w: 50, h: 25 });
+  assert.equal(geometry.selectionToImageRect({ x: 60, y: 0 }, { x: 70, y: 10 }, 100, 50, state), null);
+});
+
+test('clipRect rounds outwards and clips to the image', () => {
+  assert.deepEqual(geometry.clipRect({ x: -5.5, y: 10.2, w: 20, h: 100 }, 100, 50), { x: 0, y: 10, w: 15, h: 40 });
+  assert.equal(geometry.clipRect({ x: 100, y: 0, w: 10, h: 10 }, 100, 50), null);
+});
+
+test('croppedState keeps the kept pixels where they were on the canvas', () => {
+  const rect = { x: 10, y: 5, w: 40, h: 30 };
+  const states = [
+    makeState(0, 0, { scale: 2 }),
+    makeState(30, 40, { angle: 30 }),
+    makeState(-20, 15, { scale: 1.5, angle: -60, flipH: true }),
+    makeState(5, 5, { scale: 0.5, angle: 135, flipV: true }),
+    makeState(50, 60, { angle: 200, flipH: true, flipV: true }),
+    makeState(10, 10, { scaleX: 2, scaleY: 0.5, angle: 30, flipH: true }),
+    makeState(0, 80, { scaleX: 0.25, scaleY: 3, angle: -110, flipV: true }),
+  ];
+  const pixels = [{ x: 10, y: 5 }, { x: 50, y: 35 }, { x: 23, y: 31 }];
+  states.forEach((state) => {
+    const next = geometry.croppedState(state, 100, 50, rect);
+    assert.deepEqual({ ...next, x: 0, y: 0 }, { ...state, x: 0, y: 0 });
+    pixels.forEach((p) => {
+      const before = imageToCanvas(p, 100, 50, state);
+      const after = imageToCanvas({ x: p.x - rect.x, y: p.y - rect.y }, rect.w, rect.h, next);
+      assertClose(after, before);
+    });
+  });
+});
+
+test('croppedState keeps the cropped overlay inside the bounds', () => {
+  const rect = { x: 50, y: 0, w: 50, h: 50 };
+  assertClose(geometry.croppedState(makeState(0, 0), 100, 50, rect), { x: 50, y: 0 });
+  assertClose(geometry.croppedState(makeState(0, 0), 100, 50, rect, { width: 60, height: 100 }), { x: 10, y: 0 });
+});
+
+test('handleAt names the corner, edge or rotate handle under the point', () => {
+  const state = makeState(0, 0, { scaleX: 2 });
+  assert.equal(geometry.handleAt({ x: 201, y: 49 }, 100, 50, state, 4, 20), 'se');
+  assert.equal(geometry.handleAt({ x: 0, y: 25 }, 100, 50, state, 4, 20), 'w');
+  assert.equal(geometry.handleAt({ x: 100, y: -20 }, 100, 50, state, 4, 20), 'rotate');
+  assert.equal(geometry.handleAt({ x: 100, y: 25 }, 100, 50, state, 4, 20), null);
+});
+
+test('resizeState keeps the opposite edge fixed for edge handles', () => {
+  const state = makeState(10, 10);
+  const east = geometry.resizeState(state, 100, 50, { x: 150, y: 40 }, null, 'e');
+  assertClose(east, { x: 10, y: 10, scaleX: 1.4, scaleY: 1 });
+  const north = geometry.resizeState(state, 100, 50, { x: 60, y: 0 }, null, 'n');
+  assertClose(north, { x: 10, y: 0, scaleX: 1, scaleY: 1.2 });
+});
+
+test('resizeState keeps the opposite edge fixed on a rotated overlay', () => {
+  const state = makeState(10, 10, { angle: 90 });
+  const west = geometry.localToCanvas({ x: -50, y: 0 }, 100, 50, state);
+  const point = geometry.localToCanvas({ x: 80, y: 0 }, 100, 50, state);
+  const next = geometry.resizeState(state, 100, 50, point, null, 'e');
+  assertClose(next, { scaleX: 1.3, scaleY: 1 });
+  assertClose(geometry.localToCanvas({ x: -65, y: 0 }, 100, 50, next), west);
+});
+
+test('resizeState keeps the opposite corner fixed and the aspect ratio', () => {
+  const state = makeState(10, 10);
+  const kept = geometry.resizeState(state, 100, 50, { x: 150, y: 100 }, null, 'se');
+  assertClose(kept, { x: 10, y: 10, scaleX: 1.4, scaleY: 1.4 });
+  const free = geometry.resizeState(state, 100, 50, { x: 150, y: 100 }, null, 'se', false);
+  assertClose(free, { x: 10, y: 10, scaleX: 1.4, scaleY: 1.8 });
+});
+
+test('resizeState clamps one shared factor when the aspect ratio is kept', () => {
+  const state = makeState(0, 0, { scaleX: 2 });
+  const big = geometry.resizeState(state, 100, 50, { x: 500, y: 500 }, { width: 300, height: 1000 }, 'se');
+  assertClose(big, { scaleX: 3, scaleY: 1.5 });
+  const small = geometry.resizeState(state, 100, 50, { x: -500, y: -500 }, null, 'se');
+  assertClose(small, { scaleX: 2 * geometry.MIN_SCALE, scaleY: geometry.MIN_SCALE });
+});
+
+test('groupBounds encloses every item and is null for none', () => {
+  assert.equal(geometry.groupBounds([]), null);
+  assert.deepEqual(geometry.groupBounds([item(0, 0), item(200, 100, 0.5)]), { x: 0, y: 0, w: 250, h: 125 });
+  // A rotated item counts with its axis-aligned bounds
+  assertClose(geometry.groupBounds([item(0, 0, 1, 90)]), { x: 25, y: -25, w: 50, h: 100 });
+});
+
+test('translateGroup and clampOffset move the group inside the limits', () => {
+  const items = [item(20, 0), item(220, 100)];
+  const bounds = geometry.groupBounds(items);
+  const limits = { width: 400, height: 400 };
+  assert.deepEqual(geometry.clampOffset(bounds, -40, 500, limits), { dx: -20, dy: 250 });
+  const { dx, dy } = geometry.clampOffset(bounds, 500, 30, limits);
+  assert.deepEqual({ dx, dy }, { dx: 80, dy: 30 });
+  assert.deepEqual(geometry.translateGroup(items, dx, dy).map((s) => [s.x, s.y]), [[100, 30], [300, 130]]);
+});
+
+test('scaleGroup scales sizes and distances around the origin', () => {
+  const [a, b] = geometry.scaleGroup([item(0, 0), item(200, 0)], 2, { x: 0, y: 0 });
+  assertClose(a, { x: 0, y: 0, scaleX: 2, scaleY: 2 });
+  assertClose(b, { x: 400, y: 0, scaleX: 2, scaleY: 2 });
+});
+
+test('rotateGroup turns the items and their centres around the origin', () => {
+  const [s] = geometry.rotateGroup([item(100, -25)], 90, { x: 0, y: 0 });
+  assertClose(geometry.overlayCenter(100, 50, s), { x: 0, y: 150 });
+  assert.equal(s.angle, 90);
+});
+
+test('flipGroup mirrors the items and negates their angles', () => {
+  const [s] = geometry.flipGroup([item(0, 0, 1, 30)], 'h', { x: 100, y: 0 });
+  assertClose(s, { x: 100, y: 0, angle: -30 });
+  assert.equal(s.flipH, true);
+  const [v] = geometry.flipGroup([item(0, 0)], 'v', { x: 0, y: 100 });
+  assertClose(v, { x: 0, y: 150 });
+  assert.equal(v.flipV, true);
+});
+
+test('alignGroup lines up the item bounds with the target', () => {
+  const items = [item(0, 0), item(50, 100, 0.5)];
+  const target = geometry.groupBounds(items);
+  assert.deepEqual(geometry.alignGroup(items, 'right', target).map((s) => s.x), [0, 50]);
+  assert.deepEqual(geometry.alignGroup(items, 'center', target).map((s) => s.x), [0, 25]);
+  assert.deepEqual(geometry.alignGroup(items, 'top', target).map((s) => s.y), [0, 0]);
+  assert.throws(() => geometry.alignGroup(items, 'diagonal', target), /Unknown alignment/);
+});
+
+test('distributeGroup evens out the gaps and keeps the outermost items', () => {
+  const items = [item(0, 0), item(300, 0), item(120, 0, 0.5)];
+  assert.deepEqual(geometry.distributeGroup(items, 'h').map((s) => s.x), [0, 300, 175]);
+  // Fewer than three items are left alone
+  assert.deepEqual(geometry.distributeGroup(items.slice(0, 2), 'h').map((s) => s.x), [0, 300]);
+});
+
+test('snapOffset snaps the closest edge or centre within the threshold', () => {
+  const box = { x: 12, y: 40, w: 20, h: 20 };
+  assert.deepEqual(geometry.snapOffset(box, { x: [10, 25], y: [100] }, 5), { dx: -2, dy: 0, x: 10, y: null });
+  // The centre (50) is closer to 52 than the bottom edge (60) is to 63
+  assert.deepEqual(geometry.snapOffset(box, { x: [], y: [52, 63] }, 5), { dx: 0, dy: 2, x: null, y: 52 });
+});
+
+test('snapOffset snaps to the grid when one is given', () => {
+  // The centre (52) lies closest to a grid line
+  const box = { x: 47, y: 0, w: 10, h: 10 };
+  assert.deepEqual(geometry.snapOffset(box, { x: [], y: [] }, 4, 50), { dx: -2, dy: 0, x: 50, y: 0 });
+  assert.deepEqual(geometry.snapOffset(box, { x: [], y: [] }, 2, 0), { dx: 0, dy: 0, x: null, y: null });
+});